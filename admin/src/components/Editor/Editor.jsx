@@ -1,7 +1,12 @@
 import './style.css';
 
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import CodeMirror from "@uiw/react-codemirror";
+import { yaml } from '@codemirror/lang-yaml';
+
+const languageExtensions = {
+  yaml: () => [yaml()],
+};
 
 export const Editor = ({ content = '', language = 'csv', readOnly = false, onChange, style }) => {
  
@@ -15,6 +20,8 @@ export const Editor = ({ content = '', language = 'csv', readOnly = false, onCha
     }
 
   }, [content, language]);
+
+  const extensions = useMemo(() => languageExtensions[language]?.() || [], [language]);
  
   return (
     <>
@@ -29,7 +36,7 @@ export const Editor = ({ content = '', language = 'csv', readOnly = false, onCha
       value={codeMirrorContent}
       onChange={onChange}
       editable={!readOnly}
-      // extensions={[]}
+      extensions={extensions}
     />
     </>
   );
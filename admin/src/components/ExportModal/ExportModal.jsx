@@ -5,12 +5,11 @@ import range from 'lodash/range';
 import qs from 'qs';
 import React, { useState } from 'react';
 import { useLocation } from 'react-router-dom';
-import { useFetchClient } from '@strapi/admin/strapi-admin';
 
-import { PLUGIN_ID } from '../../pluginId';
 import { useAlerts } from '../../hooks/useAlerts';
 import { useDownloadFile } from '../../hooks/useDownloadFile';
 import { useI18n } from '../../hooks/useI18n';
+import { useJobs } from '../../hooks/useJobs';
 import { useLocalStorage } from '../../hooks/useLocalStorage';
 import { useSlug } from '../../hooks/useSlug';
 import { dataFormatConfigs, dataFormats } from '../../utils/dataFormats';
@@ -23,20 +22,24 @@ const DEFAULT_OPTIONS = {
   relationsAsId: false,
   deepness: 5,
   exportPluginsContentTypes: false,
+  status: 'draft',
 };
 
-export const ExportModal = ({ availableExportFormats = [dataFormats.CSV, dataFormats.JSON_V2, dataFormats.JSON], unavailableOptions = [], onClose }) => {
+const STATUSES = ['draft', 'published', 'both'];
+
+export const ExportModal = ({ availableExportFormats = [dataFormats.CSV, dataFormats.JSON_V2, dataFormats.JSON, dataFormats.NDJSON_V2, dataFormats.NDJSON, dataFormats.YAML_V2, dataFormats.YAML, dataFormats.XLSX, dataFormats.ZIP_V2], unavailableOptions = [], onClose }) => {
   const { i18n } = useI18n();
   const { search } = useLocation();
   const { downloadFile, withTimestamp } = useDownloadFile();
   const { slug, isSlugWholeDb } = useSlug();
   const { notify } = useAlerts();
   const { getPreferences } = useLocalStorage();
-  const { post } = useFetchClient();
+  const { runJob } = useJobs();
 
   const [options, setOptions] = useState(() => ({ ...DEFAULT_OPTIONS, ...getPreferences() }));
   const [data, setData] = useState(null);
   const [fetchingData, setFetchingData] = useState(false);
+  const [jobProgress, setJobProgress] = useState(null);
   const [isOpen, setIsOpen] = useState(false);
 
   const handleSetOption = (optionName) => (value) => {
@@ -47,9 +50,11 @@ export const ExportModal = ({ availableExportFormats = [dataFormats.CSV, dataFor
 
   const getData = async () => {
     setFetchingData(true);
+    setJobProgress(null);
     try {
-      const res = await post(`/${PLUGIN_ID}/export/contentTypes`, {
-        data:{
+      const exportedData = await runJob(
+        'export',
+        {
           slug,
           search: qs.stringify(pick(qs.parse(search), ['filters', 'sort'])),
           applySearch: options.applyFilters,
@@ -57,9 +62,11 @@ export const ExportModal = ({ availableExportFormats = [dataFormats.CSV, dataFor
           relationsAsId: options.relationsAsId,
           deepness: options.deepness,
           exportPluginsContentTypes: options.exportPluginsContentTypes,
-        }
-      });
-      setData(res.data);
+          status: options.status,
+        },
+        { onProgress: setJobProgress }
+      );
+      setData(exportedData);
     } catch (err) {
       handleRequestErr(err, {
         403: () => notify(i18n('plugin.message.export.error.forbidden.title'), i18n('plugin.message.export.error.forbidden.message'), 'danger'),
@@ -81,9 +88,13 @@ export const ExportModal = ({ availableExportFormats = [dataFormats.CSV, dataFor
       dataToCopy =data?.data
     }
 
-    const { fileExt, fileContentType } = config;
+    const { fileExt, fileContentType, binary } = config;
     const fileName = `export_${slug}.${fileExt}`.replaceAll(':', '-').replaceAll('--', '-');
-    downloadFile(dataToCopy, withTimestamp(fileName), `${fileContentType};charset=utf-8;`);
+    if (binary) {
+      downloadFile(Uint8Array.from(atob(dataToCopy), (char) => char.charCodeAt(0)), withTimestamp(fileName), fileContentType);
+    } else {
+      downloadFile(dataToCopy, withTimestamp(fileName), `${fileContentType};charset=utf-8;`);
+    }
   };
 
   const copyToClipboard = () => {
@@ -135,7 +146,10 @@ export const ExportModal = ({ availableExportFormats = [dataFormats.CSV, dataFor
           <Modal.Body>
             {fetchingData && (
               <Flex justifyContent="center">
-                <Loader>{i18n('plugin.export.fetching-data')}</Loader>
+                <Loader>
+                  {i18n('plugin.export.fetching-data')}
+                  {jobProgress?.total ? ` (${jobProgress.processed}/${jobProgress.total})` : ''}
+                </Loader>
               </Flex>
             )}
             {!data && !fetchingData && (
@@ -206,12 +220,30 @@ export const ExportModal = ({ availableExportFormats = [dataFormats.CSV, dataFor
                     </Flex>
                   </>
                 )}
+                  {shouldShowOption('status') && [dataFormats.JSON_V2, dataFormats.NDJSON_V2, dataFormats.YAML_V2, dataFormats.ZIP_V2].includes(options.exportFormat) && (
+                    <Flex direction="column" gap={2} marginTop={3}>
+                      <Typography fontWeight="bold" textColor="neutral800" as="h2">
+                        {i18n('plugin.export.status')}
+                      </Typography>
+                      <SingleSelect label={i18n('plugin.export.status')} value={options.status} onChange={handleSetOption('status')}>
+                        {STATUSES.map((status) => (
+                          <SingleSelectOption key={status} value={status}>
+                            {i18n(`plugin.export.status.${status}`)}
+                          </SingleSelectOption>
+                        ))}
+                      </SingleSelect>
+                    </Flex>
+                  )}
                 </Flex>
               </>
             )}
-            {data && !fetchingData && (
+            {data && !fetchingData && (dataFormatConfigs[options.exportFormat].binary ? (
+              <Typography textColor="neutral600" as="p">
+                {i18n('plugin.export.binary-data')}
+              </Typography>
+            ) : (
               <Editor content={data} language={dataFormatConfigs[options.exportFormat].language} />
-            )}
+            ))}
           </Modal.Body>
           <Modal.Footer>
             {!!data && (
@@ -222,9 +254,11 @@ export const ExportModal = ({ availableExportFormats = [dataFormats.CSV, dataFor
             {!data && <Button onClick={getData}>{i18n('plugin.cta.get-data')}</Button>}
             {!!data && (
               <>
-                <Button variant="secondary" onClick={copyToClipboard}>
-                  {i18n('plugin.cta.copy-to-clipboard')}
-                </Button>
+                {!dataFormatConfigs[options.exportFormat].binary && (
+                  <Button variant="secondary" onClick={copyToClipboard}>
+                    {i18n('plugin.cta.copy-to-clipboard')}
+                  </Button>
+                )}
                 <Button onClick={writeDataToFile}>{i18n('plugin.cta.download-file')}</Button>
               </>
             )}
@@ -0,0 +1,173 @@
+import {
+  Box,
+  Button,
+  Dialog,
+  Flex,
+  Table,
+  Tbody,
+  Td,
+  Th,
+  Thead,
+  Tr,
+  Typography,
+} from '@strapi/design-system';
+import { WarningCircle } from '@strapi/icons';
+import { useFetchClient } from '@strapi/admin/strapi-admin';
+import React, { useEffect, useState } from 'react';
+
+import { useAlerts } from '../../hooks/useAlerts';
+import { useI18n } from '../../hooks/useI18n';
+import { PLUGIN_ID } from '../../pluginId';
+import { handleRequestErr } from '../../utils/error.js';
+
+const COLUMNS = ['id', 'slug', 'created', 'updated', 'deleted', 'date', 'status'];
+
+const ImportBatches = () => {
+  const { i18n } = useI18n();
+  const { notify } = useAlerts();
+  const { get, post } = useFetchClient();
+
+  const [batches, setBatches] = useState([]);
+  const [revertingId, setRevertingId] = useState(null);
+  // Batch the user is asked to confirm the revert of.
+  const [batchToRevert, setBatchToRevert] = useState(null);
+
+  const fetchBatches = async () => {
+    try {
+      const res = await get(`/${PLUGIN_ID}/batches`);
+      setBatches(res.data.data || []);
+    } catch (err) {
+      console.error('Error fetching import batches:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchBatches();
+  }, []);
+
+  const revertBatch = async (batch) => {
+    setBatchToRevert(null);
+    setRevertingId(batch.id);
+    try {
+      await post(`/${PLUGIN_ID}/batches/${batch.id}/revert`);
+      notify(
+        i18n('plugin.message.batches.reverted.title'),
+        i18n('plugin.message.batches.reverted.message'),
+        'success'
+      );
+      await fetchBatches();
+    } catch (err) {
+      handleRequestErr(err, {
+        403: () =>
+          notify(
+            i18n('plugin.message.import.error.forbidden.title'),
+            i18n('plugin.message.import.error.forbidden.message'),
+            'danger'
+          ),
+        default: () =>
+          notify(
+            i18n('plugin.message.batches.error.title'),
+            err.response?.data?.message || err.message,
+            'danger'
+          ),
+      });
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  return (
+    <Box style={{ alignSelf: 'stretch' }} background="neutral0" padding={8} hasRadius={true}>
+      <Flex direction="column" alignItems="stretch" gap={6}>
+        <Flex direction="column" alignItems="start" gap={0}>
+          <Typography variant="alpha">
+            {i18n('plugin.page.homepage.section.batches.title')}
+          </Typography>
+          <Typography variant="epsilon">
+            {i18n('plugin.page.homepage.section.batches.description')}
+          </Typography>
+        </Flex>
+        {batches.length === 0 ? (
+          <Typography textColor="neutral600">{i18n('plugin.batches.empty')}</Typography>
+        ) : (
+          <Table colCount={COLUMNS.length + 1} rowCount={batches.length + 1}>
+            <Thead>
+              <Tr>
+                {COLUMNS.map((column) => (
+                  <Th key={column}>
+                    <Typography variant="sigma">{i18n(`plugin.batches.${column}`)}</Typography>
+                  </Th>
+                ))}
+                <Th />
+              </Tr>
+            </Thead>
+            <Tbody>
+              {batches.map((batch) => (
+                <Tr key={batch.id}>
+                  <Td>
+                    <Typography textColor="neutral800">{batch.id}</Typography>
+                  </Td>
+                  <Td>
+                    <Typography textColor="neutral800">{batch.slug}</Typography>
+                  </Td>
+                  <Td>
+                    <Typography textColor="neutral800">{batch.createdCount}</Typography>
+                  </Td>
+                  <Td>
+                    <Typography textColor="neutral800">{batch.updatedCount}</Typography>
+                  </Td>
+                  <Td>
+                    <Typography textColor="neutral800">{batch.deletedCount ?? 0}</Typography>
+                  </Td>
+                  <Td>
+                    <Typography textColor="neutral800">
+                      {new Date(batch.createdAt).toLocaleString()}
+                    </Typography>
+                  </Td>
+                  <Td>
+                    <Typography textColor="neutral800">
+                      {i18n(`plugin.batches.status.${batch.status}`)}
+                    </Typography>
+                  </Td>
+                  <Td>
+                    <Button
+                      variant="danger-light"
+                      size="S"
+                      onClick={() => setBatchToRevert(batch)}
+                      disabled={batch.status === 'reverted'}
+                      loading={revertingId === batch.id}
+                    >
+                      {i18n('plugin.cta.revert')}
+                    </Button>
+                  </Td>
+                </Tr>
+              ))}
+            </Tbody>
+          </Table>
+        )}
+      </Flex>
+      <Dialog.Root open={!!batchToRevert} onOpenChange={(open) => !open && setBatchToRevert(null)}>
+        <Dialog.Content>
+          <Dialog.Header>{i18n('plugin.batches.revert.title')}</Dialog.Header>
+          <Dialog.Body icon={<WarningCircle fill="danger600" />}>
+            {i18n('plugin.batches.revert.confirm')}
+          </Dialog.Body>
+          <Dialog.Footer>
+            <Dialog.Cancel>
+              <Button fullWidth variant="tertiary">
+                {i18n('plugin.cta.cancel')}
+              </Button>
+            </Dialog.Cancel>
+            <Dialog.Action>
+              <Button fullWidth variant="danger-light" onClick={() => revertBatch(batchToRevert)}>
+                {i18n('plugin.cta.revert')}
+              </Button>
+            </Dialog.Action>
+          </Dialog.Footer>
+        </Dialog.Content>
+      </Dialog.Root>
+    </Box>
+  );
+};
+
+export default React.memo(ImportBatches);
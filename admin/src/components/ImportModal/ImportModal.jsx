@@ -1,11 +1,10 @@
-import { Modal, Button, Typography, Flex, Box, Loader, Field, SingleSelect, SingleSelectOption } from '@strapi/design-system';
-import { CheckCircle, Code as IconCode, File as IconFile, Upload } from '@strapi/icons';
-import React, { useState } from 'react';
+import { Modal, Button, Typography, Flex, Box, Loader, Field, SingleSelect, SingleSelectOption, Dialog } from '@strapi/design-system';
+import { CheckCircle, Code as IconCode, File as IconFile, Upload, WarningCircle } from '@strapi/icons';
+import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useIntl } from 'react-intl';
-import styled from 'styled-components'; // Correct import for styled
 import { useFetchClient } from '@strapi/admin/strapi-admin';
-import {PLUGIN_ID} from '../../pluginId'
+import styled from 'styled-components'; // Correct import for styled
 // Styled components
 const Label = styled.label`
   --hover-color: hsl(210, 100%, 50%);
@@ -66,18 +65,29 @@ const DragOverLabel = styled(Label)`
 `;
 
 import { useAlerts } from '../../hooks/useAlerts';
+import { useDownloadFile } from '../../hooks/useDownloadFile';
 import { useI18n } from '../../hooks/useI18n';
+import { useJobs } from '../../hooks/useJobs';
 import { useSlug } from '../../hooks/useSlug';
-import { dataFormats } from '../../utils/dataFormats.js';
+import { PLUGIN_ID } from '../../pluginId';
+import { dataFormatConfigs, dataFormats } from '../../utils/dataFormats.js';
 import { handleRequestErr } from '../../utils/error.js';
+import { formatFailedRows } from '../../utils/failures.js';
 import getTrad from '../../utils/getTrad';
 
 import { Editor } from '../Editor/Editor.jsx';
 import { ImportEditor } from './components/ImportEditor/ImportEditor.jsx';
+import { ImportFailures } from './components/ImportFailures/ImportFailures.jsx';
+import { ImportMediaReport } from './components/ImportMediaReport/ImportMediaReport.jsx';
+
+// Files above this size are uploaded as is and streamed by the server, instead of being loaded in the editor.
+const LARGE_FILE_SIZE = 5 * 1024 * 1024;
 
 const ModalState = {
   SUCCESS: 'success',
   PARTIAL: 'partial',
+  PREVIEW: 'preview',
+  VALIDATION: 'validation',
   UNSET: 'unset',
 };
 
@@ -87,19 +97,56 @@ export const ImportModal = ({ onClose }) => {
 
   const { slug } = useSlug();
   const { notify } = useAlerts();
+  const { runJob } = useJobs();
+  const { get, post } = useFetchClient();
+  const { downloadFile, withTimestamp } = useDownloadFile();
   const navigate = useNavigate();
 
   const [file, setFile] = useState({});
   const [data, setData] = useState('');
+  const [streamedFile, setStreamedFile] = useState(null);
   const [options, setOptions] = useState({});
   const [dataFormat, setDataFormat] = useState(dataFormats.CSV);
-  const [fileType, setFileType] = useState('strapi'); // 'strapi', 'postgres', 'csv'
+  // Name of the input format the data is parsed with, one of the formats registered on the server.
+  const [format, setFormat] = useState('json');
+  const [inputFormats, setInputFormats] = useState([]);
   const [labelClassNames, setLabelClassNames] = useState('plugin-ie-import_modal_input-label');
   const [uploadSuccessful, setUploadSuccessful] = useState(ModalState.UNSET);
   const [uploadingData, setUploadingData] = useState(false);
-  const [importFailuresContent, setImportFailuresContent] = useState('');
+  const [jobProgress, setJobProgress] = useState(null);
+  const [importFailures, setImportFailures] = useState([]);
+  const [failedRowsContent, setFailedRowsContent] = useState('');
+  const [importPreview, setImportPreview] = useState(null);
+  const [importMedia, setImportMedia] = useState(null);
+  const [importRollback, setImportRollback] = useState(null);
+  // Entries a mirror import would remove, by slug, waiting for the user to confirm the import.
+  const [mirrorConfirmation, setMirrorConfirmation] = useState(null);
   const [isOpen, setIsOpen] = useState(false);
 
+  useEffect(() => {
+    if (!isOpen) {
+      return;
+    }
+    const fetchInputFormats = async () => {
+      try {
+        const res = await get(`/${PLUGIN_ID}/import/formats`);
+        setInputFormats(res.data.data);
+      } catch (err) {
+        handleRequestErr(err, {
+          default: () =>
+            notify(
+              i18n('plugin.message.import.error.unexpected.title'),
+              i18n('plugin.message.import.error.unexpected.message'),
+              'danger'
+            ),
+        });
+      }
+    };
+    fetchInputFormats();
+  }, [isOpen]);
+
+  const inputFormat = inputFormats.find((inputFormat) => inputFormat.name === format);
+
   const onDataChanged = (data) => {
     setData(data);
   };
@@ -115,16 +162,21 @@ export const ImportModal = ({ onClose }) => {
   };
 
   const readFile = (file) => {
-    if (file.type === 'text/csv' || /\.csv$/i.test(file.name)) {
-      setDataFormat(dataFormats.CSV);
-      setFileType('csv');
-    } else if (file.type === 'application/json' || /\.json$/i.test(file.name)) {
-      setDataFormat(dataFormats.JSON);
-      // Keep the current fileType selection for JSON files (could be 'strapi' or 'postgres')
-      // User can change it after loading if needed
-    } else {
+    const extension = file.name.split('.').pop().toLowerCase();
+    const canRead = (inputFormat) => inputFormat.extensions.includes(extension) || inputFormat.mimeTypes.includes(file.type);
+    // The selected format is kept when it can read the file, several formats may share an extension.
+    const fileFormat = [inputFormat, ...inputFormats].find((inputFormat) => inputFormat && canRead(inputFormat));
+    if (!fileFormat) {
       throw new Error(`File type ${file.type} not supported.`);
     }
+    setFormat(fileFormat.name);
+    setDataFormat(getDataFormat(fileFormat.name));
+
+    // Binary files can't be edited, they are always uploaded as is.
+    if (file.size > LARGE_FILE_SIZE || fileFormat.binary) {
+      setStreamedFile(file);
+      return;
+    }
 
     const reader = new FileReader();
     reader.onload = async (e) => {
@@ -137,48 +189,77 @@ export const ImportModal = ({ onClose }) => {
   const openCodeEditor = () => {
     setData('{\n\t\n}');
     setDataFormat(dataFormats.JSON);
+    if (!inputFormat?.extensions.includes('json')) {
+      setFormat('json');
+    }
   };
 
   const resetDataSource = () => {
     setData('');
+    setStreamedFile(null);
     setDataFormat(dataFormats.CSV);
     setFile({});
   };
 
-  const fetchClient = useFetchClient(); // Use the hook here within the component
-
-  const uploadData = async () => {
+  const uploadData = async ({ dryRun = false, data: dataToImport = data, file: fileToImport = streamedFile, format: formatToImport = format } = {}) => {
     setUploadingData(true);
+    setJobProgress(null);
     try {
-      const { post } = fetchClient;
-      const res = await post(`/${PLUGIN_ID}/import`, {
-        // body: JSON.stringify({ slug, data, format: dataFormat, ...options }),
-        data:{ slug, data, format: dataFormat, fileType, ...options },
-        // headers: {
-        //   'Content-Type': 'application/json',
-        // },
-      });
+      // Mirror imports delete entries, the user confirms how many once a dry run has counted them.
+      if (options.mirror && !dryRun) {
+        const previewData = await runJob(
+          'import',
+          { slug, ...(fileToImport ? {} : { data: dataToImport }), format: formatToImport, ...options, dryRun: true },
+          { onProgress: setJobProgress, file: fileToImport }
+        );
+        const deleteCounts = countDeletesBySlug(previewData.preview);
+        if (Object.keys(deleteCounts).length > 0 && !(await confirmMirror(deleteCounts))) {
+          return;
+        }
+        setJobProgress(null);
+      }
+
+      // Imports run as background jobs, so large files don't depend on a single long request.
+      const responseData = await runJob(
+        'import',
+        { slug, ...(fileToImport ? {} : { data: dataToImport }), format: formatToImport, ...options, dryRun },
+        { onProgress: setJobProgress, file: fileToImport }
+      );
 
-      // Handle both res.data and direct res response formats
-      const responseData = res.data || res;
       const failures = responseData.failures || [];
+      setImportFailures(failures);
+      setFailedRowsContent(formatFailedRows(failures, dataFormat));
+      setImportMedia(responseData.media || null);
       
-      if (!failures || failures.length === 0) {
+      if (dryRun) {
+        setImportPreview(responseData.preview);
+        setUploadSuccessful(ModalState.PREVIEW);
+      } else if (!failures || failures.length === 0) {
         setUploadSuccessful(ModalState.SUCCESS);
         notify(
           i18n('plugin.message.import.success.imported.title'),
           i18n('plugin.message.import.success.imported.message'),
           'success'
         );
-        // Close modal after a short delay to show success message
-        setTimeout(() => {
-          setIsOpen(false);
-          resetModal();
-          refreshView();
-        }, 1500);
+        // Close modal after a short delay to show success message, unless there are media files to report.
+        if (!responseData.media) {
+          setTimeout(() => {
+            setIsOpen(false);
+            resetModal();
+            refreshView();
+          }, 1500);
+        }
+      } else if (responseData.rollback) {
+        setUploadSuccessful(ModalState.PARTIAL);
+        setImportRollback(responseData.rollback);
+        notify(
+          i18n('plugin.message.import.error.rolled-back.title'),
+          i18n('plugin.message.import.error.rolled-back.message'),
+          'danger'
+        );
       } else {
         setUploadSuccessful(ModalState.PARTIAL);
-        setImportFailuresContent(JSON.stringify(failures, null, '\t'));
+        setImportRollback(null);
         notify(
           i18n('plugin.message.import.error.imported-partial.title'),
           i18n('plugin.message.import.error.imported-partial.message'),
@@ -211,6 +292,61 @@ export const ImportModal = ({ onClose }) => {
     }
   };
 
+  const confirmMirror = (deleteCounts) => new Promise((resolve) => setMirrorConfirmation({ deleteCounts, resolve }));
+
+  const closeMirrorConfirmation = (confirmed) => {
+    mirrorConfirmation?.resolve(confirmed);
+    setMirrorConfirmation(null);
+  };
+
+  // Validation is a dry check of the rows against the model, which writes nothing.
+  const validateData = async () => {
+    setUploadingData(true);
+    setJobProgress(null);
+    try {
+      const res = await post(`/${PLUGIN_ID}/import/validate`, {
+        data: { slug, data, format, ...options },
+      });
+
+      const failures = res.data.failures || [];
+      setImportFailures(failures);
+      setFailedRowsContent(formatFailedRows(failures, dataFormat));
+      setUploadSuccessful(ModalState.VALIDATION);
+    } catch (err) {
+      handleRequestErr(err, {
+        403: () =>
+          notify(
+            i18n('plugin.message.import.error.forbidden.title'),
+            i18n('plugin.message.import.error.forbidden.message'),
+            'danger'
+          ),
+        default: () =>
+          notify(
+            i18n('plugin.message.import.error.unexpected.title'),
+            i18n('plugin.message.import.error.unexpected.message'),
+            'danger'
+          ),
+      });
+    } finally {
+      setUploadingData(false);
+    }
+  };
+
+  const downloadFailedRows = () => {
+    const { fileExt, fileContentType } = dataFormatConfigs[dataFormat];
+    downloadFile(failedRowsContent, withTimestamp(`${slug}-failed-rows.${fileExt}`), `${fileContentType};charset=utf-8;`);
+  };
+
+  // Only the failed rows, as edited by the user, are imported again.
+  const retryFailedRows = () => {
+    // Failed rows of binary files are edited as JSON.
+    const retryFormat = inputFormat?.binary ? dataFormats.JSON : format;
+    setData(failedRowsContent);
+    setStreamedFile(null);
+    setFormat(retryFormat);
+    uploadData({ data: failedRowsContent, file: null, format: retryFormat });
+  };
+
   const refreshView = () => {
     // Force refresh the current page to show new data
     window.location.reload();
@@ -218,10 +354,23 @@ export const ImportModal = ({ onClose }) => {
   
   const resetModal = () => {
     setData('');
+    setStreamedFile(null);
     setDataFormat(dataFormats.CSV);
     setFile({});
     setUploadSuccessful(ModalState.UNSET);
-    setImportFailuresContent('');
+    setImportFailures([]);
+    setFailedRowsContent('');
+    setImportPreview(null);
+    setImportMedia(null);
+    setImportRollback(null);
+  };
+
+  const closePreview = () => {
+    setUploadSuccessful(ModalState.UNSET);
+    setImportFailures([]);
+    setFailedRowsContent('');
+    setImportPreview(null);
+    setImportMedia(null);
   };
 
   const handleDragOver = (e) => {
@@ -257,12 +406,17 @@ export const ImportModal = ({ onClose }) => {
   };
 
   const showLoader = uploadingData;
-  const showFileDragAndDrop = !uploadingData && uploadSuccessful === ModalState.UNSET && !data;
-  const showEditor = !uploadingData && uploadSuccessful === ModalState.UNSET && data;
+  const showFileDragAndDrop = !uploadingData && uploadSuccessful === ModalState.UNSET && !data && !streamedFile;
+  const showEditor = !uploadingData && uploadSuccessful === ModalState.UNSET && (data || streamedFile);
   const showSuccess = !uploadingData && uploadSuccessful === ModalState.SUCCESS;
   const showPartialSuccess = !uploadingData && uploadSuccessful === ModalState.PARTIAL;
+  const showPreview = !uploadingData && uploadSuccessful === ModalState.PREVIEW;
+  const showValidation = !uploadingData && uploadSuccessful === ModalState.VALIDATION;
 
-  const showImportButton = showEditor;
+  const showImportButton = showEditor || showPreview || showValidation;
+  const showPreviewButton = showEditor;
+  // Streamed files are not loaded in the browser, so they can only be checked by importing them.
+  const showValidateButton = showEditor && !streamedFile;
   const showRemoveFileButton = showEditor;
 
   const handleOpenChange = (open) => {
@@ -298,10 +452,12 @@ export const ImportModal = ({ onClose }) => {
               <Field.Root>
                 <Field.Label>File Type</Field.Label>
                 <Field.Hint>Select the type of file you want to import</Field.Hint>
-                <SingleSelect value={fileType} onChange={setFileType}>
-                  <SingleSelectOption value="strapi">JSON (Strapi v2 format)</SingleSelectOption>
-                  <SingleSelectOption value="postgres">JSON (PostgreSQL export - mediations.json)</SingleSelectOption>
-                  <SingleSelectOption value="csv">CSV</SingleSelectOption>
+                <SingleSelect value={format} onChange={setFormat}>
+                  {inputFormats.map(({ name, label }) => (
+                    <SingleSelectOption key={name} value={name}>
+                      {label}
+                    </SingleSelectOption>
+                  ))}
                 </SingleSelect>
               </Field.Root>
             </Box>
@@ -319,7 +475,7 @@ export const ImportModal = ({ onClose }) => {
                   <Typography variant="delta" textColor="neutral600">
                     {i18n('plugin.import.drag-drop-file')}
                   </Typography>
-                  <input type="file" accept=".csv,.json" hidden="" onChange={onReadFile} />
+                  <input type="file" accept={getAcceptedFiles(inputFormats)} hidden="" onChange={onReadFile} />
                 </DragOverLabel>
                 <Label className="plugin-ie-import_modal_button-label" onClick={openCodeEditor}>
                   <IconWrapper>
@@ -335,11 +491,14 @@ export const ImportModal = ({ onClose }) => {
           {showLoader && (
             <>
               <Flex justifyContent="center">
-                <Loader>{i18n('plugin.import.importing-data')}</Loader>
+                <Loader>
+                  {i18n('plugin.import.importing-data')}
+                  {jobProgress?.total ? ` (${jobProgress.processed}/${jobProgress.total})` : jobProgress?.processed ? ` (${jobProgress.processed})` : ''}
+                </Loader>
               </Flex>
             </>
           )}
-          {showEditor && <ImportEditor file={file} data={data} dataFormat={dataFormat} fileType={fileType} slug={slug} onDataChanged={onDataChanged} onOptionsChanged={onOptionsChanged} />}
+          {showEditor && <ImportEditor file={streamedFile || file} streamed={!!streamedFile} data={data} dataFormat={dataFormat} formatLabel={inputFormat?.label} binary={!!inputFormat?.binary} slug={slug} onDataChanged={onDataChanged} onOptionsChanged={onOptionsChanged} />}
           {showSuccess && (
             <Flex direction="column" alignItems="center" gap={4}>
               <Box paddingBottom={4}>
@@ -348,8 +507,10 @@ export const ImportModal = ({ onClose }) => {
               <Typography variant="beta" textColor="neutral800">
                 {i18n('plugin.message.import.success.imported-successfully')}
               </Typography>
+              {importMedia && <ImportMediaReport media={importMedia} />}
               <Box paddingTop={4}>
-                <Button onClick={() => setIsOpen(false)} variant="tertiary">
+                {/* The view isn't refreshed by the modal closing itself when media files are reported. */}
+                <Button onClick={() => (importMedia ? refreshView() : setIsOpen(false))} variant="tertiary">
                   {i18n('plugin.cta.close')}
                 </Button>
               </Box>
@@ -358,12 +519,70 @@ export const ImportModal = ({ onClose }) => {
           {showPartialSuccess && (
             <>
               <Typography textColor="neutral800" fontWeight="bold" as="h2">
-                {i18n('plugin.import.partially-failed')}
+                {importRollback ? i18n('plugin.import.rolled-back') : i18n('plugin.import.partially-failed')}
               </Typography>
+              {importRollback && (
+                <Typography textColor="neutral800" as="p">
+                  {i18n('plugin.import.rolled-back.entry')} {importRollback.slug} #{importRollback.entry} ({importRollback.error})
+                </Typography>
+              )}
               <Typography textColor="neutral800" as="p">
                 {i18n('plugin.import.detailed-information')}
               </Typography>
-              <Editor content={importFailuresContent} language={'json'} readOnly />
+              <ImportFailures failures={importFailures} />
+              {importMedia && <ImportMediaReport media={importMedia} />}
+              <Box paddingTop={4}>
+                <Typography textColor="neutral800" as="p">
+                  {i18n('plugin.import.failed-rows')}
+                </Typography>
+                <Editor content={failedRowsContent} language={dataFormatConfigs[dataFormat].language} onChange={setFailedRowsContent} />
+              </Box>
+            </>
+          )}
+          {showPreview && (
+            <>
+              <Typography textColor="neutral800" fontWeight="bold" as="h2">
+                {i18n('plugin.import.preview.title')}
+              </Typography>
+              <Typography textColor="neutral800" as="p">
+                {i18n('plugin.import.preview.description')}
+              </Typography>
+              <Flex gap={4} paddingTop={2} paddingBottom={2}>
+                {['create', 'update', 'skip', ...(options.mirror ? ['delete'] : [])].map((action) => (
+                  <Typography key={action} textColor="neutral800">
+                    {i18n(`plugin.import.preview.${action}`)}: <b>{importPreview?.summary?.[action] ?? 0}</b>
+                  </Typography>
+                ))}
+              </Flex>
+              <Editor content={JSON.stringify(importPreview?.entries || [], null, '\t')} language={'json'} readOnly />
+              {importMedia && <ImportMediaReport media={importMedia} />}
+              {importFailures.length > 0 && (
+                <>
+                  <Typography textColor="neutral800" as="p">
+                    {i18n('plugin.import.detailed-information')}
+                  </Typography>
+                  <ImportFailures failures={importFailures} />
+                </>
+              )}
+            </>
+          )}
+          {showValidation && (
+            <>
+              <Typography textColor="neutral800" fontWeight="bold" as="h2">
+                {i18n('plugin.import.validation.title')}
+              </Typography>
+              {importFailures.length === 0 ? (
+                <Typography textColor="neutral800" as="p">
+                  {i18n('plugin.import.validation.valid')}
+                </Typography>
+              ) : (
+                <>
+                  <Typography textColor="neutral800" as="p">
+                    {i18n('plugin.import.validation.invalid')}
+                  </Typography>
+                  <ImportFailures failures={importFailures} />
+                </>
+              )}
             </>
           )}
         </Modal.Body>
@@ -373,15 +592,80 @@ export const ImportModal = ({ onClose }) => {
               {i18n('plugin.cta.back-to-data-sources')}
             </Button>
           )}
-          {showImportButton && <Button onClick={uploadData}>{i18n('plugin.cta.import')}</Button>}
+          {(showPreview || showValidation) && (
+            <Button onClick={closePreview} variant="tertiary">
+              {i18n('plugin.cta.back-to-options')}
+            </Button>
+          )}
+          {showValidateButton && (
+            <Button variant="secondary" onClick={validateData}>
+              {i18n('plugin.cta.validate')}
+            </Button>
+          )}
+          {showPreviewButton && (
+            <Button variant="secondary" onClick={() => uploadData({ dryRun: true })}>
+              {i18n('plugin.cta.preview')}
+            </Button>
+          )}
+          {showImportButton && <Button onClick={() => uploadData()}>{i18n('plugin.cta.import')}</Button>}
           {showPartialSuccess && (
             <Button variant="secondary" onClick={copyToClipboard}>
               {i18n('plugin.cta.copy-to-clipboard')}
             </Button>
           )}
+          {(showPartialSuccess || (showValidation && importFailures.length > 0)) && (
+            <Button variant="secondary" onClick={downloadFailedRows}>
+              {i18n('plugin.cta.download-failed-rows')}
+            </Button>
+          )}
+          {/* Rolled back imports wrote nothing, so all the rows must be imported again. */}
+          {showPartialSuccess && !importRollback && <Button onClick={retryFailedRows}>{i18n('plugin.cta.retry-failed-rows')}</Button>}
         </Modal.Footer>
+        <Dialog.Root open={!!mirrorConfirmation} onOpenChange={(open) => !open && closeMirrorConfirmation(false)}>
+          <Dialog.Content>
+            <Dialog.Header>{i18n('plugin.import.mirror.confirm.title')}</Dialog.Header>
+            <Dialog.Body icon={<WarningCircle fill="danger600" />}>
+              <Flex direction="column" alignItems="stretch" gap={2}>
+                <Typography textColor="neutral800" as="p">
+                  {formatMessage(
+                    { id: getTrad(`plugin.import.mirror.confirm.${options.mirrorAction || 'delete'}`) },
+                    { count: Object.values(mirrorConfirmation?.deleteCounts || {}).reduce((total, count) => total + count, 0) }
+                  )}
+                </Typography>
+                {Object.entries(mirrorConfirmation?.deleteCounts || {}).map(([deleteSlug, count]) => (
+                  <Typography key={deleteSlug} textColor="neutral800">
+                    {deleteSlug}: <b>{count}</b>
+                  </Typography>
+                ))}
+              </Flex>
+            </Dialog.Body>
+            <Dialog.Footer>
+              <Dialog.Cancel>
+                <Button fullWidth variant="tertiary">
+                  {i18n('plugin.cta.cancel')}
+                </Button>
+              </Dialog.Cancel>
+              <Dialog.Action>
+                <Button fullWidth variant="danger-light" onClick={() => closeMirrorConfirmation(true)}>
+                  {i18n('plugin.cta.import')}
+                </Button>
+              </Dialog.Action>
+            </Dialog.Footer>
+          </Dialog.Content>
+        </Dialog.Root>
       </Modal.Content>
       )}
     </Modal.Root>
   );
-};
\ No newline at end of file
+};
+
+// Only CSV data is edited and mapped as CSV, data of other formats is shown as is.
+// Failed rows are formatted as CSV, JSON Lines or JSON.
+const getDataFormat = (format) => ([dataFormats.CSV, dataFormats.NDJSON, dataFormats.YAML].includes(format) ? format : dataFormats.JSON);
+
+// Number of the entries a mirror import removes, by slug, from the preview of its dry run.
+const countDeletesBySlug = (preview) =>
+  (preview?.entries || []).filter(({ action }) => action === 'delete').reduce((counts, { slug }) => ({ ...counts, [slug]: (counts[slug] || 0) + 1 }), {});
+
+const getAcceptedFiles = (inputFormats) =>
+  [...new Set(inputFormats.flatMap(({ extensions, mimeTypes }) => [...extensions.map((extension) => `.${extension}`), ...mimeTypes]))].join(',');
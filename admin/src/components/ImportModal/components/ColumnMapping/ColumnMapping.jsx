@@ -0,0 +1,197 @@
+import {
+  Box,
+  Button,
+  Checkbox,
+  Field,
+  Flex,
+  SingleSelect,
+  SingleSelectOption,
+  Table,
+  Tbody,
+  Td,
+  TextInput,
+  Th,
+  Thead,
+  Tr,
+  Typography,
+} from '@strapi/design-system';
+import React, { useState } from 'react';
+
+import { useI18n } from '../../../../hooks/useI18n';
+import { useLocalStorage } from '../../../../hooks/useLocalStorage';
+
+const IGNORE_COLUMN = '__ignore__';
+
+const TRANSFORMS = ['trim', 'split', 'json'];
+
+export const ColumnMapping = ({ slug, columns, attributeNames, mapping, onMappingChanged }) => {
+  const { i18n } = useI18n();
+  const { getPreferences, updatePreferences } = useLocalStorage();
+
+  const [savedMappings, setSavedMappings] = useState(
+    () => getPreferences().columnMappings?.[slug] || {}
+  );
+  const [selectedMappingName, setSelectedMappingName] = useState('');
+  const [mappingName, setMappingName] = useState('');
+
+  // Columns without mapping are imported as is, into the attribute of the same name.
+  const getColumnMapping = (column) => mapping[column] || { attribute: column, transforms: [] };
+
+  const getColumnAttribute = (column) => {
+    if (!mapping[column]) {
+      return attributeNames.includes(column) ? column : '';
+    }
+    return mapping[column].attribute ?? IGNORE_COLUMN;
+  };
+
+  const setColumnMapping = (column, partialMapping) => {
+    onMappingChanged({ ...mapping, [column]: { ...getColumnMapping(column), ...partialMapping } });
+  };
+
+  const toggleTransform = (column, transform, enabled) => {
+    const transforms = getColumnMapping(column).transforms || [];
+    setColumnMapping(column, {
+      // Keep transforms in the order they are applied.
+      transforms: TRANSFORMS.filter((t) => (t === transform ? enabled : transforms.includes(t))),
+    });
+  };
+
+  const saveMappings = (mappings) => {
+    const { columnMappings } = getPreferences();
+    updatePreferences({ columnMappings: { ...columnMappings, [slug]: mappings } });
+    setSavedMappings(mappings);
+  };
+
+  const saveMapping = () => {
+    saveMappings({ ...savedMappings, [mappingName]: mapping });
+    setSelectedMappingName(mappingName);
+  };
+
+  const loadMapping = (name) => {
+    setSelectedMappingName(name);
+    setMappingName(name);
+    onMappingChanged(savedMappings[name] || {});
+  };
+
+  const deleteMapping = () => {
+    const { [selectedMappingName]: _deleted, ...mappings } = savedMappings;
+    saveMappings(mappings);
+    setSelectedMappingName('');
+  };
+
+  if (!columns.length) {
+    return (
+      <Typography textColor="neutral600" as="p">
+        {i18n('plugin.import.mapping.no-columns')}
+      </Typography>
+    );
+  }
+
+  return (
+    <Flex direction="column" alignItems="stretch" gap={4}>
+      <Flex gap={2} alignItems="flex-end">
+        <Box flex="1">
+          <Field.Root>
+            <Field.Label>{i18n('plugin.import.mapping.saved')}</Field.Label>
+            <SingleSelect
+              value={selectedMappingName}
+              onChange={loadMapping}
+              placeholder={i18n('plugin.import.mapping.saved.placeholder')}
+              disabled={!Object.keys(savedMappings).length}
+            >
+              {Object.keys(savedMappings).map((name) => (
+                <SingleSelectOption key={name} value={name}>
+                  {name}
+                </SingleSelectOption>
+              ))}
+            </SingleSelect>
+          </Field.Root>
+        </Box>
+        <Button variant="danger-light" onClick={deleteMapping} disabled={!selectedMappingName}>
+          {i18n('plugin.cta.delete')}
+        </Button>
+      </Flex>
+      <Flex gap={2} alignItems="flex-end">
+        <Box flex="1">
+          <Field.Root>
+            <Field.Label>{i18n('plugin.import.mapping.name')}</Field.Label>
+            <TextInput value={mappingName} onChange={(e) => setMappingName(e.target.value)} />
+          </Field.Root>
+        </Box>
+        <Button variant="secondary" onClick={saveMapping} disabled={!mappingName.trim()}>
+          {i18n('plugin.cta.save')}
+        </Button>
+      </Flex>
+      <Table colCount={3} rowCount={columns.length + 1}>
+        <Thead>
+          <Tr>
+            <Th>
+              <Typography variant="sigma">{i18n('plugin.import.mapping.column')}</Typography>
+            </Th>
+            <Th>
+              <Typography variant="sigma">{i18n('plugin.import.mapping.attribute')}</Typography>
+            </Th>
+            <Th>
+              <Typography variant="sigma">{i18n('plugin.import.mapping.transforms')}</Typography>
+            </Th>
+          </Tr>
+        </Thead>
+        <Tbody>
+          {columns.map((column) => {
+            const { transforms = [], delimiter = ',' } = getColumnMapping(column);
+            return (
+              <Tr key={column}>
+                <Td>
+                  <Typography textColor="neutral800">{column}</Typography>
+                </Td>
+                <Td>
+                  <SingleSelect
+                    aria-label={column}
+                    value={getColumnAttribute(column)}
+                    onChange={(value) =>
+                      setColumnMapping(column, {
+                        attribute: value === IGNORE_COLUMN ? null : value,
+                      })
+                    }
+                    placeholder={i18n('plugin.import.mapping.attribute.placeholder')}
+                  >
+                    <SingleSelectOption value={IGNORE_COLUMN}>
+                      {i18n('plugin.import.mapping.ignore')}
+                    </SingleSelectOption>
+                    {attributeNames.map((name) => (
+                      <SingleSelectOption key={name} value={name}>
+                        {name}
+                      </SingleSelectOption>
+                    ))}
+                  </SingleSelect>
+                </Td>
+                <Td>
+                  <Flex gap={3}>
+                    {TRANSFORMS.map((transform) => (
+                      <Checkbox
+                        key={transform}
+                        checked={transforms.includes(transform)}
+                        onCheckedChange={(value) => toggleTransform(column, transform, !!value)}
+                      >
+                        {i18n(`plugin.import.mapping.transform.${transform}`)}
+                      </Checkbox>
+                    ))}
+                    {transforms.includes('split') && (
+                      <TextInput
+                        aria-label={i18n('plugin.import.mapping.delimiter')}
+                        placeholder={i18n('plugin.import.mapping.delimiter')}
+                        value={delimiter}
+                        onChange={(e) => setColumnMapping(column, { delimiter: e.target.value })}
+                        size="S"
+                      />
+                    )}
+                  </Flex>
+                </Td>
+              </Tr>
+            );
+          })}
+        </Tbody>
+      </Table>
+    </Flex>
+  );
+};
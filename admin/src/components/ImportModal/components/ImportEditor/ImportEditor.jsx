@@ -1,21 +1,32 @@
-import { Box, Tabs, Typography, Grid, Field, SingleSelect, SingleSelectOption, Checkbox } from '@strapi/design-system';
+import { Box, Tabs, Typography, Grid, Field, MultiSelect, MultiSelectOption, SingleSelect, SingleSelectOption, Checkbox } from '@strapi/design-system';
 import React, { useEffect, useState } from 'react';
 import { useFetchClient } from '@strapi/admin/strapi-admin'; // Import useFetchClient hook
 import { PLUGIN_ID } from '../../../../pluginId'; // Ensure PLUGIN_ID is correctly imported
 
 import { useForm } from '../../../../hooks/useForm';
 import { useI18n } from '../../../../hooks/useI18n';
+import { getCsvColumns } from '../../../../utils/csv';
+import { dataFormats } from '../../../../utils/dataFormats';
 import { Editor } from '../../../Editor/Editor';
+import { ColumnMapping } from '../ColumnMapping/ColumnMapping';
 
-export const ImportEditor = ({ file, data, dataFormat, fileType, slug, onDataChanged, onOptionsChanged }) => {
+export const ImportEditor = ({ file, streamed = false, data, dataFormat, formatLabel, binary = false, slug, onDataChanged, onOptionsChanged }) => {
   const { i18n } = useI18n();
   const [attributeNames, setAttributeNames] = useState([]);
-  const [defaultIdField, setDefaultIdField] = useState('id');
+  // Attributes identifying an entry, several of them forming a composite key.
+  const [defaultIdField, setDefaultIdField] = useState(['id']);
+  const [columns, setColumns] = useState([]);
   const fetchClient = useFetchClient(); // Use the hook here within the component
 
   const { options, getOption, setOption } = useForm({ 
     idField: defaultIdField,
-    importAsDrafts: true // Default to true for safety
+    importAsDrafts: true, // Default to true for safety
+    atomic: false,
+    conflictStrategy: 'update',
+    missingRelationStrategy: 'create',
+    columnMapping: {},
+    mirror: false,
+    mirrorAction: 'delete',
   });
 
   useEffect(() => {
@@ -32,16 +43,17 @@ export const ImportEditor = ({ file, data, dataFormat, fileType, slug, onDataCha
         // This would need to be exposed by the backend endpoint
         const configuredIdField = resData?.data?.data?.idField;
         if (configuredIdField) {
-          setDefaultIdField(configuredIdField);
-          setOption('idField', configuredIdField);
+          const idFields = [].concat(configuredIdField);
+          setDefaultIdField(idFields);
+          setOption('idField', idFields);
         } else if (attributes.includes('id')) {
           // Default to 'id' if it exists
-          setDefaultIdField('id');
-          setOption('idField', 'id');
+          setDefaultIdField(['id']);
+          setOption('idField', ['id']);
         } else if (attributes.length > 0) {
           // Otherwise use the first available attribute
-          setDefaultIdField(attributes[0]);
-          setOption('idField', attributes[0]);
+          setDefaultIdField([attributes[0]]);
+          setOption('idField', [attributes[0]]);
         }
       } catch (error) {
         console.error('Error fetching attribute names:', error);
@@ -54,6 +66,19 @@ export const ImportEditor = ({ file, data, dataFormat, fileType, slug, onDataCha
     onOptionsChanged(options);
   }, [options]);
 
+  const isConfiguredIdField = defaultIdField.join() !== 'id';
+
+  useEffect(() => {
+    if (dataFormat !== dataFormats.CSV) {
+      setColumns([]);
+    } else if (streamed) {
+      // Only the header line is needed, don't load the whole file.
+      file.slice(0, 64 * 1024).text().then((text) => setColumns(getCsvColumns(text)));
+    } else {
+      setColumns(getCsvColumns(data));
+    }
+  }, [data, dataFormat, file, streamed]);
+
   console.log('attributeNames', attributeNames);
 
   return (
@@ -61,6 +86,7 @@ export const ImportEditor = ({ file, data, dataFormat, fileType, slug, onDataCha
       
       <Tabs.List aria-label="Import editor">
         <Tabs.Trigger value="file">{i18n('plugin.import.tab.file')}</Tabs.Trigger>
+        {dataFormat === dataFormats.CSV && <Tabs.Trigger value="mapping">{i18n('plugin.import.tab.mapping')}</Tabs.Trigger>}
         <Tabs.Trigger value="options">{i18n('plugin.import.tab.options')}</Tabs.Trigger>
       </Tabs.List>
       <Tabs.Content value="file">
@@ -71,18 +97,37 @@ export const ImportEditor = ({ file, data, dataFormat, fileType, slug, onDataCha
                 {i18n('plugin.import.file-name')}:
               </Typography>
               <Typography as="span"> {file.name}</Typography>
-              {dataFormat === 'json' && (
+              {formatLabel && (
                 <Typography variant="pi" textColor="neutral600" as="span">
-                  {fileType === 'postgres' ? ' (PostgreSQL export format)' : ' (Strapi v2 format)'}
+                  {` (${formatLabel})`}
                 </Typography>
               )}
             </Box>
           )}
           <Box marginTop={2}>
-            <Editor content={data} language={dataFormat} onChange={onDataChanged} />
+            {streamed ? (
+              <Typography textColor="neutral600" as="p">
+                {i18n(binary ? 'plugin.import.file-binary' : 'plugin.import.file-streamed')}
+              </Typography>
+            ) : (
+              <Editor content={data} language={dataFormat} onChange={onDataChanged} />
+            )}
           </Box>
         </Box>
       </Tabs.Content>
+      {dataFormat === dataFormats.CSV && (
+        <Tabs.Content value="mapping">
+          <Box padding={4}>
+            <ColumnMapping
+              slug={slug}
+              columns={columns}
+              attributeNames={attributeNames}
+              mapping={getOption('columnMapping')}
+              onMappingChanged={(mapping) => setOption('columnMapping', mapping)}
+            />
+          </Box>
+        </Tabs.Content>
+      )}
       <Tabs.Content value="options">
         <Box padding={4}>
           <Grid.Root gap={4} marginTop={2}>
@@ -91,27 +136,54 @@ export const ImportEditor = ({ file, data, dataFormat, fileType, slug, onDataCha
                 <Field.Label>{i18n('plugin.form.field.id-field.label')}</Field.Label>
                 <Field.Hint>
                   {i18n('plugin.form.field.id-field.hint')}
-                  {defaultIdField !== 'id' && defaultIdField === getOption('idField') && (
+                  {isConfiguredIdField && defaultIdField.join() === getOption('idField').join() && (
                     <span style={{ display: 'block', marginTop: '4px', fontStyle: 'italic' }}>
-                      (Configured in model schema: {defaultIdField})
+                      (Configured in model schema: {defaultIdField.join(', ')})
                     </span>
                   )}
                 </Field.Hint>
-                <SingleSelect
+                <MultiSelect
                   onChange={(value) => setOption('idField', value)}
                   value={getOption('idField')}
                   placeholder={i18n('plugin.form.field.id-field.placeholder')}
+                  withTags
                 >
                   {attributeNames?.length > 0 ? (
                     attributeNames.map((name) => (
-                      <SingleSelectOption key={name} value={name}>
+                      <MultiSelectOption key={name} value={name}>
                         {name}
-                        {name === defaultIdField && defaultIdField !== 'id' && ' (configured default)'}
-                      </SingleSelectOption>
+                        {isConfiguredIdField && defaultIdField.includes(name) && ' (configured default)'}
+                      </MultiSelectOption>
                     ))
                   ) : (
-                    <SingleSelectOption value="">No attribute found</SingleSelectOption>
+                    <MultiSelectOption value="">No attribute found</MultiSelectOption>
                   )}
+                </MultiSelect>
+              </Field.Root>
+            </Grid.Item>
+            <Grid.Item>
+              <Field.Root>
+                <Field.Label>{i18n('plugin.form.field.conflict-strategy.label')}</Field.Label>
+                <Field.Hint>{i18n('plugin.form.field.conflict-strategy.hint')}</Field.Hint>
+                <SingleSelect onChange={(value) => setOption('conflictStrategy', value)} value={getOption('conflictStrategy')}>
+                  {['update', 'skip', 'fail', 'merge'].map((strategy) => (
+                    <SingleSelectOption key={strategy} value={strategy}>
+                      {i18n(`plugin.form.field.conflict-strategy.${strategy}`)}
+                    </SingleSelectOption>
+                  ))}
+                </SingleSelect>
+              </Field.Root>
+            </Grid.Item>
+            <Grid.Item>
+              <Field.Root>
+                <Field.Label>{i18n('plugin.form.field.missing-relation-strategy.label')}</Field.Label>
+                <Field.Hint>{i18n('plugin.form.field.missing-relation-strategy.hint')}</Field.Hint>
+                <SingleSelect onChange={(value) => setOption('missingRelationStrategy', value)} value={getOption('missingRelationStrategy')}>
+                  {['create', 'skip', 'fail'].map((strategy) => (
+                    <SingleSelectOption key={strategy} value={strategy}>
+                      {i18n(`plugin.form.field.missing-relation-strategy.${strategy}`)}
+                    </SingleSelectOption>
+                  ))}
                 </SingleSelect>
               </Field.Root>
             </Grid.Item>
@@ -129,6 +201,36 @@ export const ImportEditor = ({ file, data, dataFormat, fileType, slug, onDataCha
                 </Field.Hint>
               </Field.Root>
             </Grid.Item>
+            <Grid.Item>
+              <Field.Root>
+                <Checkbox checked={getOption('atomic')} onCheckedChange={(value) => setOption('atomic', value)}>
+                  {i18n('plugin.form.field.atomic.label')}
+                </Checkbox>
+                <Field.Hint>{i18n('plugin.form.field.atomic.hint')}</Field.Hint>
+              </Field.Root>
+            </Grid.Item>
+            <Grid.Item>
+              <Field.Root>
+                <Checkbox checked={getOption('mirror')} onCheckedChange={(value) => setOption('mirror', value)}>
+                  {i18n('plugin.form.field.mirror.label')}
+                </Checkbox>
+                <Field.Hint>{i18n('plugin.form.field.mirror.hint')}</Field.Hint>
+              </Field.Root>
+            </Grid.Item>
+            {getOption('mirror') && (
+              <Grid.Item>
+                <Field.Root>
+                  <Field.Label>{i18n('plugin.form.field.mirror-action.label')}</Field.Label>
+                  <SingleSelect onChange={(value) => setOption('mirrorAction', value)} value={getOption('mirrorAction')}>
+                    {['delete', 'unpublish'].map((action) => (
+                      <SingleSelectOption key={action} value={action}>
+                        {i18n(`plugin.form.field.mirror-action.${action}`)}
+                      </SingleSelectOption>
+                    ))}
+                  </SingleSelect>
+                </Field.Root>
+              </Grid.Item>
+            )}
           </Grid.Root>
         </Box>
       </Tabs.Content>
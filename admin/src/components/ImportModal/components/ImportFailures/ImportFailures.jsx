@@ -0,0 +1,48 @@
+import { Table, Tbody, Td, Th, Thead, Tr, Typography } from '@strapi/design-system';
+import React from 'react';
+
+import { useI18n } from '../../../../hooks/useI18n';
+
+const COLUMNS = ['row', 'slug', 'attribute', 'code', 'message'];
+
+export const ImportFailures = ({ failures }) => {
+  const { i18n } = useI18n();
+
+  return (
+    <Table colCount={COLUMNS.length} rowCount={failures.length + 1}>
+      <Thead>
+        <Tr>
+          {COLUMNS.map((column) => (
+            <Th key={column}>
+              <Typography variant="sigma">{i18n(`plugin.import.failures.${column}`)}</Typography>
+            </Th>
+          ))}
+        </Tr>
+      </Thead>
+      <Tbody>
+        {failures.map((failure, idx) => (
+          <Tr key={idx}>
+            {/* Entries of v2 files have no row number, they are identified by their file id. */}
+            <Td>
+              <Typography textColor="neutral800">{failure.row ?? failure.fileId}</Typography>
+            </Td>
+            <Td>
+              <Typography textColor="neutral800">{failure.slug}</Typography>
+            </Td>
+            <Td>
+              <Typography textColor="neutral800">{failure.attribute || '-'}</Typography>
+            </Td>
+            <Td>
+              <Typography textColor="neutral800">{failure.code}</Typography>
+            </Td>
+            <Td>
+              <Typography textColor="neutral800" ellipsis={false}>
+                {failure.message}
+              </Typography>
+            </Td>
+          </Tr>
+        ))}
+      </Tbody>
+    </Table>
+  );
+};
@@ -0,0 +1,60 @@
+import { Flex, Table, Tbody, Td, Th, Thead, Tr, Typography } from '@strapi/design-system';
+import React from 'react';
+
+import { useI18n } from '../../../../hooks/useI18n';
+
+const ACTIONS = ['reuse', 'upload'];
+const COLUMNS = ['key', 'name', 'action', 'id'];
+
+/**
+ * Media files an import reused from the media library or uploaded.
+ */
+export const ImportMediaReport = ({ media }) => {
+  const { i18n } = useI18n();
+
+  return (
+    <Flex direction="column" alignItems="stretch" gap={2} paddingTop={4}>
+      <Typography textColor="neutral800" fontWeight="bold" as="h3">
+        {i18n('plugin.import.media.title')}
+      </Typography>
+      <Flex gap={4}>
+        {ACTIONS.map((action) => (
+          <Typography key={action} textColor="neutral800">
+            {i18n(`plugin.import.media.${action}`)}: <b>{media.summary?.[action] ?? 0}</b>
+          </Typography>
+        ))}
+      </Flex>
+      <Table colCount={COLUMNS.length} rowCount={media.files.length + 1}>
+        <Thead>
+          <Tr>
+            {COLUMNS.map((column) => (
+              <Th key={column}>
+                <Typography variant="sigma">{i18n(`plugin.import.media.${column}`)}</Typography>
+              </Th>
+            ))}
+          </Tr>
+        </Thead>
+        <Tbody>
+          {media.files.map((file) => (
+            <Tr key={`${file.slug}:${file.key}`}>
+              <Td>
+                <Typography textColor="neutral800">{file.key}</Typography>
+              </Td>
+              <Td>
+                <Typography textColor="neutral800">{file.name || '-'}</Typography>
+              </Td>
+              <Td>
+                <Typography textColor="neutral800">
+                  {i18n(`plugin.import.media.${file.action}`)}
+                </Typography>
+              </Td>
+              <Td>
+                <Typography textColor="neutral800">{file.dbId ?? '-'}</Typography>
+              </Td>
+            </Tr>
+          ))}
+        </Tbody>
+      </Table>
+    </Flex>
+  );
+};
@@ -0,0 +1,56 @@
+import { useFetchClient } from '@strapi/admin/strapi-admin';
+
+import { PLUGIN_ID } from '../pluginId';
+
+const JobStatus = {
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+const POLLING_INTERVAL = 1000;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export const useJobs = () => {
+  const { get, post } = useFetchClient();
+
+  /**
+   * Start a background job, poll its status until it finishes and return its result.
+   * @param {("import"|"export")} type
+   * @param {Object} data - Body data of the job request.
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with the job status at each poll.
+   * @param {File} [options.file] - File uploaded as is along with the data, instead of being sent in the data.
+   */
+  const runJob = async (type, data, { onProgress, file } = {}) => {
+    let res;
+    if (file) {
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('data', JSON.stringify(data));
+      res = await post(`/${PLUGIN_ID}/jobs/${type}/file`, formData);
+    } else {
+      res = await post(`/${PLUGIN_ID}/jobs/${type}`, { data });
+    }
+    let job = res.data.data;
+    onProgress?.(job);
+
+    while (![JobStatus.DONE, JobStatus.FAILED].includes(job.status)) {
+      await wait(POLLING_INTERVAL);
+      const statusRes = await get(`/${PLUGIN_ID}/jobs/${job.id}`);
+      job = statusRes.data.data;
+      onProgress?.(job);
+    }
+
+    if (job.status === JobStatus.FAILED) {
+      throw new Error(job.error);
+    }
+
+    const resultRes = await get(`/${PLUGIN_ID}/jobs/${job.id}/result`);
+    return resultRes.data.data;
+  };
+
+  return {
+    runJob,
+  };
+};
@@ -3,6 +3,8 @@ const PREFERENCES_KEY = 'preferences';
 const DEFAULT_PREFERENCES = {
   applyFilters: false,
   deepness: 5,
+  // Named CSV column mappings, by content type slug.
+  columnMappings: {},
 };
 
 export const useLocalStorage = () => {
@@ -92,6 +92,10 @@ export default {
         data: translations.en,
         locale: 'en'
       },
+      {
+        data: translations.fr,
+        locale: 'fr'
+      },
       {
         data: translations.uk,
         locale: 'uk'
@@ -9,6 +9,7 @@ import { Header } from '../components/Header.jsx';
 import { ImportModal } from '../components/ImportModal/ImportModal.jsx';
 import { ExportModal } from '../components/ExportModal/ExportModal.jsx';
 import Preferences from '../components/Preferences/Preferences.jsx';
+import ImportBatches from '../components/ImportBatches/ImportBatches.jsx';
 import About from '../components/About/About.jsx';
 import { getTranslation } from '../utils/getTranslation';
 import { useI18n } from '../hooks/useI18n';
@@ -44,7 +45,7 @@ const HomePage = () => {
                   <Flex direction="column" alignItems="start" gap={4}>
                     <Flex gap={4}>
                       <ImportModal />
-                      <ExportModal availableExportFormats={[dataFormats.CSV, dataFormats.JSON_V2, dataFormats.JSON]}/>
+                      <ExportModal availableExportFormats={[dataFormats.CSV, dataFormats.JSON_V2, dataFormats.JSON, dataFormats.NDJSON_V2, dataFormats.NDJSON, dataFormats.YAML_V2, dataFormats.YAML, dataFormats.XLSX, dataFormats.ZIP_V2]}/>
                       {/* <ExportButton availableExportFormats={[dataFormats.JSON_V2]} /> */}
                     </Flex>
                   </Flex>
@@ -54,6 +55,9 @@ const HomePage = () => {
             <Box padding={6} paddingTop={3} paddingBottom={0}>
               <Preferences />
             </Box>
+            <Box padding={6} paddingTop={3} paddingBottom={0}>
+              <ImportBatches />
+            </Box>
             <Box padding={6} paddingTop={3} paddingBottom={0}>
               <About />
             </Box>
@@ -1,7 +1,9 @@
 import en from "./en.json";
+import fr from "./fr.json";
 import uk from "./uk.json";
 
 export default {
   en,
+  fr,
   uk
 };
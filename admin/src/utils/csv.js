@@ -0,0 +1,68 @@
+/**
+ * Get the column names of CSV data from its header line.
+ * @param {string} text - CSV data, or at least its first line.
+ * @returns {Array<string>}
+ */
+export const getCsvColumns = (text) => {
+  const columns = [];
+  let column = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        column += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        column += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      columns.push(column);
+      column = '';
+    } else if (char === '\n' || char === '\r') {
+      break;
+    } else {
+      column += char;
+    }
+  }
+  columns.push(column);
+
+  return columns.map((c) => c.replace(/^\uFEFF/, '').trim()).filter(Boolean);
+};
+
+/**
+ * Format rows as CSV data.
+ * Nested objects, as read from `relation.attribute` columns, are written back to such columns.
+ * @param {Array<Object>} rows
+ * @returns {string}
+ */
+export const formatCsv = (rows) => {
+  const flatRows = rows.map((row) => flattenRow(row));
+  const columns = [...new Set(flatRows.flatMap((row) => Object.keys(row)))];
+
+  return [columns, ...flatRows.map((row) => columns.map((column) => row[column]))]
+    .map((values) => values.map(formatCsvValue).join(','))
+    .join('\n');
+};
+
+const flattenRow = (value, prefix = '', flatRow = {}) => {
+  if (value !== null && typeof value === 'object') {
+    for (const [key, nestedValue] of Object.entries(value)) {
+      const path = Array.isArray(value) ? `${prefix}[${key}]` : prefix ? `${prefix}.${key}` : key;
+      flattenRow(nestedValue, path, flatRow);
+    }
+  } else {
+    flatRow[prefix] = value;
+  }
+  return flatRow;
+};
+
+const formatCsvValue = (value) => {
+  const text = value == null ? '' : `${value}`;
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
@@ -2,6 +2,12 @@ export const dataFormats = {
   CSV: 'csv',
   JSON: 'json',
   JSON_V2: 'json-v2',
+  NDJSON: 'ndjson',
+  NDJSON_V2: 'ndjson-v2',
+  YAML: 'yaml',
+  YAML_V2: 'yaml-v2',
+  XLSX: 'xlsx',
+  ZIP_V2: 'zip-v2',
 };
 
 export const dataFormatConfigs = {
@@ -20,4 +26,36 @@ export const dataFormatConfigs = {
     fileContentType: 'application/json',
     language: 'json',
   },
+  [dataFormats.NDJSON]: {
+    fileExt: 'ndjson',
+    fileContentType: 'application/x-ndjson',
+    language: 'json',
+  },
+  [dataFormats.NDJSON_V2]: {
+    fileExt: 'ndjson',
+    fileContentType: 'application/x-ndjson',
+    language: 'json',
+  },
+  [dataFormats.YAML]: {
+    fileExt: 'yaml',
+    fileContentType: 'application/yaml',
+    language: 'yaml',
+  },
+  [dataFormats.YAML_V2]: {
+    fileExt: 'yaml',
+    fileContentType: 'application/yaml',
+    language: 'yaml',
+  },
+  // Exported encoded in base64.
+  [dataFormats.XLSX]: {
+    fileExt: 'xlsx',
+    fileContentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    binary: true,
+  },
+  // v2 JSON file bundled with the binaries of its media, exported encoded in base64.
+  [dataFormats.ZIP_V2]: {
+    fileExt: 'zip',
+    fileContentType: 'application/zip',
+    binary: true,
+  },
 };
@@ -0,0 +1,45 @@
+import { formatCsv } from './csv';
+import { dataFormats } from './dataFormats';
+import { formatYaml } from './yaml';
+
+/**
+ * Format the entries that failed to import, as they were in the imported data, so that they can
+ * be fixed and imported again.
+ * @param {Array<Object>} failures - Failure records returned by the import.
+ * @param {string} dataFormat - Format of the imported data.
+ * @returns {string}
+ */
+export const formatFailedRows = (failures, dataFormat) => {
+  // Entries of v2 files are identified by their file id, and may fail at several import stages.
+  if (failures.some((failure) => failure.fileId != null)) {
+    if (dataFormat === dataFormats.NDJSON) {
+      const lines = new Map(
+        failures.map(({ slug, fileId, data: entry }) => [
+          `${slug}:${fileId}`,
+          JSON.stringify({ version: 2, slug, id: fileId, data: entry }),
+        ])
+      );
+      return [...lines.values()].join('\n');
+    }
+    const data = {};
+    for (const { slug, fileId, data: entry } of failures) {
+      data[slug] = { ...data[slug], [fileId]: entry };
+    }
+    if (dataFormat === dataFormats.YAML) {
+      return formatYaml({ version: 2, data });
+    }
+    return JSON.stringify({ version: 2, data }, null, '\t');
+  }
+
+  const rows = failures.map((failure) => failure.data);
+  if (dataFormat === dataFormats.CSV) {
+    return formatCsv(rows);
+  }
+  if (dataFormat === dataFormats.NDJSON) {
+    return rows.map((row) => JSON.stringify(row)).join('\n');
+  }
+  if (dataFormat === dataFormats.YAML) {
+    return formatYaml(rows);
+  }
+  return JSON.stringify(rows, null, '\t');
+};
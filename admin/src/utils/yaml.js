@@ -0,0 +1,10 @@
+import { stringify } from 'yaml';
+
+/**
+ * Format data as YAML the way the server exports it: keys are sorted and multi-line strings are
+ * written as literal block scalars.
+ * @param {*} data
+ * @returns {string}
+ */
+export const formatYaml = (data) =>
+  stringify(data, { sortMapEntries: true, blockQuote: 'literal', lineWidth: 0 });
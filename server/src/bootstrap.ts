@@ -1,5 +1,6 @@
 import type { Core } from '@strapi/strapi';
 import {PLUGIN_ID} from '../../admin/src/pluginId';
+import { startChecksumIndexing } from './services/import/utils/media-checksum.js';
 
 const actions = [
   {
@@ -19,6 +20,7 @@ const actions = [
 const bootstrap = ({ strapi }: { strapi: Core.Strapi }) => {
   
   strapi.admin.services.permission.actionProvider.registerMany(actions);
+  startChecksumIndexing();
   // bootstrap phase
 };
 
@@ -1,8 +1,19 @@
+import pluginId from '../utils/pluginId.js';
+
 const CustomSlugs = {
   MEDIA: 'media',
   WHOLE_DB: 'custom:db',
 };
 
+/**
+ * Content types of the plugin.
+ */
+const PluginSlugs = {
+  IMPORT_BATCH: `plugin::${pluginId}.import-batch`,
+  IMPORT_BATCH_ENTRY: `plugin::${pluginId}.import-batch-entry`,
+  MEDIA_CHECKSUM: `plugin::${pluginId}.media-checksum`,
+};
+
 const CustomSlugToSlug = {
   [CustomSlugs.MEDIA]: 'plugin::upload.file',
 };
@@ -14,5 +25,6 @@ const isCustomSlug = (slug) => {
 export {
   CustomSlugs,
   CustomSlugToSlug,
+  PluginSlugs,
   isCustomSlug,
 };
@@ -6,11 +6,88 @@ const config = {
      * Public hostname of the server.
      */
     serverPublicHostname: '',
+    /**
+     * Number of entries imported at once when a file is streamed.
+     */
+    importBatchSize: 100,
+    /**
+     * Number of background import and export jobs run at the same time, all users together.
+     * The jobs of a user always run one at a time.
+     */
+    maxConcurrentJobs: 1,
+    /**
+     * Server-side directory media can be imported from, by giving their path relative to it.
+     * Relative to the root of the Strapi app. Importing media from paths is disabled when empty.
+     */
+    mediaImportDirectory: '',
+    /**
+     * Hosts media can be fetched from, such as `cdn.example.com`, or `*.example.com` for its
+     * subdomains. Media can be fetched from any host when empty.
+     */
+    mediaAllowedHosts: [],
+    /**
+     * Refuse to fetch media from hosts resolving to private, loopback or link-local addresses.
+     */
+    mediaBlockPrivateAddresses: true,
+    /**
+     * Time in milliseconds after which fetching a media is aborted.
+     */
+    mediaFetchTimeout: 30000,
+    /**
+     * Maximum size in bytes of fetched media.
+     */
+    mediaMaxSize: 50 * 1024 * 1024,
+    /**
+     * Number of times fetching a media is retried after a network error, a timeout or a server error.
+     */
+    mediaFetchRetries: 2,
+    /**
+     * Time in milliseconds before the first retry, doubled before each next one.
+     */
+    mediaFetchRetryDelay: 1000,
   },
-  validator: ({ serverPublicHostname } = {}) => {
+  validator: ({
+    serverPublicHostname,
+    importBatchSize,
+    maxConcurrentJobs,
+    mediaImportDirectory,
+    mediaAllowedHosts,
+    mediaBlockPrivateAddresses,
+    mediaFetchTimeout,
+    mediaMaxSize,
+    mediaFetchRetries,
+    mediaFetchRetryDelay,
+  } = {}) => {
     if (typeof serverPublicHostname !== 'string') {
       throw new Error('serverPublicHostname has to be a string.');
     }
+    if (!Number.isInteger(importBatchSize) || importBatchSize < 1) {
+      throw new Error('importBatchSize has to be a positive integer.');
+    }
+    if (!Number.isInteger(maxConcurrentJobs) || maxConcurrentJobs < 1) {
+      throw new Error('maxConcurrentJobs has to be a positive integer.');
+    }
+    if (typeof mediaImportDirectory !== 'string') {
+      throw new Error('mediaImportDirectory has to be a string.');
+    }
+    if (!Array.isArray(mediaAllowedHosts) || mediaAllowedHosts.some((host) => typeof host !== 'string')) {
+      throw new Error('mediaAllowedHosts has to be an array of strings.');
+    }
+    if (typeof mediaBlockPrivateAddresses !== 'boolean') {
+      throw new Error('mediaBlockPrivateAddresses has to be a boolean.');
+    }
+    if (!Number.isInteger(mediaFetchTimeout) || mediaFetchTimeout < 1) {
+      throw new Error('mediaFetchTimeout has to be a positive integer.');
+    }
+    if (!Number.isInteger(mediaMaxSize) || mediaMaxSize < 1) {
+      throw new Error('mediaMaxSize has to be a positive integer.');
+    }
+    if (!Number.isInteger(mediaFetchRetries) || mediaFetchRetries < 0) {
+      throw new Error('mediaFetchRetries has to be a non-negative integer.');
+    }
+    if (!Number.isInteger(mediaFetchRetryDelay) || mediaFetchRetryDelay < 0) {
+      throw new Error('mediaFetchRetryDelay has to be a non-negative integer.');
+    }
   },
 };
 
@@ -0,0 +1,52 @@
+export default {
+  kind: 'collectionType',
+  collectionName: 'strapi_import_export_batch_entries',
+  info: {
+    singularName: 'import-batch-entry',
+    pluralName: 'import-batch-entries',
+    displayName: 'Import Batch Entry',
+    description:
+      'Entry created, updated or deleted by an import, with the values it had before an update or a deletion.',
+  },
+  options: {
+    draftAndPublish: false,
+  },
+  pluginOptions: {
+    'content-manager': {
+      visible: false,
+    },
+    'content-type-builder': {
+      visible: false,
+    },
+  },
+  attributes: {
+    batch: {
+      type: 'relation',
+      relation: 'manyToOne',
+      target: 'plugin::strapi-import-export.import-batch',
+      inversedBy: 'entries',
+    },
+    slug: {
+      type: 'string',
+      required: true,
+    },
+    entryId: {
+      type: 'integer',
+      required: true,
+    },
+    entryDocumentId: {
+      type: 'string',
+    },
+    entryLocale: {
+      type: 'string',
+    },
+    action: {
+      type: 'enumeration',
+      enum: ['create', 'update', 'delete'],
+      required: true,
+    },
+    previous: {
+      type: 'json',
+    },
+  },
+};
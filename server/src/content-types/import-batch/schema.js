@@ -0,0 +1,56 @@
+export default {
+  kind: 'collectionType',
+  collectionName: 'strapi_import_export_batches',
+  info: {
+    singularName: 'import-batch',
+    pluralName: 'import-batches',
+    displayName: 'Import Batch',
+    description: 'Entries written by an import, so that the import can be reverted.',
+  },
+  options: {
+    draftAndPublish: false,
+  },
+  pluginOptions: {
+    'content-manager': {
+      visible: false,
+    },
+    'content-type-builder': {
+      visible: false,
+    },
+  },
+  attributes: {
+    slug: {
+      type: 'string',
+      required: true,
+    },
+    status: {
+      type: 'enumeration',
+      enum: ['done', 'reverted'],
+      default: 'done',
+    },
+    userId: {
+      type: 'integer',
+    },
+    createdCount: {
+      type: 'integer',
+      default: 0,
+    },
+    updatedCount: {
+      type: 'integer',
+      default: 0,
+    },
+    deletedCount: {
+      type: 'integer',
+      default: 0,
+    },
+    revertedAt: {
+      type: 'datetime',
+    },
+    entries: {
+      type: 'relation',
+      relation: 'oneToMany',
+      target: 'plugin::strapi-import-export.import-batch-entry',
+      mappedBy: 'batch',
+    },
+  },
+};
@@ -1 +1,9 @@
-export default {};
+import importBatch from './import-batch/index.js';
+import importBatchEntry from './import-batch-entry/index.js';
+import mediaChecksum from './media-checksum/index.js';
+
+export default {
+  'import-batch': importBatch,
+  'import-batch-entry': importBatchEntry,
+  'media-checksum': mediaChecksum,
+};
@@ -0,0 +1,5 @@
+import schema from './schema.js';
+
+export default {
+  schema,
+};
@@ -0,0 +1,36 @@
+export default {
+  kind: 'collectionType',
+  collectionName: 'strapi_import_export_media_checksums',
+  info: {
+    singularName: 'media-checksum',
+    pluralName: 'media-checksums',
+    displayName: 'Media Checksum',
+    description:
+      'SHA-256 checksum of the content of a media library file, used to reuse files instead of importing them twice.',
+  },
+  options: {
+    draftAndPublish: false,
+  },
+  pluginOptions: {
+    'content-manager': {
+      visible: false,
+    },
+    'content-type-builder': {
+      visible: false,
+    },
+  },
+  attributes: {
+    fileId: {
+      type: 'integer',
+      required: true,
+    },
+    fileHash: {
+      type: 'string',
+      required: true,
+    },
+    checksum: {
+      type: 'string',
+      required: true,
+    },
+  },
+};
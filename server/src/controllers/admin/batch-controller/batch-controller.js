@@ -0,0 +1,70 @@
+import { CustomSlugs, CustomSlugToSlug } from '../../../config/constants.js';
+import { getAllSlugs } from '../../../utils/models.js';
+import { getService } from '../../../utils/utils.js';
+import { handleAsyncError } from '../../content-api/utils.js';
+
+const getBatches = async (ctx) => {
+  const page = Number(ctx.query.page) || 1;
+  const pageSize = Math.min(Number(ctx.query.pageSize) || 20, 100);
+
+  const { results, pagination } = await getService('batches').getBatches({
+    page,
+    pageSize,
+    slugs: getReadableSlugs(ctx.state.userAbility),
+  });
+
+  ctx.body = {
+    data: results,
+    meta: { pagination },
+  };
+};
+
+const revertBatch = async (ctx) => {
+  const batch = await getService('batches').getBatch(ctx.params.id);
+  if (!batch) {
+    return ctx.notFound();
+  }
+
+  // Reverting deletes the entries the import created, and restores the ones it updated or deleted.
+  const slugs = await getService('batches').getBatchSlugs(batch.id);
+  if (!slugs.every((slug) => hasRevertPermissionForSlug(ctx.state.userAbility, slug))) {
+    return ctx.forbidden();
+  }
+
+  ctx.body = {
+    data: await getService('batches').revertBatch(batch.id),
+  };
+};
+
+const createPermissionChecker = (userAbility, slug) =>
+  strapi
+    .plugin('content-manager')
+    .service('permission-checker')
+    .create({ userAbility, model: CustomSlugToSlug[slug] || slug });
+
+/**
+ * Get the imported slugs whose batches the user can see: the content types they can read, and
+ * the whole database if they can read all of them.
+ */
+const getReadableSlugs = (userAbility) => {
+  const canRead = (slug) => createPermissionChecker(userAbility, slug).can.read();
+  const slugs = [...getAllSlugs({ includePluginsContentTypes: true }), CustomSlugs.MEDIA].filter(
+    canRead
+  );
+  return getAllSlugs().every(canRead) ? [...slugs, CustomSlugs.WHOLE_DB] : slugs;
+};
+
+const hasRevertPermissionForSlug = (userAbility, slug) => {
+  const permissionChecker = createPermissionChecker(userAbility, slug);
+
+  return (
+    permissionChecker.can.create() &&
+    permissionChecker.can.update() &&
+    permissionChecker.can.delete()
+  );
+};
+
+export default ({ strapi }) => ({
+  getBatches: handleAsyncError(getBatches),
+  revertBatch: handleAsyncError(revertBatch),
+});
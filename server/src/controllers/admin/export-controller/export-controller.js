@@ -11,20 +11,34 @@ const exportData = async (ctx) => {
   // let { slug, search, applySearch, exportFormat, relationsAsId, deepness = 5, exportPluginsContentTypes } = ctx.request.body;
 
   // let data;
-  let data;
   const { data: dataRaw } = ctx.request.body;
-  const { slug, search, applySearch, exportFormat, relationsAsId, deepness = 5, exportPluginsContentTypes } = dataRaw;
-  if (exportFormat === getService('export').formats.JSON_V2) {
-    data = await getService('export').exportDataV2({ slug, search, applySearch, deepness, exportPluginsContentTypes });
-  } else {
-    data = await getService('export').exportData({ slug, search, applySearch, exportFormat, relationsAsId, deepness });
-  }
+  const data = await runExport(dataRaw);
 
   ctx.body = {
     data,
   };
 };
 
+/**
+ * Export the data requested by an admin export request.
+ * @param {Object} dataRaw - Body data of the export request.
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the count of exported content types.
+ * @returns {Promise<string>}
+ */
+const runExport = async (dataRaw, { onProgress } = {}) => {
+  const { slug, search, applySearch, exportFormat, relationsAsId, deepness = 5, exportPluginsContentTypes, status } = dataRaw;
+  const { formats } = getService('export');
+  if ([formats.JSON_V2, formats.NDJSON_V2, formats.YAML_V2, formats.ZIP_V2].includes(exportFormat)) {
+    return getService('export').exportDataV2({ slug, search, applySearch, deepness, exportPluginsContentTypes, exportFormat, status, onProgress });
+  }
+
+  onProgress?.({ processed: 0, total: 1 });
+  const data = await getService('export').exportData({ slug, search, applySearch, exportFormat, relationsAsId, deepness, exportPluginsContentTypes });
+  onProgress?.({ processed: 1, total: 1 });
+  return data;
+};
+
 const hasPermissions = (ctx) => {
   const { data } = ctx.request.body;
   const {slug } = data
@@ -43,3 +57,5 @@ const hasPermissions = (ctx) => {
 export default ({ strapi }) => ({
   exportData: handleAsyncError(exportData),
 });
+
+export { runExport, hasPermissions };
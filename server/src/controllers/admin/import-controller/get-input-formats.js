@@ -0,0 +1,23 @@
+import { getService } from '../../../utils/utils.js';
+
+/**
+ * List the formats that files can be imported from, in the order they were registered.
+ */
+const getInputFormatsEndpoint = async (ctx) => {
+  const inputFormats = getService('import')
+    .getInputFormats()
+    .filter((inputFormat) => inputFormat.extensions.length)
+    .map(({ name, label, extensions, mimeTypes, binary }) => ({
+      name,
+      label,
+      extensions,
+      mimeTypes,
+      binary,
+    }));
+
+  ctx.body = {
+    data: inputFormats,
+  };
+};
+
+export default ({ strapi }) => getInputFormatsEndpoint;
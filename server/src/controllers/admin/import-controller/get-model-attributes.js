@@ -1,4 +1,4 @@
-import { getModelAttributes, getModel } from '../../../utils/models.js';
+import { getModel, getModelAttributes, getModelIdField } from '../../../utils/models.js';
 
 const getModelAttributesEndpoint = async (ctx) => {
   const { slug } = ctx.params;
@@ -7,16 +7,15 @@ const getModelAttributesEndpoint = async (ctx) => {
     .filter(filterAttribute)
     .map((attr) => attr.name);
 
+  // Content types entries keep their documentId across instances, unlike their id.
+  if (getModel(slug)?.modelType === 'contentType') {
+    attributeNames.unshift('documentId');
+  }
   attributeNames.unshift('id');
 
-  // Get the model configuration to check for configured idField
-  const model = getModel(slug);
-  let idField = 'id'; // Default value
-  
-  // Check if the model has import-export plugin options configured
-  if (model?.pluginOptions?.['strapi-import-export']?.idField) {
-    idField = model.pluginOptions['strapi-import-export'].idField;
-  }
+  // Get the idField configured in the model's plugin options, a single attribute or
+  // several attributes forming a composite key.
+  const idField = getModelIdField(slug);
 
   ctx.body = {
     data: {
@@ -1,9 +1,13 @@
+import getInputFormatsFunc from './get-input-formats.js';
 import getModelAttributesFunc from './get-model-attributes.js';
 import importDataFunc from './import-data.js';
+import validateDataFunc from './validate-data.js';
 
 const importController = ({ strapi }) => ({
+  getInputFormats: getInputFormatsFunc({ strapi }),
   getModelAttributes: getModelAttributesFunc({ strapi }),
   importData: importDataFunc({ strapi }),
+  validateData: validateDataFunc({ strapi }),
 });
 
 export default importController;
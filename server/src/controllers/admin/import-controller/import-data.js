@@ -1,5 +1,7 @@
+import { errors } from '@strapi/utils';
 import { CustomSlugs } from '../../../config/constants.js';
-import { getAllSlugs } from '../../../utils/models.js';
+import { MirrorActions } from '../../../services/import/utils/mirror.js';
+import { getAllSlugs, getModel } from '../../../utils/models.js';
 import { getService } from '../../../utils/utils.js';
 
 export default ({ strapi }) => importData;
@@ -9,25 +11,35 @@ async function importData(ctx) {
     return ctx.forbidden();
   }
 
-  const { user } = ctx.state;
+  const { user, userAbility } = ctx.state;
   const { data } = ctx.request.body;
-  const {slug, data:dataRaw, format, fileType, idField, importAsDrafts = true} = data
-  
-  strapi.log.info(`Import request received - slug: ${slug}, format: ${format}, fileType: ${fileType}, idField: ${idField}, importAsDrafts: ${importAsDrafts}`);
-  
-  // Determine the actual format based on fileType
-  let actualFormat = format;
-  if (fileType === 'postgres') {
-    actualFormat = 'postgres';
-  } else if (fileType === 'csv') {
-    actualFormat = 'csv';
-  } else if (fileType === 'strapi' && format === 'json') {
-    actualFormat = 'json';
-  }
+
+  const res = await runImport(data, { user, userAbility });
+
+  ctx.body = {
+    failures: res.failures,
+    preview: res.preview,
+    rollback: res.rollback,
+    batchId: res.batchId,
+    media: res.media,
+  };
+}
+
+/**
+ * Parse and import the data of an admin import request.
+ * @param {Object} data - Body data of the import request.
+ * @param {Object} options
+ * @param {Object} options.user - User importing the data.
+ * @param {Object} options.userAbility - Permissions of the user, checked against the content types a mirror import removes entries of.
+ * @param {Function} [options.onProgress] - Called with the count of processed entries.
+ * @returns {Promise<ImportDataRes>}
+ */
+async function runImport(data, { user, userAbility, onProgress }) {
+  const {slug, data:dataRaw, format, idField, importAsDrafts = true, dryRun = false, atomic = false, columnMapping, conflictStrategy, missingRelationStrategy, mirror = false, mirrorAction} = data
   
-  strapi.log.info(`Using format: ${actualFormat} for parsing`);
+  strapi.log.info(`Import request received - slug: ${slug}, format: ${format}, idField: ${idField}, importAsDrafts: ${importAsDrafts}, dryRun: ${dryRun}, atomic: ${atomic}, conflictStrategy: ${conflictStrategy}, mirror: ${mirror}`);
   
-  const fileContent = await getService('import').parseInputData(actualFormat, dataRaw, { slug, importAsDrafts });
+  const fileContent = await getService('import').parseInputData(format, dataRaw, { slug, importAsDrafts, columnMapping });
   
   strapi.log.info(`Parsed data type: ${typeof fileContent}, isArray: ${Array.isArray(fileContent)}, length: ${Array.isArray(fileContent) ? fileContent.length : 'N/A'}`);
   if (Array.isArray(fileContent) && fileContent.length > 0) {
@@ -45,38 +57,71 @@ async function importData(ctx) {
       user,
       idField,
       importAsDrafts,
+      dryRun,
+      atomic,
+      onProgress,
+      conflictStrategy,
+      mirror,
+      mirrorAction,
+      authorizeMirror: (slugs) => authorizeMirror(userAbility, slugs, mirrorAction),
     });
   } else {
-    // For postgres format, we've already parsed the data, so pass the parsed content
-    // For other formats, importData will handle the parsing internally
-    if (actualFormat === 'postgres') {
-      // Pass the already parsed data directly to avoid double parsing
-      res = await getService('import').importData(fileContent, {
-        slug,
-        format: 'jso', // Use 'jso' format to indicate pre-parsed JavaScript object
-        user,
-        idField,
-        importAsDrafts,
-      });
-    } else {
-      res = await getService('import').importData(dataRaw, {
-        slug,
-        format: actualFormat,
-        user,
-        idField,
-        importAsDrafts,
-      });
-    }
+    // Data is parsed again row by row, so that failed rows are reported as they are in the file.
+    res = await getService('import').importData(dataRaw, {
+      slug,
+      format,
+      user,
+      idField,
+      importAsDrafts,
+      dryRun,
+      atomic,
+      onProgress,
+      columnMapping,
+      conflictStrategy,
+      missingRelationStrategy,
+      mirror,
+      mirrorAction,
+    });
   }
 
-  ctx.body = {
-    failures: res.failures,
-  };
+  return res;
 }
 
-function hasPermissions(ctx) {
-  const { data } = ctx.request.body;
-  const {slug } = data
+/**
+ * Import an uploaded file without loading it in memory.
+ * @param {string} filePath - Path of the uploaded file.
+ * @param {Object} data - Import options, as sent in the body data of an import request.
+ * @param {Object} options
+ * @param {Object} options.user - User importing the data.
+ * @param {Object} options.userAbility - Permissions of the user, checked against the content types a mirror import removes entries of.
+ * @param {Function} [options.onProgress] - Called with the count of processed entries.
+ * @returns {Promise<ImportDataRes>}
+ */
+async function runFileImport(filePath, data, { user, userAbility, onProgress }) {
+  const { slug, format, idField, importAsDrafts = true, dryRun = false, atomic = false, columnMapping, conflictStrategy, missingRelationStrategy, mirror = false, mirrorAction } = data;
+
+  strapi.log.info(`File import request received - slug: ${slug}, format: ${format}, idField: ${idField}, importAsDrafts: ${importAsDrafts}, dryRun: ${dryRun}, atomic: ${atomic}, mirror: ${mirror}`);
+
+  return getService('import').importDataFromFile(filePath, {
+    slug,
+    format,
+    user,
+    idField,
+    importAsDrafts,
+    dryRun,
+    atomic,
+    onProgress,
+    columnMapping,
+    conflictStrategy,
+    missingRelationStrategy,
+    mirror,
+    mirrorAction,
+    authorizeMirror: (slugs) => authorizeMirror(userAbility, slugs, mirrorAction),
+  });
+}
+
+function hasPermissions(ctx, data = ctx.request.body.data) {
+  const { slug, mirror = false, mirrorAction } = data;
   const { userAbility } = ctx.state;
 
   let slugsToCheck = [];
@@ -86,7 +131,7 @@ function hasPermissions(ctx) {
     slugsToCheck.push(slug);
   }
 
-  return slugsToCheck.every((slug) => hasPermissionForSlug(userAbility, slug));
+  return slugsToCheck.every((slug) => hasPermissionForSlug(userAbility, slug) && (!mirror || hasMirrorPermissionForSlug(userAbility, slug, mirrorAction)));
 }
 
 function hasPermissionForSlug(userAbility, slug) {
@@ -95,3 +140,31 @@ function hasPermissionForSlug(userAbility, slug) {
 
   return permissionChecker.can.create() && permissionChecker.can.update();
 }
+
+/**
+ * Mirror imports delete the entries missing from the file, or unpublish them when the content
+ * type has draft and publish and the mirror action is `unpublish`.
+ */
+function hasMirrorPermissionForSlug(userAbility, slug, mirrorAction) {
+  const permissionChecker = strapi.plugin('content-manager').service('permission-checker').create({ userAbility, model: slug });
+
+  const unpublish = mirrorAction === MirrorActions.UNPUBLISH && getModel(slug)?.options?.draftAndPublish === true;
+  return unpublish ? permissionChecker.can.publish() : permissionChecker.can.delete();
+}
+
+/**
+ * Reject a mirror import removing entries of content types the user can't remove entries of.
+ * The content types of v2 files are only known once the file is read.
+ * @param {Object} userAbility
+ * @param {Array<string>} slugs - Slugs whose entries the import removes.
+ * @param {("delete"|"unpublish")} [mirrorAction]
+ * @throws {errors.ForbiddenError}
+ */
+function authorizeMirror(userAbility, slugs, mirrorAction = MirrorActions.DELETE) {
+  const forbiddenSlugs = slugs.filter((slug) => !hasMirrorPermissionForSlug(userAbility, slug, mirrorAction));
+  if (forbiddenSlugs.length) {
+    throw new errors.ForbiddenError(`You are not allowed to ${mirrorAction} the entries of ${forbiddenSlugs.join(', ')}.`);
+  }
+}
+
+export { runImport, runFileImport, hasPermissions };
@@ -0,0 +1,50 @@
+import { getService } from '../../../utils/utils.js';
+import { hasPermissions } from './import-data.js';
+
+export default ({ strapi }) => validateData;
+
+async function validateData(ctx) {
+  if (!hasPermissions(ctx)) {
+    return ctx.forbidden();
+  }
+
+  const {
+    slug,
+    data: dataRaw,
+    format,
+    idField,
+    importAsDrafts = true,
+    columnMapping,
+    conflictStrategy,
+  } = ctx.request.body.data;
+
+  const fileContent = await getService('import').parseInputData(format, dataRaw, {
+    slug,
+    importAsDrafts,
+    columnMapping,
+  });
+
+  let res;
+  if (fileContent?.version === 2) {
+    res = await getService('import').validateDataV2(fileContent, {
+      slug,
+      idField,
+      conflictStrategy,
+      user: ctx.state.user,
+    });
+  } else {
+    res = await getService('import').validateData(dataRaw, {
+      slug,
+      format,
+      idField,
+      importAsDrafts,
+      columnMapping,
+      conflictStrategy,
+      user: ctx.state.user,
+    });
+  }
+
+  ctx.body = {
+    failures: res.failures,
+  };
+}
@@ -0,0 +1,143 @@
+import fs from 'fs';
+import { BusinessError } from '../../../utils/errors.js';
+import { getService } from '../../../utils/utils.js';
+import { handleAsyncError } from '../../content-api/utils.js';
+import {
+  hasPermissions as hasExportPermissions,
+  runExport,
+} from '../export-controller/export-controller.js';
+import {
+  hasPermissions as hasImportPermissions,
+  runFileImport,
+  runImport,
+} from '../import-controller/import-data.js';
+
+const startImportJob = async (ctx) => {
+  if (!hasImportPermissions(ctx)) {
+    return ctx.forbidden();
+  }
+
+  const { user, userAbility } = ctx.state;
+  const { data } = ctx.request.body;
+
+  const job = getService('jobs').createJob({
+    type: 'import',
+    user,
+    run: async ({ onProgress }) => {
+      const res = await runImport(data, { user, userAbility, onProgress });
+      return {
+        failures: res.failures,
+        preview: res.preview,
+        rollback: res.rollback,
+        batchId: res.batchId,
+        media: res.media,
+      };
+    },
+  });
+
+  ctx.body = {
+    data: job,
+  };
+};
+
+/**
+ * Start the import of a file sent as multipart form data, in the `file` field, along with the
+ * import options serialized as JSON in the `data` field.
+ * The file is streamed from disk, so that files too large to be sent as JSON can be imported.
+ */
+const startFileImportJob = async (ctx) => {
+  // Strapi only removes uploads sent in the `files` field once the response is sent, so this
+  // upload is kept on disk until the job has run.
+  const file = ctx.request.files?.file;
+  if (!file?.filepath) {
+    throw new BusinessError('A file is required.');
+  }
+  const removeFile = () => fs.promises.rm(file.filepath, { force: true });
+
+  let data;
+  try {
+    data = JSON.parse(ctx.request.body?.data || '{}');
+  } catch (err) {
+    await removeFile();
+    throw new BusinessError('Import options must be valid JSON.');
+  }
+
+  if (!hasImportPermissions(ctx, data)) {
+    await removeFile();
+    return ctx.forbidden();
+  }
+
+  const { user, userAbility } = ctx.state;
+
+  const job = getService('jobs').createJob({
+    type: 'import',
+    user,
+    run: async ({ onProgress }) => {
+      try {
+        const res = await runFileImport(file.filepath, data, { user, userAbility, onProgress });
+        return {
+          failures: res.failures,
+          preview: res.preview,
+          rollback: res.rollback,
+          batchId: res.batchId,
+          media: res.media,
+        };
+      } finally {
+        await removeFile();
+      }
+    },
+  });
+
+  ctx.body = {
+    data: job,
+  };
+};
+
+const startExportJob = async (ctx) => {
+  if (!hasExportPermissions(ctx)) {
+    return ctx.forbidden();
+  }
+
+  const { user } = ctx.state;
+  const { data } = ctx.request.body;
+
+  const job = getService('jobs').createJob({
+    type: 'export',
+    user,
+    run: ({ onProgress }) => runExport(data, { onProgress }),
+  });
+
+  ctx.body = {
+    data: job,
+  };
+};
+
+const getJob = async (ctx) => {
+  const job = getService('jobs').getJob(ctx.params.id, ctx.state.user);
+  if (!job) {
+    return ctx.notFound();
+  }
+
+  ctx.body = {
+    data: job,
+  };
+};
+
+const getJobResult = async (ctx) => {
+  const result = getService('jobs').getJobResult(ctx.params.id, ctx.state.user);
+  if (result === null) {
+    return ctx.notFound();
+  }
+
+  ctx.body = {
+    data: result,
+  };
+};
+
+export default ({ strapi }) => ({
+  startImportJob: handleAsyncError(startImportJob),
+  startFileImportJob: handleAsyncError(startFileImportJob),
+  startExportJob: handleAsyncError(startExportJob),
+  getJob: handleAsyncError(getJob),
+  getJobResult: handleAsyncError(getJobResult),
+});
@@ -0,0 +1,23 @@
+import { getService } from '../../../utils/utils.js';
+import { handleAsyncError } from '../utils.js';
+
+const revertBatch = async (ctx) => {
+  const batch = await getService('batches').getBatch(ctx.params.id);
+  if (!batch) {
+    return ctx.notFound();
+  }
+
+  // Reverting deletes the entries the import created, and restores the ones it updated or deleted.
+  const slugs = await getService('batches').getBatchSlugs(batch.id);
+  await strapi.auth.verify(ctx.state.auth, {
+    scope: slugs.flatMap((slug) => [`${slug}.create`, `${slug}.update`, `${slug}.delete`]),
+  });
+
+  ctx.body = {
+    data: await getService('batches').revertBatch(batch.id),
+  };
+};
+
+export default ({ strapi }) => ({
+  revertBatch: handleAsyncError(revertBatch),
+});
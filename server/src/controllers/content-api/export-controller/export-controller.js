@@ -1,26 +1,33 @@
 import Joi from 'joi';
 
+import { formats as ExportFormats } from '../../../services/export/export.js';
+import { ExportStatuses } from '../../../services/export/export-v2.js';
 import { getService } from '../../../utils/utils.js';
 import { checkParams, handleAsyncError } from '../utils.js';
 
 const bodySchema = Joi.object({
   slug: Joi.string().required(),
-  exportFormat: Joi.string().valid('csv', 'json', 'json-v2').required(),
+  exportFormat: Joi.string()
+    .valid(...Object.values(ExportFormats))
+    .required(),
   search: Joi.string().default(''),
   applySearch: Joi.boolean().default(false),
   relationsAsId: Joi.boolean().default(false),
   deepness: Joi.number().integer().min(1).default(5),
   exportPluginsContentTypes: Joi.boolean().default(false),
+  status: Joi.string()
+    .valid(...Object.values(ExportStatuses))
+    .default(ExportStatuses.DRAFT),
 });
 
 const exportData = async (ctx) => {
-  let { slug, search, applySearch, exportFormat, relationsAsId, deepness, exportPluginsContentTypes } = checkParams(bodySchema, ctx.request.body);
+  let { slug, search, applySearch, exportFormat, relationsAsId, deepness, exportPluginsContentTypes, status } = checkParams(bodySchema, ctx.request.body);
 
   let data;
-  if (exportFormat === getService('export').formats.JSON_V2) {
-    data = await getService('export').exportDataV2({ slug, search, applySearch, deepness, exportPluginsContentTypes });
+  if ([ExportFormats.JSON_V2, ExportFormats.NDJSON_V2, ExportFormats.YAML_V2, ExportFormats.ZIP_V2].includes(exportFormat)) {
+    data = await getService('export').exportDataV2({ slug, search, applySearch, deepness, exportPluginsContentTypes, exportFormat, status });
   } else {
-    data = await getService('export').exportData({ slug, search, applySearch, exportFormat, relationsAsId, deepness });
+    data = await getService('export').exportData({ slug, search, applySearch, exportFormat, relationsAsId, deepness, exportPluginsContentTypes });
   }
 
   ctx.body = {
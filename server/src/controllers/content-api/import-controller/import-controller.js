@@ -1,5 +1,7 @@
 import importData from './import-data.js';
+import validateData from './validate-data.js';
 
 export default ({ strapi }) => ({
   importData: importData({ strapi }),
+  validateData: validateData({ strapi }),
 });
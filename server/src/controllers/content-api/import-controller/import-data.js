@@ -1,5 +1,11 @@
 import Joi from 'joi';
-import { InputFormats } from '../../../services/import/parsers.js';
+import { CustomSlugs } from '../../../config/constants.js';
+import { getInputFormat } from '../../../services/import/parsers.js';
+import { ConflictStrategies } from '../../../services/import/utils/conflict.js';
+import { ColumnTransforms } from '../../../services/import/utils/mapping.js';
+import { MirrorActions } from '../../../services/import/utils/mirror.js';
+import { MissingRelationStrategies } from '../../../services/import/utils/relation.js';
+import { getAllSlugs } from '../../../utils/models.js';
 import { getService } from '../../../utils/utils.js';
 import { checkParams, handleAsyncError } from '../utils.js';
 
@@ -7,17 +13,44 @@ const bodySchema = Joi.object({
   slug: Joi.string().required(),
   data: Joi.any().required(),
   format: Joi.string()
-    .valid(...InputFormats)
-    .required(),
-  idField: Joi.string(),
+    .required()
+    // Formats can be registered once the schema is created.
+    .custom((format, helpers) => (getInputFormat(format) ? format : helpers.error('any.invalid'))),
+  idField: Joi.alternatives(Joi.string(), Joi.array().items(Joi.string()).min(1)),
+  importAsDrafts: Joi.boolean().default(true),
+  dryRun: Joi.boolean().default(false),
+  atomic: Joi.boolean().default(false),
+  conflictStrategy: Joi.string()
+    .valid(...Object.values(ConflictStrategies))
+    .default(ConflictStrategies.UPDATE),
+  missingRelationStrategy: Joi.string()
+    .valid(...Object.values(MissingRelationStrategies))
+    .default(MissingRelationStrategies.CREATE),
+  mirror: Joi.boolean().default(false),
+  mirrorAction: Joi.string()
+    .valid(...Object.values(MirrorActions))
+    .default(MirrorActions.DELETE),
+  columnMapping: Joi.object().pattern(
+    Joi.string(),
+    Joi.object({
+      attribute: Joi.string().allow(null).required(),
+      transforms: Joi.array().items(Joi.string().valid(...ColumnTransforms)),
+      delimiter: Joi.string(),
+      default: Joi.any(),
+    }),
+  ),
 });
 
 const importData = async (ctx) => {
   const { user } = ctx.state;
 
-  const { slug, data: dataRaw, format, idField } = checkParams(bodySchema, ctx.request.body);
+  const { slug, data: dataRaw, format, idField, importAsDrafts, dryRun, atomic, columnMapping, conflictStrategy, missingRelationStrategy, mirror, mirrorAction } = checkParams(bodySchema, ctx.request.body);
 
-  const fileContent = await getService('import').parseInputData(format, dataRaw, { slug });
+  if (mirror) {
+    await authorizeMirror(ctx, slug === CustomSlugs.WHOLE_DB ? getAllSlugs() : [slug]);
+  }
+
+  const fileContent = await getService('import').parseInputData(format, dataRaw, { slug, importAsDrafts, columnMapping });
 
   let res;
   if (fileContent?.version === 2) {
@@ -25,6 +58,13 @@ const importData = async (ctx) => {
       slug,
       user,
       idField,
+      importAsDrafts,
+      dryRun,
+      atomic,
+      conflictStrategy,
+      mirror,
+      mirrorAction,
+      authorizeMirror: (slugs) => authorizeMirror(ctx, slugs),
     });
   } else {
     res = await getService('import').importData(dataRaw, {
@@ -32,12 +72,34 @@ const importData = async (ctx) => {
       format,
       user,
       idField,
+      importAsDrafts,
+      dryRun,
+      atomic,
+      columnMapping,
+      conflictStrategy,
+      missingRelationStrategy,
+      mirror,
+      mirrorAction,
     });
   }
 
   ctx.body = {
     failures: res.failures,
+    preview: res.preview,
+    rollback: res.rollback,
+    batchId: res.batchId,
+    media: res.media,
   };
 };
 
+/**
+ * Reject a mirror import removing entries of content types the token or user of the request
+ * can't delete entries of. The content API has no action to unpublish entries, so unpublishing
+ * them requires the same permission.
+ * @param {Object} ctx
+ * @param {Array<string>} slugs - Slugs whose entries the import removes.
+ * @throws {errors.ForbiddenError}
+ */
+const authorizeMirror = (ctx, slugs) => strapi.auth.verify(ctx.state.auth, { scope: slugs.map((slug) => `${slug}.delete`) });
+
 export default ({ strapi }) => handleAsyncError(importData);
@@ -0,0 +1,69 @@
+import Joi from 'joi';
+import { getInputFormat } from '../../../services/import/parsers.js';
+import { ConflictStrategies } from '../../../services/import/utils/conflict.js';
+import { ColumnTransforms } from '../../../services/import/utils/mapping.js';
+import { getService } from '../../../utils/utils.js';
+import { checkParams, handleAsyncError } from '../utils.js';
+
+const bodySchema = Joi.object({
+  slug: Joi.string().required(),
+  data: Joi.any().required(),
+  format: Joi.string()
+    .required()
+    // Formats can be registered once the schema is created.
+    .custom((format, helpers) => (getInputFormat(format) ? format : helpers.error('any.invalid'))),
+  idField: Joi.alternatives(Joi.string(), Joi.array().items(Joi.string()).min(1)),
+  conflictStrategy: Joi.string()
+    .valid(...Object.values(ConflictStrategies))
+    .default(ConflictStrategies.UPDATE),
+  columnMapping: Joi.object().pattern(
+    Joi.string(),
+    Joi.object({
+      attribute: Joi.string().allow(null).required(),
+      transforms: Joi.array().items(Joi.string().valid(...ColumnTransforms)),
+      delimiter: Joi.string(),
+      default: Joi.any(),
+    })
+  ),
+});
+
+const validateData = async (ctx) => {
+  const {
+    slug,
+    data: dataRaw,
+    format,
+    idField,
+    columnMapping,
+    conflictStrategy,
+  } = checkParams(bodySchema, ctx.request.body);
+
+  const fileContent = await getService('import').parseInputData(format, dataRaw, {
+    slug,
+    columnMapping,
+  });
+
+  let res;
+  if (fileContent?.version === 2) {
+    res = await getService('import').validateDataV2(fileContent, {
+      slug,
+      idField,
+      conflictStrategy,
+      user: ctx.state.user,
+    });
+  } else {
+    res = await getService('import').validateData(dataRaw, {
+      slug,
+      format,
+      idField,
+      columnMapping,
+      conflictStrategy,
+      user: ctx.state.user,
+    });
+  }
+
+  ctx.body = {
+    failures: res.failures,
+  };
+};
+
+export default ({ strapi }) => handleAsyncError(validateData);
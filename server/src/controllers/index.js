@@ -1,13 +1,19 @@
+import batchesAdminController from './admin/batch-controller';
 import exportAdminController from './admin/export-controller';
 import importAdminController from './admin/import-controller';
+import jobsAdminController from './admin/job-controller';
+import batchesContentApiController from './content-api/batch-controller';
 import exportContentApiController from './content-api/export-controller';
 import importContentApiController from './content-api/import-controller';
 
 const controllers = {
   exportAdmin: exportAdminController,
   importAdmin: importAdminController,
+  jobsAdmin: jobsAdminController,
+  batchesAdmin: batchesAdminController,
   export: exportContentApiController,
   import: importContentApiController,
+  batches: batchesContentApiController,
 };
 
 export default controllers;
@@ -15,6 +21,9 @@ export default controllers;
 export {
   exportAdminController as exportAdmin,
   importAdminController as importAdmin,
+  jobsAdminController as jobsAdmin,
+  batchesAdminController as batchesAdmin,
   exportContentApiController as export,
   importContentApiController as import,
+  batchesContentApiController as batches,
 };
\ No newline at end of file
@@ -2,7 +2,7 @@ import pluginId from '../../utils/pluginId.js';
 
 /**
  * ServiceName.
- * @typedef {("export"|"import")} ServiceName
+ * @typedef {("export"|"import"|"jobs")} ServiceName
  */
 
 /**
@@ -0,0 +1,21 @@
+export default {
+  type: 'admin',
+  routes: [
+    {
+      method: 'GET',
+      path: '/batches',
+      handler: 'batchesAdmin.getBatches',
+      config: {
+        policies: [],
+      },
+    },
+    {
+      method: 'POST',
+      path: '/batches/:id/revert',
+      handler: 'batchesAdmin.revertBatch',
+      config: {
+        policies: [],
+      },
+    },
+  ],
+};
@@ -0,0 +1,13 @@
+export default {
+  type: 'content-api',
+  routes: [
+    {
+      method: 'POST',
+      path: '/content/batches/:id/revert',
+      handler: 'batches.revertBatch',
+      config: {
+        policies: [],
+      },
+    },
+  ],
+};
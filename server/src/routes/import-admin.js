@@ -1,6 +1,14 @@
 export default {
   type: 'admin',
   routes: [
+    {
+      method: 'GET',
+      path: '/import/formats',
+      handler: 'importAdmin.getInputFormats',
+      config: {
+        policies: [],
+      },
+    },
     {
       method: 'GET',
       path: '/import/model-attributes/:slug',
@@ -17,5 +25,13 @@ export default {
         policies: [],
       },
     },
+    {
+      method: 'POST',
+      path: '/import/validate',
+      handler: 'importAdmin.validateData',
+      config: {
+        policies: [],
+      },
+    },
   ],
 };
@@ -9,5 +9,13 @@ export default {
         policies: [],
       },
     },
+    {
+      method: 'POST',
+      path: '/content/import/validate',
+      handler: 'import.validateData',
+      config: {
+        policies: [],
+      },
+    },
   ],
 };
@@ -1,11 +1,17 @@
+import batchesAdminRoutes from './batches-admin.js';
+import batchesContentApiRoutes from './batches-content-api.js';
 import exportAdminRoutes from './export-admin.js';
 import importAdminRoutes from './import-admin.js';
 import exportContentApiRoutes from './export-content-api.js';
 import importContentApiRoutes from './import-content-api.js';
+import jobsAdminRoutes from './jobs-admin.js';
 
 export default {
   exportAdminRoutes,
   importAdminRoutes,
+  jobsAdminRoutes,
+  batchesAdminRoutes,
   export: exportContentApiRoutes,
   import: importContentApiRoutes,
+  batches: batchesContentApiRoutes,
 };
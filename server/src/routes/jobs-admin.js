@@ -0,0 +1,45 @@
+export default {
+  type: 'admin',
+  routes: [
+    {
+      method: 'POST',
+      path: '/jobs/import',
+      handler: 'jobsAdmin.startImportJob',
+      config: {
+        policies: [],
+      },
+    },
+    {
+      method: 'POST',
+      path: '/jobs/import/file',
+      handler: 'jobsAdmin.startFileImportJob',
+      config: {
+        policies: [],
+      },
+    },
+    {
+      method: 'POST',
+      path: '/jobs/export',
+      handler: 'jobsAdmin.startExportJob',
+      config: {
+        policies: [],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/jobs/:id',
+      handler: 'jobsAdmin.getJob',
+      config: {
+        policies: [],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/jobs/:id/result',
+      handler: 'jobsAdmin.getJobResult',
+      config: {
+        policies: [],
+      },
+    },
+  ],
+};
@@ -0,0 +1,428 @@
+import isEmpty from 'lodash/isEmpty';
+import omit from 'lodash/omit';
+import pick from 'lodash/pick';
+import { PluginSlugs } from '../../config/constants.js';
+import { BusinessError } from '../../utils/errors.js';
+import { getModel, getModelAttributes } from '../../utils/models.js';
+
+const BatchStatus = {
+  DONE: 'done',
+  REVERTED: 'reverted',
+};
+
+const BatchActions = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+};
+
+/** Attributes of deleted entries that aren't model attributes but are restored with them. */
+const RESTORED_SYSTEM_FIELDS = ['documentId', 'locale', 'publishedAt'];
+
+/** Number of batch entries reverted at once. */
+const REVERT_PAGE_SIZE = 500;
+
+/**
+ * Records the entries written by an import, so that it can be reverted.
+ * Media files uploaded by the import are not recorded and are kept when it is reverted.
+ */
+class ImportBatch {
+  constructor(id) {
+    this.id = id;
+    this.counts = { [BatchActions.CREATE]: 0, [BatchActions.UPDATE]: 0, [BatchActions.DELETE]: 0 };
+    this.created = new Set();
+  }
+
+  /**
+   * Start recording an import.
+   * @param {Object} options
+   * @param {string} options.slug - Slug of the imported model.
+   * @param {Object} [options.user] - User importing the data.
+   * @returns {Promise<ImportBatch>}
+   */
+  static async start({ slug, user }) {
+    const batch = await strapi.db.query(PluginSlugs.IMPORT_BATCH).create({
+      data: { slug, userId: user?.id ?? null, status: BatchStatus.DONE },
+    });
+    return new ImportBatch(batch.id);
+  }
+
+  /**
+   * Record an entry created by the import.
+   * @param {string} slug
+   * @param {Object} entry - Created entry.
+   */
+  async recordCreate(slug, entry) {
+    if (!entry?.id) {
+      return;
+    }
+
+    await strapi.db.query(PluginSlugs.IMPORT_BATCH_ENTRY).create({
+      data: {
+        batch: this.id,
+        slug,
+        entryId: entry.id,
+        entryDocumentId: entry.documentId ?? null,
+        entryLocale: entry.locale ?? null,
+        action: BatchActions.CREATE,
+      },
+    });
+    this.created.add(`${slug}:${entry.id}`);
+    this.counts[BatchActions.CREATE] += 1;
+  }
+
+  /**
+   * Record the values of an entry that an update is about to overwrite.
+   * It must be called before the entry is updated.
+   * @param {string} slug
+   * @param {number} entryId
+   * @param {Object} data - Data the entry is updated with.
+   */
+  async recordUpdate(slug, entryId, data) {
+    // Reverting deletes the entries created by the import, whatever their later updates.
+    if (this.created.has(`${slug}:${entryId}`)) {
+      return;
+    }
+
+    const attributeNames = Object.keys(data);
+    const dbEntry = await strapi.db
+      .query(slug)
+      .findOne({ where: { id: entryId }, populate: getRestorePopulate(slug, attributeNames) });
+    if (!dbEntry) {
+      return;
+    }
+
+    await strapi.db.query(PluginSlugs.IMPORT_BATCH_ENTRY).create({
+      data: {
+        batch: this.id,
+        slug,
+        entryId,
+        entryDocumentId: dbEntry.documentId ?? null,
+        entryLocale: dbEntry.locale ?? null,
+        action: BatchActions.UPDATE,
+        previous: toRestorableValues(slug, dbEntry, attributeNames),
+      },
+    });
+    this.counts[BatchActions.UPDATE] += 1;
+  }
+
+  /**
+   * Record the values of an entry that the import is about to delete.
+   * It must be called before the entry is deleted. Reverting recreates the entry with a new id,
+   * so relations of other entries to it are not restored.
+   * @param {string} slug
+   * @param {number} entryId
+   */
+  async recordDelete(slug, entryId) {
+    const dbEntry = await strapi.db
+      .query(slug)
+      .findOne({ where: { id: entryId }, populate: getRestorePopulate(slug) });
+    if (!dbEntry) {
+      return;
+    }
+
+    const attributeNames = getModelAttributes(slug).map(({ name }) => name);
+    await strapi.db.query(PluginSlugs.IMPORT_BATCH_ENTRY).create({
+      data: {
+        batch: this.id,
+        slug,
+        entryId,
+        entryDocumentId: dbEntry.documentId ?? null,
+        entryLocale: dbEntry.locale ?? null,
+        action: BatchActions.DELETE,
+        previous: {
+          ...toRestorableValues(slug, dbEntry, attributeNames),
+          ...pick(dbEntry, RESTORED_SYSTEM_FIELDS),
+        },
+      },
+    });
+    this.counts[BatchActions.DELETE] += 1;
+  }
+
+  /**
+   * Stop recording the import.
+   * Batches of imports which wrote nothing, or which were rolled back, are discarded.
+   * @param {Object} [options]
+   * @param {boolean} [options.rolledBack] - Whether the import was rolled back.
+   * @returns {Promise<number|null>} Id of the batch, or `null` if it was discarded.
+   */
+  async finish({ rolledBack = false } = {}) {
+    const total =
+      this.counts[BatchActions.CREATE] +
+      this.counts[BatchActions.UPDATE] +
+      this.counts[BatchActions.DELETE];
+    if (rolledBack || !total) {
+      await strapi.db
+        .query(PluginSlugs.IMPORT_BATCH_ENTRY)
+        .deleteMany({ where: { batch: this.id } });
+      await strapi.db.query(PluginSlugs.IMPORT_BATCH).delete({ where: { id: this.id } });
+      return null;
+    }
+
+    await strapi.db.query(PluginSlugs.IMPORT_BATCH).update({
+      where: { id: this.id },
+      data: {
+        createdCount: this.counts[BatchActions.CREATE],
+        updatedCount: this.counts[BatchActions.UPDATE],
+        deletedCount: this.counts[BatchActions.DELETE],
+      },
+    });
+    return this.id;
+  }
+}
+
+/**
+ * Run an import while recording it in a new batch.
+ * @param {Object} options
+ * @param {string} options.slug - Slug of the imported model.
+ * @param {Object} [options.user] - User importing the data.
+ * @param {boolean} [options.atomic] - Whether the import runs in a transaction, so that nothing is written if it throws.
+ * @param {Function} importFn - Runs the import. Called with the batch, resolves with the import result.
+ * @returns {Promise<ImportDataRes>} Import result, with the id of the batch in `batchId` if the import wrote anything.
+ */
+async function runInBatch({ slug, user, atomic = false }, importFn) {
+  const batch = await ImportBatch.start({ slug, user });
+
+  let res;
+  try {
+    res = await importFn(batch);
+  } catch (err) {
+    await batch.finish({ rolledBack: atomic });
+    throw err;
+  }
+
+  return { ...res, batchId: await batch.finish({ rolledBack: !!res.rollback }) };
+}
+
+/**
+ * Get the most recent import batches.
+ * @param {Object} [options]
+ * @param {number} [options.page] - Page to get, starting at 1.
+ * @param {number} [options.pageSize]
+ * @param {Array<string>} [options.slugs] - Only get the batches of imports of these slugs.
+ * @returns {Promise<{ results: Array<Object>, pagination: Object }>}
+ */
+async function getBatches({ page = 1, pageSize = 20, slugs } = {}) {
+  return strapi.db.query(PluginSlugs.IMPORT_BATCH).findPage({
+    page,
+    pageSize,
+    where: slugs ? { slug: { $in: slugs } } : {},
+    orderBy: { id: 'desc' },
+  });
+}
+
+/**
+ * @param {number|string} id
+ * @returns {Promise<Object|null>}
+ */
+async function getBatch(id) {
+  return strapi.db.query(PluginSlugs.IMPORT_BATCH).findOne({ where: { id } });
+}
+
+/**
+ * Get the slugs of the entries written by an import, which reverting it writes to.
+ * @param {number|string} id - Id of the batch.
+ * @returns {Promise<Array<string>>}
+ */
+async function getBatchSlugs(id) {
+  const slugs = new Set();
+  for (let offset = 0; ; offset += REVERT_PAGE_SIZE) {
+    const entries = await strapi.db.query(PluginSlugs.IMPORT_BATCH_ENTRY).findMany({
+      select: ['slug'],
+      where: { batch: id },
+      orderBy: { id: 'asc' },
+      offset,
+      limit: REVERT_PAGE_SIZE,
+    });
+    entries.forEach((entry) => slugs.add(entry.slug));
+    if (entries.length < REVERT_PAGE_SIZE) {
+      break;
+    }
+  }
+  return [...slugs];
+}
+
+/**
+ * Revert an import: delete the entries it created, restore the previous values of the entries it
+ * updated and recreate the entries it deleted, most recent first.
+ * @param {number|string} id - Id of the batch.
+ * @returns {Promise<Object|null>} Reverted batch, or `null` if it doesn't exist.
+ * @throws {BusinessError} If the batch was already reverted.
+ */
+async function revertBatch(id) {
+  const batch = await getBatch(id);
+  if (!batch) {
+    return null;
+  }
+  if (batch.status === BatchStatus.REVERTED) {
+    throw new BusinessError(`Import batch ${id} has already been reverted.`);
+  }
+
+  await strapi.db.transaction(async () => {
+    for (let offset = 0; ; offset += REVERT_PAGE_SIZE) {
+      const entries = await strapi.db.query(PluginSlugs.IMPORT_BATCH_ENTRY).findMany({
+        where: { batch: batch.id },
+        orderBy: { id: 'desc' },
+        offset,
+        limit: REVERT_PAGE_SIZE,
+      });
+      for (const entry of entries) {
+        await revertEntry(entry);
+      }
+      if (entries.length < REVERT_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    await strapi.db.query(PluginSlugs.IMPORT_BATCH).update({
+      where: { id: batch.id },
+      data: { status: BatchStatus.REVERTED, revertedAt: new Date() },
+    });
+  });
+
+  return getBatch(id);
+}
+
+async function revertEntry(entry) {
+  if (!getModel(entry.slug)) {
+    strapi.log.warn(
+      `Can't revert entry ${entry.entryId} of ${entry.slug}: the model doesn't exist anymore`
+    );
+    return;
+  }
+
+  if (entry.action === BatchActions.CREATE) {
+    if (!entry.entryDocumentId) {
+      await strapi.db.query(entry.slug).delete({ where: { id: entry.entryId } });
+      return;
+    }
+    // Deleted through the document service, with every version of the document and their components.
+    await strapi.documents(entry.slug).delete({
+      documentId: entry.entryDocumentId,
+      ...(entry.entryLocale ? { locale: entry.entryLocale } : {}),
+    });
+  } else if (entry.action === BatchActions.DELETE) {
+    const previous = entry.previous || {};
+    const data = await fromRestorableValues(entry.slug, previous);
+    await strapi.db
+      .query(entry.slug)
+      .create({ data: { ...data, ...pick(previous, RESTORED_SYSTEM_FIELDS) } });
+  } else {
+    const data = await fromRestorableValues(entry.slug, entry.previous || {});
+    await strapi.db.query(entry.slug).update({ where: { id: entry.entryId }, data });
+  }
+}
+
+/**
+ * Get the populate needed to save the values of the given attributes: relations and media are
+ * saved as ids, components with all their attributes.
+ */
+function getRestorePopulate(slug, attributeNames = null) {
+  const populate = {};
+  for (const attribute of getModelAttributes(slug)) {
+    if (attributeNames && !attributeNames.includes(attribute.name)) {
+      continue;
+    }
+
+    if (attribute.type === 'component') {
+      const componentPopulate = getRestorePopulate(attribute.component);
+      populate[attribute.name] = isEmpty(componentPopulate)
+        ? true
+        : { populate: componentPopulate };
+    } else if (['dynamiczone', 'media', 'relation'].includes(attribute.type)) {
+      populate[attribute.name] = true;
+    }
+  }
+  return populate;
+}
+
+function toRestorableValues(slug, dbEntry, attributeNames) {
+  const values = {};
+  for (const attribute of getModelAttributes(slug)) {
+    if (attributeNames.includes(attribute.name)) {
+      values[attribute.name] = toRestorableValue(attribute, dbEntry[attribute.name]);
+    }
+  }
+  return values;
+}
+
+function toRestorableValue(attribute, value) {
+  if (value == null) {
+    return null;
+  }
+
+  switch (attribute.type) {
+    case 'component': {
+      const toComponentValues = (component) =>
+        toRestorableValues(attribute.component, component, Object.keys(component));
+      return attribute.repeatable ? value.map(toComponentValues) : toComponentValues(value);
+    }
+    case 'dynamiczone':
+      // Only the attributes of the components themselves are populated.
+      return value.map((component) => ({
+        ...omit(component, ['id']),
+        __component: component.__component,
+      }));
+    case 'media':
+    case 'relation':
+      return Array.isArray(value) ? value.map((relatedEntry) => relatedEntry.id) : value.id;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Get the data restoring saved values. Components are recreated, since updating an entry may
+ * have deleted its previous components.
+ */
+async function fromRestorableValues(slug, values) {
+  const data = {};
+  for (const attribute of getModelAttributes(slug)) {
+    if (Object.prototype.hasOwnProperty.call(values, attribute.name)) {
+      data[attribute.name] = await fromRestorableValue(attribute, values[attribute.name]);
+    }
+  }
+  return data;
+}
+
+async function fromRestorableValue(attribute, value) {
+  if (value == null) {
+    return null;
+  }
+
+  const createComponent = async (componentSlug, componentValues) => {
+    const component = await strapi.db
+      .query(componentSlug)
+      .create({ data: await fromRestorableValues(componentSlug, componentValues) });
+    return component.id;
+  };
+
+  if (attribute.type === 'component') {
+    if (!attribute.repeatable) {
+      return createComponent(attribute.component, value);
+    }
+    const ids = [];
+    for (const componentValues of value) {
+      ids.push(await createComponent(attribute.component, componentValues));
+    }
+    return ids;
+  } else if (attribute.type === 'dynamiczone') {
+    const components = [];
+    for (const { __component, ...componentValues } of value) {
+      components.push({ id: await createComponent(__component, componentValues), __component });
+    }
+    return components;
+  }
+  return value;
+}
+
+export {
+  BatchActions,
+  BatchStatus,
+  ImportBatch,
+  getBatch,
+  getBatchSlugs,
+  getBatches,
+  revertBatch,
+  runInBatch,
+};
@@ -0,0 +1,11 @@
+import { BatchStatus, getBatch, getBatchSlugs, getBatches, revertBatch } from './batches.js';
+
+const batchesService = {
+  BatchStatus,
+  getBatch,
+  getBatchSlugs,
+  getBatches,
+  revertBatch,
+};
+
+export default batchesService;
@@ -1,13 +1,36 @@
 import { fromPairs, pick, toPairs } from 'lodash';
 import { CustomSlugToSlug, CustomSlugs } from '../../config/constants.js';
+import { createArchive } from '../../utils/archive.js';
 import { getConfig } from '../../utils/getConfig.js';
+import { stringifyYaml } from '../../utils/yaml.js';
 
 export const convertToJson = withBeforeConvert(convertToJsonImpl);
+export const convertToNdjson = withBeforeConvert(convertToNdjsonImpl);
+export const convertToYaml = withBeforeConvert(stringifyYaml);
+
+/**
+ * Bundle the v2 JSON file with the binaries of its media in a zip archive, encoded in base64.
+ */
+export async function convertToZip(jsoContent, options) {
+  // Read the media before their url is made absolute.
+  const files = Object.values(jsoContent.data[CustomSlugToSlug[CustomSlugs.MEDIA]] || {}).map((medium) => ({ ...medium }));
+  return createArchive(convertToJson(jsoContent, options), files);
+}
 
 function convertToJsonImpl(jsoContent) {
   return JSON.stringify(jsoContent, null, '\t');
 }
 
+/**
+ * Write each entry on its own line, along with its slug and file id, so that the lines can be
+ * processed one at a time: `{ "version": 2, "slug": "api::article.article", "id": "1", "data": { ... } }`.
+ */
+function convertToNdjsonImpl(jsoContent) {
+  return toPairs(jsoContent.data)
+    .flatMap(([slug, entries]) => toPairs(entries).map(([id, data]) => JSON.stringify({ version: jsoContent.version, slug, id, data })))
+    .join('\n');
+}
+
 function withBeforeConvert(convertFn) {
   return (jsoContent, options) => {
     return convertFn(beforeConvert(jsoContent, options), options);
@@ -61,7 +84,7 @@ function pickMediaAttributes(jsoContent, options) {
 
   media = fromPairs(
     toPairs(media).map(([id, medium]) => {
-      medium = pick(medium, ['id', 'name', 'alternativeText', 'caption', 'hash', 'ext', 'mime', 'url', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy']);
+      medium = pick(medium, ['id', 'documentId', 'name', 'alternativeText', 'caption', 'hash', 'ext', 'mime', 'url', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy']);
       return [id, medium];
     }),
   );
@@ -3,14 +3,22 @@ import { isObjectSafe } from '../../../libs/objects.js';
 import { CustomSlugToSlug, CustomSlugs } from '../../config/constants.js';
 import { getConfig } from '../../utils/getConfig.js';
 import { getModelAttributes, getModel } from '../../utils/models.js';
+import { ExcelJS, SLUGS_SHEET_NAME, getSheetName } from '../../utils/xlsx.js';
+import { stringifyYaml } from '../../utils/yaml.js';
 
 const convertToCsv = (entries, options) => {
   entries = toArray(entries);
-  const columnTitles = ['id'].concat(getModelAttributes(options.slug, { filterOutTarget: ['admin::user'] }).map((attr) => attr.name));
+  const columnTitles = getColumnTitles(options.slug);
   const content = [convertStrArrayToCsv(columnTitles)].concat(entries.map((entry) => convertEntryToStrArray(entry, columnTitles)).map(convertStrArrayToCsv)).join('\r\n');
   return content;
 };
 
+const getColumnTitles = (slug) => {
+  // Content types entries are identified by their documentId across instances.
+  const idColumns = getModel(slug)?.modelType === 'contentType' ? ['id', 'documentId'] : ['id'];
+  return idColumns.concat(getModelAttributes(slug, { filterOutTarget: ['admin::user'] }).map((attr) => attr.name));
+};
+
 const convertStrArrayToCsv = (entry) => {
   return entry
     .map(stringifyEntry)
@@ -36,6 +44,80 @@ const convertToJson = (entries, options) => {
   return entries;
 };
 
+const convertToYaml = (entries, options) => {
+  return stringifyYaml(entries);
+};
+
+const convertToNdjson = (entries, options) => {
+  return toArray(entries)
+    .map((entry) => JSON.stringify(entry))
+    .join('\n');
+};
+
+/**
+ * Convert the entries of one or several slugs to a XLSX workbook with a sheet per slug.
+ * Numbers, booleans and dates are written as typed cells, objects as JSON.
+ * @param {Object<string, Array<Object>>} entriesBySlug
+ * @param {Object} options
+ * @param {boolean} [options.relationsAsId]
+ * @returns {Promise<string>} Content of the workbook, encoded in base64.
+ */
+const convertToXlsx = async (entriesBySlug, options) => {
+  const workbook = new ExcelJS.Workbook();
+  const usedSheetNames = new Set([SLUGS_SHEET_NAME]);
+  const sheetSlugs = [];
+
+  for (const [slug, slugEntries] of Object.entries(entriesBySlug)) {
+    const entries = toArray(beforeConvert(slugEntries, { ...options, slug })).filter(Boolean);
+    const columnTitles = getColumnTitles(slug);
+    const attributes = Object.fromEntries(getModelAttributes(slug).map((attr) => [attr.name, attr]));
+
+    const worksheet = workbook.addWorksheet(getSheetName(getModel(slug)?.info?.displayName || slug, usedSheetNames), { views: [{ state: 'frozen', ySplit: 1 }] });
+    worksheet.columns = columnTitles.map((title) => ({ header: title, key: title, width: 20, style: getXlsxColumnStyle(attributes[title]) }));
+    worksheet.getRow(1).font = { bold: true };
+    for (const entry of entries) {
+      worksheet.addRow(columnTitles.map((title) => toXlsxCellValue(entry[title], attributes[title])));
+    }
+    sheetSlugs.push([worksheet.name, slug]);
+  }
+
+  const slugsWorksheet = workbook.addWorksheet(SLUGS_SHEET_NAME, { state: 'veryHidden' });
+  slugsWorksheet.addRows([['sheet', 'slug'], ...sheetSlugs]);
+
+  const content = await workbook.xlsx.writeBuffer();
+  return Buffer.from(content).toString('base64');
+};
+
+const getXlsxColumnStyle = (attribute) => {
+  if (attribute?.type === 'datetime') {
+    return { numFmt: 'yyyy-mm-dd hh:mm:ss' };
+  }
+  if (attribute?.type === 'date') {
+    return { numFmt: 'yyyy-mm-dd' };
+  }
+  // Text columns keep leading zeros of the values typed in them.
+  return ['string', 'text', 'richtext', 'email', 'uid', 'enumeration'].includes(attribute?.type) ? { numFmt: '@' } : {};
+};
+
+const toXlsxCellValue = (value, attribute) => {
+  if (value == null) {
+    return null;
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  if (['datetime', 'date'].includes(attribute?.type)) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? value : date;
+  }
+  // Decimals and big integers may be returned as strings by the database.
+  if (['integer', 'biginteger', 'float', 'decimal'].includes(attribute?.type) && typeof value === 'string') {
+    const number = Number(value);
+    return Number.isFinite(number) && (attribute.type !== 'biginteger' || Number.isSafeInteger(number)) ? number : value;
+  }
+  return value;
+};
+
 const withBeforeConvert = (convertFn) => (entries, options) => {
   entries = beforeConvert(entries, options);
   entries = convertFn(entries, options);
@@ -141,8 +223,13 @@ const exportRelationsAsId = (entries, options) => {
 
 const convertToCsvWithBeforeConvert = withBeforeConvert(convertToCsv);
 const convertToJsonWithBeforeConvert = withBeforeConvert(convertToJson);
+const convertToNdjsonWithBeforeConvert = withBeforeConvert(convertToNdjson);
+const convertToYamlWithBeforeConvert = withBeforeConvert(convertToYaml);
 
 export {
   convertToCsvWithBeforeConvert as convertToCsv,
   convertToJsonWithBeforeConvert as convertToJson,
+  convertToNdjsonWithBeforeConvert as convertToNdjson,
+  convertToYamlWithBeforeConvert as convertToYaml,
+  convertToXlsx,
 };
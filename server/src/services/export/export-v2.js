@@ -1,5 +1,4 @@
 import cloneDeep from 'lodash/cloneDeep';
-import fromPairs from 'lodash/fromPairs';
 import { isEmpty, merge } from 'lodash/fp';
 import qs from 'qs';
 import { isArraySafe, toArray } from '../../../libs/arrays.js';
@@ -17,20 +16,56 @@ import {
   setEntryProp,
   getEntryProp,
 } from '../../utils/models.js';
+import { HookNames, runHooks } from '../hooks/hooks.js';
 import * as converters from './converters-v2.js';
 
 const dataFormats = {
   JSON: 'json',
+  NDJSON: 'ndjson',
+  YAML: 'yaml',
+  ZIP: 'zip',
+};
+
+const exportFormatToDataFormat = {
+  'json-v2': dataFormats.JSON,
+  'ndjson-v2': dataFormats.NDJSON,
+  'yaml-v2': dataFormats.YAML,
+  'zip-v2': dataFormats.ZIP,
+};
+
+/**
+ * Versions of the documents of draft and publish content types to export.
+ * Both versions of a document are exported as separate entries sharing their documentId,
+ * the published one having a `publishedAt` date.
+ */
+const ExportStatuses = {
+  DRAFT: 'draft',
+  PUBLISHED: 'published',
+  BOTH: 'both',
 };
 
 const dataConverterConfigs = {
   [dataFormats.JSON]: {
     convertEntries: converters.convertToJson,
   },
+  [dataFormats.NDJSON]: {
+    convertEntries: converters.convertToNdjson,
+  },
+  [dataFormats.YAML]: {
+    convertEntries: converters.convertToYaml,
+  },
+  [dataFormats.ZIP]: {
+    convertEntries: converters.convertToZip,
+  },
 };
 
 /**
  * Export data.
+ * @param {Object} options
+ * @param {("json-v2"|"ndjson-v2"|"yaml-v2"|"zip-v2")} [options.exportFormat] - `ndjson-v2` writes an entry per line,
+ *   `zip-v2` bundles the JSON file with the binaries of its media in an archive encoded in base64.
+ * @param {("draft"|"published"|"both")} [options.status] - Versions of the documents to export.
+ * @param {Function} [options.onProgress] - Called with `{ processed, total }` each time a content type is exported.
  */
 async function exportDataV2({
   slug,
@@ -38,23 +73,28 @@ async function exportDataV2({
   applySearch,
   deepness = 5,
   exportPluginsContentTypes,
+  exportFormat = 'json-v2',
+  status = ExportStatuses.DRAFT,
+  onProgress,
 }) {
   const slugsToExport =
     slug === CustomSlugs.WHOLE_DB ? getAllSlugs({ includePluginsContentTypes: exportPluginsContentTypes }) : toArray(CustomSlugToSlug[slug] || slug);
 
   let store = {};
-  for (const slug of slugsToExport) {
+  for (const [index, slug] of slugsToExport.entries()) {
+    onProgress?.({ processed: index, total: slugsToExport.length });
     const hierarchy = buildSlugHierarchy(slug, deepness);
-    store = await findEntriesForHierarchy(store, slug, hierarchy, deepness, { ...(applySearch ? { search } : {}) });
+    store = await findEntriesForHierarchy(store, slug, hierarchy, deepness, { ...(applySearch ? { search } : {}), status });
   }
+  onProgress?.({ processed: slugsToExport.length, total: slugsToExport.length });
   const jsoContent = {
     version: 2,
     data: store,
   };
-  const fileContent = convertData(jsoContent, {
-    dataFormat: 'json',
+  const fileContent = await convertData(jsoContent, {
+    dataFormat: exportFormatToDataFormat[exportFormat],
   });
-  return fileContent;
+  return runHooks(HookNames.AFTER_EXPORT, CustomSlugToSlug[slug] || slug, fileContent, { exportFormat });
 }
 
 async function findEntriesForHierarchy(
@@ -62,7 +102,7 @@ async function findEntriesForHierarchy(
   slug,
   hierarchy,
   deepness,
-  { search, ids },
+  { search, ids, status },
 ) {
   const schema = getModel(slug);
 
@@ -70,30 +110,10 @@ async function findEntriesForHierarchy(
     return {};
   }
 
-  let entries = await findEntries(slug, deepness, { search, ids })
-    .then((entries) => {
-      entries = toArray(entries).filter(Boolean);
-
-      // Export locales
-      if (schema.pluginOptions?.i18n?.localized) {
-        const allEntries = [...entries];
-        const entryIdsToExported = fromPairs(allEntries.map((entry) => [entry.id, true]));
-
-        for (const entry of entries) {
-          (entry.localizations || []).forEach((localization) => {
-            if (localization.id && !entryIdsToExported[localization.id]) {
-              allEntries.push(localization);
-              entryIdsToExported[localization.id] = true;
-            }
-          });
-        }
-
-        return allEntries;
-      }
-
-      return entries;
-    })
-    .then((entries) => toArray(entries));
+  let entries = await findEntries(slug, deepness, { search, ids, status }).then((entries) => toArray(entries).filter(Boolean));
+  for (const [idx, entry] of entries.entries()) {
+    entries[idx] = await runHooks(HookNames.BEFORE_EXPORT_ENTRY, slug, entry);
+  }
 
   // Transform relations as ids.
   let entriesFlatten = cloneDeep(entries);
@@ -114,6 +134,18 @@ async function findEntriesForHierarchy(
       return entry;
     };
 
+    // Related entries keep their documentId, so that they can be linked in another instance,
+    // where their ids differ.
+    const flattenRelation = (entry) => {
+      const toReference = (rel) => (isObjectSafe(rel) && rel.documentId ? { id: rel.id, documentId: rel.documentId } : flattenEntryCommon(rel));
+      if (entry == null) {
+        return null;
+      } else if (isArraySafe(entry)) {
+        return entry.map(toReference);
+      }
+      return toReference(entry);
+    };
+
     const flattenProperty = (propAttribute, propEntries) => {
       if (propEntries == null) {
         return null;
@@ -127,7 +159,7 @@ async function findEntriesForHierarchy(
       } else if (isMediaAttribute(propAttribute)) {
         return flattenEntryCommon(propEntries);
       } else if (isRelationAttribute(propAttribute)) {
-        return flattenEntryCommon(propEntries);
+        return flattenRelation(propEntries);
       }
       return propEntries;
     };
@@ -253,7 +285,7 @@ async function findEntriesForHierarchy(
   return store;
 }
 
-async function findEntries(slug, deepness, { search, ids }) {
+async function findEntries(slug, deepness, { search, ids, status = ExportStatuses.DRAFT }) {
   try {
     const queryBuilder = new ObjectBuilder();
     queryBuilder.extend(getPopulateFromSchema(slug, deepness));
@@ -267,9 +299,24 @@ async function findEntries(slug, deepness, { search, ids }) {
       });
     }
 
+    // Related entries are found by id, which is the id of either version of their document.
+    let statuses = [undefined];
+    if (getModel(slug)?.options?.draftAndPublish) {
+      statuses = ids || status === ExportStatuses.BOTH ? [ExportStatuses.DRAFT, ExportStatuses.PUBLISHED] : [status];
+    }
+
+    // Every locale of a document is an entry sharing its documentId. Without `locale`, only the
+    // default locale is found.
+    if (getModel(slug)?.pluginOptions?.i18n?.localized) {
+      queryBuilder.extend({ locale: '*' });
+    }
+
     // deprecated:
     // const entries = await strapi.entityService.findMany(slug, queryBuilder.get());
-    const entries = await strapi.documents(slug).findMany(queryBuilder.get());
+    const entries = [];
+    for (const entriesStatus of statuses) {
+      entries.push(...toArray(await strapi.documents(slug).findMany({ ...queryBuilder.get(), ...(entriesStatus ? { status: entriesStatus } : {}) })));
+    }
 
     return entries;
   } catch (_) {
@@ -387,11 +434,17 @@ function getModelPopulationAttributes(model) {
     const { related, ...attributes } = model.attributes;
     return attributes;
   }
+  if (model.pluginOptions?.i18n?.localized) {
+    // Locales are exported as entries of their own.
+    const { localizations, ...attributes } = model.attributes;
+    return attributes;
+  }
 
   return model.attributes;
 }
 
 export {
+  ExportStatuses,
   exportDataV2,
   findEntriesForHierarchy,
   findEntries,
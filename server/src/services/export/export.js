@@ -1,14 +1,23 @@
 import { isEmpty, merge } from 'lodash/fp';
 import qs from 'qs';
 
+import { toArray } from '../../../libs/arrays.js';
 import { ObjectBuilder } from '../../../libs/objects.js';
-import { CustomSlugToSlug } from '../../config/constants.js';
-import { convertToCsv, convertToJson } from './converters.js';
+import { CustomSlugToSlug, CustomSlugs } from '../../config/constants.js';
+import { getAllSlugs } from '../../utils/models.js';
+import { HookNames, runHooks } from '../hooks/hooks.js';
+import { convertToCsv, convertToJson, convertToNdjson, convertToXlsx, convertToYaml } from './converters.js';
 
 const dataFormats = {
   CSV: 'csv',
   JSON: 'json',
   JSON_V2: 'json-v2',
+  NDJSON: 'ndjson',
+  NDJSON_V2: 'ndjson-v2',
+  XLSX: 'xlsx',
+  YAML: 'yaml',
+  YAML_V2: 'yaml-v2',
+  ZIP_V2: 'zip-v2',
 };
 
 const dataConverterConfigs = {
@@ -18,41 +27,65 @@ const dataConverterConfigs = {
   [dataFormats.JSON]: {
     convertEntries: convertToJson,
   },
+  [dataFormats.NDJSON]: {
+    convertEntries: convertToNdjson,
+  },
+  [dataFormats.XLSX]: {
+    convertEntries: (entries, options) => convertToXlsx({ [options.slug]: entries }, options),
+  },
+  [dataFormats.YAML]: {
+    convertEntries: convertToYaml,
+  },
 };
 
 /**
  * Export data.
+ * XLSX exports of the whole database have a sheet per content type.
  * @param {Object} options
  * @param {string} options.slug
- * @param {("csv"|"json")} options.exportFormat
+ * @param {("csv"|"json"|"ndjson"|"xlsx"|"yaml")} options.exportFormat
  * @param {string} options.search
  * @param {boolean} options.applySearch
  * @param {boolean} options.relationsAsId
  * @param {number} options.deepness
- * @returns {Promise<string>}
+ * @param {boolean} [options.exportPluginsContentTypes] - Export the content types of plugins along with the whole database.
+ * @returns {Promise<string>} Exported content, encoded in base64 for XLSX.
  */
-const exportData = async ({ slug, search, applySearch, exportFormat, relationsAsId, deepness = 5 }) => {
-  const slugToProcess = CustomSlugToSlug[slug] || slug;
-  const queryBuilder = new ObjectBuilder();
-  
-  //fails in here
-  queryBuilder.extend(getPopulateFromSchema(slugToProcess, deepness));
-  if (applySearch) {
-    queryBuilder.extend(buildFilterQuery(search));
+const exportData = async ({ slug, search, applySearch, exportFormat, relationsAsId, deepness = 5, exportPluginsContentTypes }) => {
+  if (exportFormat === dataFormats.XLSX && slug === CustomSlugs.WHOLE_DB) {
+    const entriesBySlug = {};
+    for (const slugToProcess of getAllSlugs({ includePluginsContentTypes: exportPluginsContentTypes })) {
+      entriesBySlug[slugToProcess] = await findEntries(slugToProcess, { search, applySearch, deepness });
+    }
+    const data = await convertToXlsx(entriesBySlug, { relationsAsId });
+    return runHooks(HookNames.AFTER_EXPORT, slug, data, { exportFormat });
   }
-  const query = queryBuilder.get();
 
-  // deprecated:
-  // const entries = await strapi.entityService.findMany(slugToProcess, query);
-  const entries = await strapi.documents(slugToProcess).findMany(query);
+  const slugToProcess = CustomSlugToSlug[slug] || slug;
+  const entries = await findEntries(slugToProcess, { search, applySearch, deepness });
 
-  const data = convertData(entries, {
+  const data = await convertData(entries, {
     slug: slugToProcess,
     dataFormat: exportFormat,
     relationsAsId,
   });
 
-  return data;
+  return runHooks(HookNames.AFTER_EXPORT, slugToProcess, data, { exportFormat });
+};
+
+const findEntries = async (slug, { search, applySearch, deepness }) => {
+  const queryBuilder = new ObjectBuilder();
+  queryBuilder.extend(getPopulateFromSchema(slug, deepness));
+  if (applySearch) {
+    queryBuilder.extend(buildFilterQuery(search));
+  }
+  const query = queryBuilder.get();
+
+  const entries = toArray(await strapi.documents(slug).findMany(query));
+  for (const [idx, entry] of entries.entries()) {
+    entries[idx] = await runHooks(HookNames.BEFORE_EXPORT_ENTRY, slug, entry);
+  }
+  return entries;
 };
 
 const buildFilterQuery = (search) => {
@@ -77,7 +110,7 @@ const buildFilterQuery = (search) => {
  * @param {string} options.slug
  * @param {string} options.dataFormat
  * @param {boolean} options.relationsAsId
- * @returns {string}
+ * @returns {string|Promise<string>}
  */
 const convertData = (entries, options) => {
   const converter = getConverter(options.dataFormat);
@@ -0,0 +1,119 @@
+/**
+ * Hooks other code can register to change what the plugin imports and exports.
+ */
+const HookNames = {
+  /**
+   * Called once with the data of each entry of the file, before the entries are validated.
+   * Resolves to the data to validate and import, or to nothing to keep it.
+   */
+  BEFORE_IMPORT_ENTRY: 'beforeImportEntry',
+  /**
+   * Called once with the database entry each entry was imported to, once its attributes and
+   * relations are written. Not called by dry runs.
+   */
+  AFTER_IMPORT_ENTRY: 'afterImportEntry',
+  /** Called with an entry before it is exported. Resolves to the entry to export, or to nothing to keep it. */
+  BEFORE_EXPORT_ENTRY: 'beforeExportEntry',
+  /** Called with the content of an export file. Resolves to the content to export, or to nothing to keep it. */
+  AFTER_EXPORT: 'afterExport',
+};
+
+/** Registers hooks for every slug. */
+const ALL_SLUGS = '*';
+
+/** Registered hooks, by slug. */
+const hooksBySlug = new Map();
+
+/**
+ * @typedef {Object} Hooks
+ * @property {Function} [beforeImportEntry] - `(data, { slug, user }) => data`
+ * @property {Function} [afterImportEntry] - `(entry, { slug, user, data }) => void`
+ * @property {Function} [beforeExportEntry] - `(entry, { slug }) => entry`
+ * @property {Function} [afterExport] - `(content, { slug, exportFormat }) => content`
+ */
+/**
+ * Register hooks for the entries of a slug. Hooks may be async, and run in the order they were
+ * registered. Errors thrown by import hooks fail the entry being imported.
+ * @param {string} slug - Slug of the model, or `*` for every model.
+ * @param {Hooks} hooks
+ * @returns {Function} Unregisters the hooks.
+ * @example
+ * strapi.plugin('strapi-import-export').service('hooks').register('api::article.article', {
+ *   beforeImportEntry: (data) => ({ ...data, slug: slugify(data.title) }),
+ *   beforeExportEntry: ({ internalNotes, ...entry }) => entry,
+ * });
+ */
+function register(slug, hooks) {
+  const unknownNames = Object.keys(hooks).filter(
+    (name) => !Object.values(HookNames).includes(name)
+  );
+  if (unknownNames.length) {
+    throw new Error(`Unknown import export hooks: ${unknownNames.join(', ')}`);
+  }
+
+  if (!hooksBySlug.has(slug)) {
+    hooksBySlug.set(slug, []);
+  }
+  hooksBySlug.get(slug).push(hooks);
+
+  return () => {
+    hooksBySlug.set(
+      slug,
+      hooksBySlug.get(slug).filter((registeredHooks) => registeredHooks !== hooks)
+    );
+  };
+}
+
+function getHooks(name, slug) {
+  return [...(hooksBySlug.get(ALL_SLUGS) || []), ...(hooksBySlug.get(slug) || [])]
+    .map((hooks) => hooks[name])
+    .filter(Boolean);
+}
+
+/**
+ * Run the hooks of a slug, each of them being passed the value returned by the previous one.
+ * @param {string} name - One of `HookNames`.
+ * @param {string} slug
+ * @param {*} value
+ * @param {Object} context - Passed to the hooks along with `slug`.
+ * @returns {Promise<*>} Value returned by the last hook.
+ */
+async function runHooks(name, slug, value, context = {}) {
+  for (const hook of getHooks(name, slug)) {
+    value = (await hook(value, { ...context, slug })) ?? value;
+  }
+  return value;
+}
+
+/**
+ * Run the `beforeImportEntry` hooks of a slug on each of its entries.
+ * @param {string} slug
+ * @param {Array<Object>} entries
+ * @param {Object} context - Passed to the hooks along with `slug`.
+ * @returns {Promise<{ entries: Array<Object>, errors: Array<Error|undefined> }>} Entries returned by the
+ *   hooks, and errors thrown by them, by index. Entries whose hooks throw are returned unchanged.
+ */
+async function runBeforeImportEntryHooks(slug, entries, context = {}) {
+  const errors = [];
+  const hookedEntries = [];
+  for (const [idx, entry] of entries.entries()) {
+    try {
+      hookedEntries.push(await runHooks(HookNames.BEFORE_IMPORT_ENTRY, slug, entry, context));
+    } catch (err) {
+      errors[idx] = err;
+      hookedEntries.push(entry);
+    }
+  }
+  return { entries: hookedEntries, errors };
+}
+
+/**
+ * Whether hooks are registered for a slug.
+ * @param {string} name - One of `HookNames`.
+ * @param {string} slug
+ */
+function hasHooks(name, slug) {
+  return getHooks(name, slug).length > 0;
+}
+
+export { HookNames, hasHooks, register, runBeforeImportEntryHooks, runHooks };
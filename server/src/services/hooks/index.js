@@ -0,0 +1,8 @@
+import { HookNames, register } from './hooks.js';
+
+const hooksService = {
+  HookNames,
+  register,
+};
+
+export default hooksService;
@@ -0,0 +1,362 @@
+import fs from 'fs';
+import { getModel, getModelIdField } from '../../utils/models.js';
+import { getConfig } from '../../utils/getConfig.js';
+import { runInBatch } from '../batches/batches.js';
+import { importData } from './import.js';
+import { importDataV2, importDataV2Stream } from './import-v2.js';
+import {
+  getInputFormat,
+  isNdjsonV2Line,
+  parseInputData,
+  parseInputRows,
+  parseNdjsonLine,
+} from './parsers.js';
+import { MirrorKeys, mirrorEntries } from './utils/mirror.js';
+import { MediaReport } from './utils/media-report.js';
+import { ImportPreview } from './utils/preview.js';
+import { ImportRollbackError, runAtomically } from './utils/transaction.js';
+import { readFirstChar, streamCsvBatches, streamJsonValues, streamLines } from './utils/stream.js';
+
+/**
+ * Import data from a file, reading it row by row (or entry by entry for v2 files) so that
+ * large files are never loaded in memory at once.
+ * @param {string} filePath - Path of the file to import.
+ * @param {Object} options
+ * @param {string} options.slug - Slug of the model to import.
+ * @param {string} options.format - Name of the input format of the file, see `registerInputFormat`.
+ *   Files of formats which can't be streamed are loaded in memory.
+ * @param {Object} options.user - User importing the data.
+ * @param {string|Array<string>} [options.idField] - Field used as unique identifier, or fields forming a composite key.
+ * @param {boolean} [options.importAsDrafts]
+ * @param {boolean} [options.dryRun] - Report what would be imported without writing anything.
+ * @param {boolean} [options.atomic] - Import all entries in a single transaction, rolled back if any entry fails.
+ * @param {Function} [options.onProgress] - Called with `{ processed, total }` each time an entry is processed. `total` is always `null`.
+ * @param {Object} [options.columnMapping] - Mapping of the columns of a CSV file to the model attributes.
+ * @param {("update"|"skip"|"fail"|"merge")} [options.conflictStrategy] - What to do with entries that already exist.
+ * @param {("fail"|"skip"|"create")} [options.missingRelationStrategy] - What to do when a relation references an entry that doesn't exist.
+ * @param {boolean} [options.mirror] - Remove the entries missing from the file, once every entry of the file is imported.
+ * @param {("delete"|"unpublish")} [options.mirrorAction] - How mirror imports remove entries.
+ * @param {Function} [options.authorizeMirror] - Called with the slugs whose entries a mirror import of a v2 file removes, see `importDataV2`.
+ * @returns {Promise<ImportDataRes>}
+ */
+const importDataFromFile = async (
+  filePath,
+  {
+    slug,
+    format,
+    user,
+    idField,
+    importAsDrafts = true,
+    dryRun = false,
+    atomic = false,
+    onProgress,
+    columnMapping,
+    conflictStrategy,
+    missingRelationStrategy,
+    mirror = false,
+    mirrorAction,
+    authorizeMirror,
+  }
+) => {
+  const batchSize = getConfig('importBatchSize');
+  const options = {
+    slug,
+    format,
+    user,
+    idField,
+    importAsDrafts,
+    dryRun,
+    atomic,
+    onProgress,
+    columnMapping,
+    conflictStrategy,
+    missingRelationStrategy,
+    mirror,
+    mirrorAction,
+  };
+
+  strapi.log.info(`Streaming ${format} file import for ${slug} - batch size: ${batchSize}`);
+
+  const { streamAs, binary } = getInputFormat(format) || {};
+  if (streamAs === 'csv') {
+    return importRowBatches((onBatch) => streamCsvBatches(filePath, batchSize, onBatch), options);
+  }
+
+  if (streamAs === 'ndjson') {
+    if ((await readNdjsonVersion(filePath)) === 2) {
+      return importDataV2Stream(
+        (onEntry) =>
+          streamNdjsonValues(filePath, (value) => onEntry(value.slug, value.id, value.data)),
+        {
+          slug,
+          user,
+          idField,
+          importAsDrafts,
+          dryRun,
+          atomic,
+          onProgress,
+          batchSize,
+          conflictStrategy,
+          mirror,
+          mirrorAction,
+          authorizeMirror,
+        }
+      );
+    }
+    return importRowBatches(
+      (onBatch) => streamNdjsonBatches(filePath, batchSize, onBatch),
+      options
+    );
+  }
+
+  if (streamAs === 'json' && (await readFirstChar(filePath)) === '[') {
+    return importRowBatches(
+      (onBatch) => streamJsonArrayBatches(filePath, batchSize, onBatch),
+      options
+    );
+  }
+
+  if (format === 'json' && (await readJsonVersion(filePath)) === 2) {
+    return importDataV2Stream(
+      (onEntry) =>
+        streamJsonValues(
+          filePath,
+          (path) => path.length === 3 && path[0] === 'data',
+          (entry, [, entrySlug, fileId]) => onEntry(entrySlug, fileId, entry)
+        ),
+      {
+        slug,
+        user,
+        idField,
+        importAsDrafts,
+        dryRun,
+        atomic,
+        onProgress,
+        batchSize,
+        conflictStrategy,
+        mirror,
+        mirrorAction,
+        authorizeMirror,
+      }
+    );
+  }
+
+  // A single entry, small enough to be imported at once, or a file which can't be streamed.
+  const dataRaw = await fs.promises.readFile(filePath, binary ? null : 'utf8');
+  if (!streamAs) {
+    const fileContent = await parseInputData(format, dataRaw, {
+      slug,
+      importAsDrafts,
+      columnMapping,
+    });
+    if (fileContent?.version === 2) {
+      return importDataV2(fileContent, {
+        slug,
+        user,
+        idField,
+        importAsDrafts,
+        dryRun,
+        atomic,
+        onProgress,
+        conflictStrategy,
+        mirror,
+        mirrorAction,
+        authorizeMirror,
+      });
+    }
+  }
+  return importData(dataRaw, {
+    slug,
+    format,
+    user,
+    idField,
+    importAsDrafts,
+    dryRun,
+    atomic,
+    onProgress,
+    columnMapping,
+    conflictStrategy,
+    missingRelationStrategy,
+    mirror,
+    mirrorAction,
+  });
+};
+
+const importRowBatches = async (
+  readBatches,
+  {
+    slug,
+    format,
+    user,
+    idField,
+    importAsDrafts,
+    dryRun,
+    atomic,
+    onProgress,
+    columnMapping,
+    conflictStrategy,
+    missingRelationStrategy,
+    mirror,
+    mirrorAction,
+  }
+) => {
+  const hasDraftAndPublish = getModel(slug)?.options?.draftAndPublish === true;
+  const preview = dryRun ? new ImportPreview() : null;
+  const mediaReport = new MediaReport();
+  // The keys of all the row batches are needed to know which entries are missing from the file.
+  const mirrorKeys = mirror ? new MirrorKeys(idField || getModelIdField(slug)) : null;
+  // Unique values are checked across all the row batches.
+  const seenValues = {};
+
+  const runImport = async (batch) => {
+    const failures = [];
+
+    await readBatches(async (rows, offset) => {
+      const { data, rowErrors } = parseInputRows(format, rows, {
+        slug,
+        importAsDrafts: hasDraftAndPublish ? importAsDrafts : false,
+        columnMapping,
+        rowOffset: offset,
+      });
+      const res = await importData(data, {
+        slug,
+        format: 'jso',
+        user,
+        idField,
+        importAsDrafts,
+        dryRun,
+        atomic,
+        rowOffset: offset,
+        sourceRows: rows,
+        rowErrors,
+        batch,
+        seenValues,
+        conflictStrategy,
+        missingRelationStrategy,
+        mirrorKeys,
+        onProgress: ({ processed }) => onProgress?.({ processed: offset + processed, total: null }),
+      });
+
+      // Abort the transaction wrapping all the batches.
+      if (res.rollback) {
+        throw new ImportRollbackError(res.rollback.error, {
+          slug: res.rollback.slug,
+          key: res.rollback.entry,
+          failure: res.failures[0],
+        });
+      }
+
+      failures.push(...res.failures);
+      for (const entry of res.preview?.entries || []) {
+        preview.record(entry.slug, entry.key, entry);
+      }
+      for (const file of res.media?.files || []) {
+        mediaReport.record(file.slug, file.key, file);
+      }
+    });
+
+    if (mirror) {
+      await mirrorEntries(slug, mirrorKeys, { action: mirrorAction, preview, batch });
+    }
+
+    return { failures };
+  };
+
+  // All the row batches are recorded in the same import batch.
+  const runImportAtomically = (batch) =>
+    atomic && !preview ? runAtomically(() => runImport(batch)) : runImport(batch);
+  const res = preview
+    ? await runImportAtomically(null)
+    : await runInBatch({ slug, user, atomic }, runImportAtomically);
+
+  if (preview) {
+    res.preview = preview.toJSON();
+  }
+  if (mediaReport.files.size) {
+    res.media = mediaReport.toJSON();
+  }
+
+  return res;
+};
+
+const streamJsonArrayBatches = async (filePath, batchSize, onBatch) => {
+  let batch = [];
+  let offset = 0;
+
+  const flush = async () => {
+    if (!batch.length) {
+      return;
+    }
+    const rows = batch;
+    batch = [];
+    await onBatch(rows, offset);
+    offset += rows.length;
+  };
+
+  await streamJsonValues(
+    filePath,
+    (path) => path.length === 1,
+    async (row) => {
+      batch.push(row);
+      if (batch.length >= batchSize) {
+        await flush();
+      }
+    }
+  );
+  await flush();
+};
+
+const streamNdjsonValues = (filePath, onValue) =>
+  streamLines(filePath, (line, lineNumber) =>
+    line.trim() ? onValue(parseNdjsonLine(line, lineNumber)) : undefined
+  );
+
+const streamNdjsonBatches = async (filePath, batchSize, onBatch) => {
+  let batch = [];
+  let offset = 0;
+
+  const flush = async () => {
+    if (!batch.length) {
+      return;
+    }
+    const rows = batch;
+    batch = [];
+    await onBatch(rows, offset);
+    offset += rows.length;
+  };
+
+  await streamNdjsonValues(filePath, async (row) => {
+    batch.push(row);
+    if (batch.length >= batchSize) {
+      await flush();
+    }
+  });
+  await flush();
+};
+
+/**
+ * Get the version of NDJSON files whose lines are v2 entries, see `isNdjsonV2Line`.
+ */
+const readNdjsonVersion = async (filePath) => {
+  let version = null;
+  await streamNdjsonValues(filePath, (value) => {
+    version = isNdjsonV2Line(value) ? 2 : null;
+    return false;
+  });
+  return version;
+};
+
+const readJsonVersion = async (filePath) => {
+  let version = null;
+  await streamJsonValues(
+    filePath,
+    (path) => path.length === 1 && path[0] === 'version',
+    (value) => {
+      version = value;
+      return false;
+    }
+  );
+  return version;
+};
+
+export { importDataFromFile };
@@ -4,31 +4,158 @@ import omit from 'lodash/omit';
 import pick from 'lodash/pick';
 import castArray from 'lodash/castArray';
 import { extract, toArray } from '../../../libs/arrays.js';
-import { ObjectBuilder } from '../../../libs/objects.js';
-import { getModel, getModelAttributes, isComponentAttribute, isDynamicZoneAttribute, isMediaAttribute, isRelationAttribute } from '../../utils/models.js';
-import { head, toPairs } from 'lodash';
-import { findOrImportFile } from './utils/file.js';
+import { ObjectBuilder, isObjectSafe } from '../../../libs/objects.js';
+import { getModel, getModelAttributes, getModelIdField, isComponentAttribute, isDynamicZoneAttribute, isMediaAttribute, isRelationAttribute } from '../../utils/models.js';
+import { runInBatch } from '../batches/batches.js';
+import { HookNames, hasHooks, runBeforeImportEntryHooks, runHooks } from '../hooks/hooks.js';
+import { fromPairs, head, toPairs } from 'lodash';
+import { findOrImportFileWithAction } from './utils/file.js';
+import { MediaReport } from './utils/media-report.js';
+import { ConflictStrategies, getConflictPopulate, resolveConflict } from './utils/conflict.js';
+import { getIdFieldWhere, getIdFields } from './utils/id-field.js';
+import { ImportPreview, getChangedFields, getPreviewAction } from './utils/preview.js';
+import { createFailure } from './utils/failure.js';
+import { ImportRollbackError, runAtomically } from './utils/transaction.js';
+import { validateEntries } from './utils/validation.js';
+import { createProgress } from './utils/progress.js';
+import { MirrorActions, MirrorKeys, mirrorEntries } from './utils/mirror.js';
 
+/**
+ * Maps the ids of the entries in the file to the database entries they were imported to.
+ * Content types entries are also mapped to their documentId, which is the same in every
+ * instance, unlike their id.
+ */
 class IdMapper {
   constructor() {
     this.mapping = {};
+    this.created = new Set();
   }
 
   getMapping(slug, fileId) {
-    return this.mapping[slug]?.get(`${fileId}`);
+    return this.mapping[slug]?.get(`${fileId}`)?.id;
   }
 
-  setMapping(slug, fileId, dbId) {
+  getDocumentId(slug, fileId) {
+    return this.mapping[slug]?.get(`${fileId}`)?.documentId;
+  }
+
+  /**
+   * @param {string} slug
+   * @param {string|number} fileId
+   * @param {Object} dbEntry - Database entry the file entry was imported to.
+   */
+  setMapping(slug, fileId, dbEntry) {
     if (!this.mapping[slug]) {
       this.mapping[slug] = new Map();
     }
 
-    this.mapping[slug].set(`${fileId}`, dbId);
+    this.mapping[slug].set(`${fileId}`, { id: dbEntry.id, documentId: dbEntry.documentId ?? null });
+  }
+
+  /**
+   * Remember that an entry was created by this import, so that its next import stages update
+   * it whatever the conflict strategy.
+   */
+  setCreated(slug, fileId) {
+    this.created.add(`${slug}:${fileId}`);
+  }
+
+  isCreated(slug, fileId) {
+    return this.created.has(`${slug}:${fileId}`);
+  }
+
+  /**
+   * Get the database entries the entries of a slug were imported to.
+   * @returns {Array<{ id: number, documentId: string|null }>}
+   */
+  getDbEntries(slug) {
+    return Array.from(this.mapping[slug]?.values() || []);
   }
 }
 
+/**
+ * Pairs the draft and published versions of the documents in the file, which share their
+ * documentId and locale.
+ * The draft version is imported like any entry. When the import publishes documents, the
+ * published version is written to the draft before it is published, then the draft version is
+ * written back.
+ */
+class DocumentVersions {
+  constructor() {
+    this.draftFileIds = new Map();
+    this.published = new Set();
+    this.republished = new Set();
+  }
+
+  static getKey(slug, fileEntry) {
+    return `${slug}:${fileEntry.documentId}:${fileEntry.locale ?? ''}`;
+  }
+
+  static isPublishedVersion(slug, fileEntry) {
+    return getModel(slug)?.options?.draftAndPublish === true && !!fileEntry.publishedAt;
+  }
+
+  add(slug, fileId, fileEntry) {
+    if (!fileEntry.documentId) {
+      return;
+    }
+
+    const key = DocumentVersions.getKey(slug, fileEntry);
+    if (DocumentVersions.isPublishedVersion(slug, fileEntry)) {
+      this.published.add(key);
+    } else {
+      this.draftFileIds.set(key, `${fileId}`);
+    }
+  }
+
+  /**
+   * Get the file id of the draft version of the document of an entry, if it is in the file.
+   */
+  getDraftFileId(slug, fileEntry) {
+    return fileEntry.documentId ? this.draftFileIds.get(DocumentVersions.getKey(slug, fileEntry)) : undefined;
+  }
+
+  /**
+   * Whether the entry is a published version imported through the draft version of its document.
+   */
+  isSecondary(slug, fileEntry) {
+    return DocumentVersions.isPublishedVersion(slug, fileEntry) && !!this.getDraftFileId(slug, fileEntry);
+  }
+
+  setRepublished(slug, fileEntry) {
+    this.republished.add(DocumentVersions.getKey(slug, fileEntry));
+  }
+
+  isRepublished(slug, fileEntry) {
+    return !!fileEntry.documentId && this.republished.has(DocumentVersions.getKey(slug, fileEntry));
+  }
+}
+
+/**
+ * Get the stages content types are imported in: their simple attributes first, then their
+ * relations once every entry exists, then the publication of their published versions.
+ */
+const getContentTypeStages = ({ importAsDrafts, preview }) => {
+  const stages = ['simpleAttributes', 'relationAttributes'];
+  return importAsDrafts || preview ? stages : stages.concat('publish', 'draftVersions');
+};
+
 /**
  * Import data.
+ * @param {Object} fileContent - Parsed v2 file. Media bundled in `fileContent.mediaArchive` are imported from it rather than from their url.
+ * @param {Object} options
+ * @param {string} options.slug - Slug of the model to import.
+ * @param {Object} options.user - User importing the data.
+ * @param {string|Array<string>} [options.idField] - Field used as unique identifier of the entries of `options.slug`, or fields forming a composite key.
+ * @param {boolean} [options.dryRun] - Report what would be imported without writing anything.
+ * @param {boolean} [options.atomic] - Import all entries in a single transaction, rolled back if any entry fails.
+ * @param {Function} [options.onProgress] - Called with `{ processed, total }` each time an entry is processed.
+ * @param {("update"|"skip"|"fail"|"merge")} [options.conflictStrategy] - What to do with entries that already exist.
+ * @param {boolean} [options.importAsDrafts] - Import published versions as drafts. Otherwise they are published.
+ * @param {boolean} [options.mirror] - Remove the entries of the content types of the file which are missing from it.
+ * @param {("delete"|"unpublish")} [options.mirrorAction] - How mirror imports remove entries.
+ * @param {Function} [options.authorizeMirror] - Called with the slugs whose entries a mirror import removes,
+ *   before anything is written. The import is aborted if it rejects.
  * @returns {Promise<ImportDataRes>}
  */
 const importDataV2 = async (
@@ -37,13 +164,24 @@ const importDataV2 = async (
     slug: slugArg,
     user,
     idField,
+    importAsDrafts = true,
+    dryRun = false,
+    atomic = false,
+    onProgress,
+    conflictStrategy = ConflictStrategies.UPDATE,
+    mirror = false,
+    mirrorAction = MirrorActions.DELETE,
+    authorizeMirror,
   },
 ) => {
-  const { data } = fileContent;
+  const { mediaArchive } = fileContent;
+  // Entries returned by the `beforeImportEntry` hooks replace the ones of the file.
+  const data = { ...fileContent.data };
 
   const slugs = Object.keys(data);
-  let failures = [];
   const fileIdToDbId = new IdMapper();
+  const preview = dryRun ? new ImportPreview() : null;
+  const mediaReport = new MediaReport();
 
   const { componentSlugs, mediaSlugs, contentTypeSlugs } = splitSlugs(slugs);
   const componentsDataStore = {};
@@ -51,42 +189,364 @@ const importDataV2 = async (
     componentsDataStore[slug] = data[slug];
   }
 
-  for (const slug of mediaSlugs) {
-    const res = await importMedia(data[slug], { user, fileIdToDbId });
-    failures.push(...res.failures);
+  if (mirror) {
+    await authorizeMirror?.(contentTypeSlugs);
   }
 
-  // Import content types without setting relations.
-  for (const slug of contentTypeSlugs) {
-    const res = await importContentTypeSlug(data[slug], {
-      slug: slug,
-      user,
-      // Keep behavior of `idField` of version 1.
-      ...(slug === slugArg ? { idField } : {}),
-      importStage: 'simpleAttributes',
-      fileIdToDbId,
-      componentsDataStore,
+  const contentTypeStages = getContentTypeStages({ importAsDrafts, preview });
+  const countEntries = (slugs) => slugs.reduce((count, slug) => count + Object.keys(data[slug] || {}).length, 0);
+  const progress = createProgress(countEntries(mediaSlugs) + contentTypeStages.length * countEntries(contentTypeSlugs), onProgress);
+
+  const runImport = async (batch) => {
+    const failures = [];
+
+    const invalidEntries = new Set();
+    for (const slug of contentTypeSlugs) {
+      const res = await runBeforeImportHooks(data[slug], { slug, user, invalidEntries, atomic });
+      data[slug] = res.entries;
+      failures.push(...res.failures);
+    }
+
+    const versions = new DocumentVersions();
+    const mirrorKeys = {};
+    for (const slug of contentTypeSlugs) {
+      toPairs(data[slug]).forEach(([fileId, fileEntry]) => versions.add(slug, fileId, fileEntry));
+      if (mirror) {
+        mirrorKeys[slug] = createMirrorKeys(slug, Object.values(data[slug]), { slug: slugArg, idField });
+      }
+    }
+
+    // Entries are validated before any of them is written.
+    for (const slug of contentTypeSlugs) {
+      const res = await validateContentTypeSlug(data[slug], { slug, idField: getSlugIdField(slug, { slug: slugArg, idField }), fileIdToDbId, invalidEntries, atomic, conflictStrategy });
+      failures.push(...res.failures);
+    }
+
+    for (const slug of mediaSlugs) {
+      const res = await importMedia(data[slug], { user, fileIdToDbId, preview, mediaReport, atomic, progress, mediaArchive });
+      failures.push(...res.failures);
+    }
+
+    for (const importStage of contentTypeStages) {
+      for (const slug of contentTypeSlugs) {
+        const res = await importContentTypeSlug(data[slug], {
+          slug: slug,
+          user,
+          // Keep behavior of `idField` of version 1.
+          ...(slug === slugArg ? { idField } : {}),
+          importStage,
+          fileIdToDbId,
+          versions,
+          componentsDataStore,
+          invalidEntries,
+          preview,
+          batch,
+          atomic,
+          progress,
+          conflictStrategy,
+        });
+        failures.push(...res.failures);
+      }
+    }
+
+    await mirrorContentTypes(mirrorKeys, { fileIdToDbId, mirrorAction, preview, batch });
+
+    return { failures };
+  };
+
+  return runImportStages(runImport, { slug: slugArg, user, slugs, preview, mediaReport, atomic });
+};
+
+/**
+ * Import a v2 file too large to be loaded in memory.
+ * The file is read once for its components and media, once to pair the versions of its documents,
+ * then once per stage of its content types. Entries are imported in batches of consecutive entries
+ * of the same slug. Components, and the entries returned by `beforeImportEntry` hooks, are kept in
+ * memory until the end of the import.
+ * @param {Function} readEntries - Read the entries of the file. Called with an `onEntry(slug, fileId, entry)`
+ * callback, whose returned promise must resolve before the next entry is read.
+ * @param {Object} options - Same as the options of `importDataV2`.
+ * @param {number} [options.batchSize] - Maximum number of entries imported at once.
+ * @returns {Promise<ImportDataRes>}
+ */
+const importDataV2Stream = async (
+  readEntries,
+  {
+    slug: slugArg,
+    user,
+    idField,
+    importAsDrafts = true,
+    dryRun = false,
+    atomic = false,
+    onProgress,
+    batchSize = 100,
+    conflictStrategy = ConflictStrategies.UPDATE,
+    mirror = false,
+    mirrorAction = MirrorActions.DELETE,
+    authorizeMirror,
+  },
+) => {
+  const slugs = new Set();
+  const fileIdToDbId = new IdMapper();
+  const preview = dryRun ? new ImportPreview() : null;
+  const mediaReport = new MediaReport();
+  const componentsDataStore = {};
+  // The number of entries is unknown until the file has been read.
+  const progress = createProgress(null, onProgress);
+
+  const slugTypes = new Map();
+  const getSlugType = (slug) => {
+    if (!slugTypes.has(slug)) {
+      const { componentSlugs, mediaSlugs, contentTypeSlugs } = splitSlugs([slug]);
+      const slugType = componentSlugs.length ? 'component' : mediaSlugs.length ? 'media' : contentTypeSlugs.length ? 'contentType' : null;
+      slugTypes.set(slug, slugType);
+    }
+    return slugTypes.get(slug);
+  };
+
+  const readBatches = async (slugType, onBatch) => {
+    let batchSlug = null;
+    let batch = {};
+    let batchLength = 0;
+
+    const flush = async () => {
+      if (!batchLength) {
+        return;
+      }
+      const entries = batch;
+      batch = {};
+      batchLength = 0;
+      await onBatch(batchSlug, entries);
+    };
+
+    await readEntries(async (slug, fileId, entry) => {
+      if (getSlugType(slug) !== slugType) {
+        return;
+      }
+      if (slug !== batchSlug || batchLength >= batchSize) {
+        await flush();
+        batchSlug = slug;
+      }
+      batch[fileId] = entry;
+      batchLength += 1;
+    });
+    await flush();
+  };
+
+  const runImport = async (batch) => {
+    const failures = [];
+
+    await readBatches('component', async (slug, entries) => {
+      slugs.add(slug);
+      componentsDataStore[slug] = { ...componentsDataStore[slug], ...entries };
+    });
+
+    // Entries are validated before any of them is written.
+    const versions = new DocumentVersions();
+    const mirrorKeys = {};
+    const invalidEntries = new Set();
+    const seenValues = {};
+    const hookedEntries = new Map();
+    await readBatches('contentType', async (slug, fileEntries) => {
+      const { entries, failures: hookFailures } = await runBeforeImportHooks(fileEntries, { slug, user, invalidEntries, atomic });
+      failures.push(...hookFailures);
+      // The file is read again for each import stage, the entries returned by the hooks are kept until then.
+      if (hasHooks(HookNames.BEFORE_IMPORT_ENTRY, slug)) {
+        toPairs(entries).forEach(([fileId, entry]) => hookedEntries.set(`${slug}:${fileId}`, entry));
+      }
+      toPairs(entries).forEach(([fileId, fileEntry]) => versions.add(slug, fileId, fileEntry));
+      if (mirror) {
+        mirrorKeys[slug] = mirrorKeys[slug] || createMirrorKeys(slug, [], { slug: slugArg, idField });
+        Object.values(entries).forEach((fileEntry) => mirrorKeys[slug].addFileEntry(fileEntry));
+      }
+      seenValues[slug] = seenValues[slug] || {};
+      const res = await validateContentTypeSlug(entries, {
+        slug,
+        idField: getSlugIdField(slug, { slug: slugArg, idField }),
+        fileIdToDbId,
+        invalidEntries,
+        seenValues: seenValues[slug],
+        atomic,
+        conflictStrategy,
+      });
+      failures.push(...res.failures);
     });
-    failures.push(...res.failures);
-  }
-
-  // Set relations of content types.
-  for (const slug of contentTypeSlugs) {
-    const res = await importContentTypeSlug(data[slug], {
-      slug: slug,
-      user,
-      // Keep behavior of `idField` of version 1.
-      ...(slug === slugArg ? { idField } : {}),
-      importStage: 'relationAttributes',
-      fileIdToDbId,
-      componentsDataStore,
+    if (mirror) {
+      await authorizeMirror?.(Object.keys(mirrorKeys));
+    }
+
+    await readBatches('media', async (slug, entries) => {
+      slugs.add(slug);
+      const res = await importMedia(entries, { user, fileIdToDbId, preview, mediaReport, atomic, progress });
+      failures.push(...res.failures);
     });
-    failures.push(...res.failures);
+
+    for (const importStage of getContentTypeStages({ importAsDrafts, preview })) {
+      await readBatches('contentType', async (slug, fileEntries) => {
+        slugs.add(slug);
+        const entries = fromPairs(toPairs(fileEntries).map(([fileId, fileEntry]) => [fileId, hookedEntries.get(`${slug}:${fileId}`) ?? fileEntry]));
+        const res = await importContentTypeSlug(entries, {
+          slug: slug,
+          user,
+          // Keep behavior of `idField` of version 1.
+          ...(slug === slugArg ? { idField } : {}),
+          importStage,
+          fileIdToDbId,
+          versions,
+          componentsDataStore,
+          invalidEntries,
+          preview,
+          batch,
+          atomic,
+          progress,
+          conflictStrategy,
+        });
+        failures.push(...res.failures);
+      });
+    }
+
+    await mirrorContentTypes(mirrorKeys, { fileIdToDbId, mirrorAction, preview, batch });
+
+    return { failures };
+  };
+
+  return runImportStages(runImport, { slug: slugArg, user, slugs, preview, mediaReport, atomic });
+};
+
+/**
+ * Get the keys of the entries of a content type in the file.
+ * @param {string} slug
+ * @param {Array<Object>} fileEntries
+ * @param {Object} options
+ * @param {string} options.slug - Slug of the imported model, whose entries are identified by `options.idField`.
+ * @param {string|Array<string>} [options.idField]
+ * @returns {MirrorKeys}
+ */
+const createMirrorKeys = (slug, fileEntries, { slug: slugArg, idField }) => {
+  const mirrorKeys = new MirrorKeys(getSlugIdField(slug, { slug: slugArg, idField }));
+  fileEntries.forEach((fileEntry) => mirrorKeys.addFileEntry(fileEntry));
+  return mirrorKeys;
+};
+
+/**
+ * Get the id field of the entries of a content type in the file.
+ */
+const getSlugIdField = (slug, { slug: slugArg, idField }) => {
+  // Keep behavior of `idField` of version 1.
+  return (slug === slugArg && idField) || getModelIdField(slug);
+};
+
+/**
+ * Check the entries of a content type against the attributes of its model. Entries are matched
+ * to existing entries like when they are imported. Invalid entries are reported as failures and
+ * are not imported, and abort atomic imports.
+ * @param {Object<string, Object>} slugEntries - Entries of the file, by id.
+ * @param {Object} options
+ * @param {string} options.slug
+ * @param {string|Array<string>} options.idField
+ * @param {Set<string>} [options.invalidEntries] - Collects the keys of the invalid entries. Entries already in it are skipped.
+ * @param {Object} [options.seenValues] - Values of unique attributes already seen, when the entries are checked in batches.
+ * @returns {Promise<{ failures: Array<ImportFailure> }>}
+ */
+const validateContentTypeSlug = async (slugEntries, { slug, idField, fileIdToDbId = new IdMapper(), invalidEntries = new Set(), seenValues, atomic = false, conflictStrategy }) => {
+  // Entries already reported, whose hooks failed, aren't checked again.
+  const fileEntries = toPairs(slugEntries).filter(([fileId]) => !invalidEntries.has(`${slug}:${fileId}`));
+  const errors = await validateEntries(
+    slug,
+    fileEntries.map(([, fileEntry]) => fileEntry),
+    { getWhere: (fileEntry, idx) => getEntryWhere(slug, fileEntries[idx][0], fileEntry, { idField, fileIdToDbId }), conflictStrategy, seenValues },
+  );
+
+  const failures = [];
+  for (const [idx, err] of errors.entries()) {
+    if (!err) {
+      continue;
+    }
+    const [fileId, fileEntry] = fileEntries[idx];
+    const failure = createFailure(err, { slug, fileId, data: fileEntry });
+    if (atomic) {
+      throw new ImportRollbackError(err, { slug, key: fileId, failure });
+    }
+    failures.push(failure);
+    invalidEntries.add(`${slug}:${fileId}`);
+  }
+
+  return { failures };
+};
+
+/**
+ * Run the `beforeImportEntry` hooks on the entries of a content type, once per entry and before
+ * they are validated. Entries whose hooks throw are reported as failures and are not imported,
+ * and abort atomic imports.
+ * @param {Object<string, Object>} slugEntries - Entries of the file, by id.
+ * @param {Object} options
+ * @param {string} options.slug
+ * @param {Object} [options.user] - User importing the data.
+ * @param {Set<string>} [options.invalidEntries] - Collects the keys of the entries whose hooks failed.
+ * @returns {Promise<{ entries: Object<string, Object>, failures: Array<ImportFailure> }>} Entries returned by the hooks, by id.
+ */
+const runBeforeImportHooks = async (slugEntries, { slug, user, invalidEntries = new Set(), atomic = false }) => {
+  if (!hasHooks(HookNames.BEFORE_IMPORT_ENTRY, slug)) {
+    return { entries: slugEntries, failures: [] };
+  }
+
+  const fileEntries = toPairs(slugEntries);
+  // Hooks may modify the entries they are passed.
+  const hooks = await runBeforeImportEntryHooks(slug, fileEntries.map(([, fileEntry]) => cloneDeep(fileEntry)), { user });
+
+  const failures = [];
+  for (const [idx, err] of hooks.errors.entries()) {
+    if (!err) {
+      continue;
+    }
+    const [fileId, fileEntry] = fileEntries[idx];
+    const failure = createFailure(err, { slug, fileId, data: fileEntry });
+    if (atomic) {
+      throw new ImportRollbackError(err, { slug, key: fileId, failure });
+    }
+    failures.push(failure);
+    invalidEntries.add(`${slug}:${fileId}`);
+  }
+
+  return { entries: fromPairs(fileEntries.map(([fileId], idx) => [fileId, hooks.entries[idx]])), failures };
+};
+
+/**
+ * Remove the entries of the content types of the file which are missing from it, once every
+ * entry of the file has been imported. The entries the file was imported to are kept.
+ * @param {Object<string, MirrorKeys>} mirrorKeys - Keys of the entries of each content type of the file.
+ */
+const mirrorContentTypes = async (mirrorKeys, { fileIdToDbId, mirrorAction, preview, batch }) => {
+  for (const [slug, slugMirrorKeys] of Object.entries(mirrorKeys)) {
+    fileIdToDbId.getDbEntries(slug).forEach((dbEntry) => slugMirrorKeys.addDbEntry(dbEntry));
+    await mirrorEntries(slug, slugMirrorKeys, { action: mirrorAction, preview, batch });
   }
+};
+
+/**
+ * Run the import stages, recording them in an import batch, and finalize the import.
+ * @param {Function} runImport - Import stages, called with the batch and resolving to the failures.
+ * @param {Object} options
+ * @param {string} options.slug - Slug of the imported model.
+ * @param {Object} options.user - User importing the data.
+ * @param {Iterable<string>} options.slugs - Imported slugs, read once the stages have run.
+ * @param {ImportPreview} [options.preview]
+ * @param {boolean} [options.atomic]
+ * @returns {Promise<ImportDataRes>}
+ */
+const runImportStages = async (runImport, { slug, user, slugs, preview, mediaReport, atomic }) => {
+  const runImportAtomically = (batch) => (atomic && !preview ? runAtomically(() => runImport(batch)) : runImport(batch));
+  const res = preview ? await runImportAtomically(null) : await runInBatch({ slug, user, atomic }, runImportAtomically);
+  // Files uploaded before a rollback stay in the media library.
+  const media = mediaReport.files.size ? mediaReport.toJSON() : undefined;
+  if (res.rollback) {
+    return { ...res, media };
+  }
+  const { failures, batchId } = res;
 
   // Sync primary key sequence for postgres databases.
   // See https://github.com/strapi/strapi/issues/12493.
-  if (strapi.db.config.connection.client === 'postgres') {
+  if (!preview && strapi.db.config.connection.client === 'postgres') {
     for (const slugFromFile of slugs) {
       const model = getModel(slugFromFile);
       // TODO: handle case when `id` is not a number;
@@ -94,7 +554,11 @@ const importDataV2 = async (
     }
   }
 
-  return { failures };
+  if (preview) {
+    return { failures, preview: preview.toJSON(), media };
+  }
+
+  return { failures, batchId, media };
 };
 
 function splitSlugs(slugs) {
@@ -114,21 +578,32 @@ function splitSlugs(slugs) {
   };
 }
 
-const importMedia = async (slugEntries, { user, fileIdToDbId }) => {
+const importMedia = async (slugEntries, { user, fileIdToDbId, preview, mediaReport, atomic, progress, mediaArchive }) => {
   const failures = [];
 
   const fileEntries = toPairs(slugEntries);
 
   for (let [fileId, fileEntry] of fileEntries) {
     try {
-      const dbEntry = await findOrImportFile(fileEntry, user, { allowedFileTypes: ['any'] });
+      const { file: dbEntry, action, name } = await findOrImportFileWithAction(fileEntry, user, { allowedFileTypes: ['any'], dryRun: !!preview, mediaArchive });
+      if (action) {
+        mediaReport.record('plugin::upload.file', fileId, { action, dbId: dbEntry?.id, name });
+      }
       if (dbEntry) {
-        fileIdToDbId.setMapping('plugin::upload.file', fileId, dbEntry?.id);
+        fileIdToDbId.setMapping('plugin::upload.file', fileId, dbEntry);
+      }
+      if (preview) {
+        preview.record('plugin::upload.file', fileId, { action: getPreviewAction(dbEntry, []), dbId: dbEntry?.id });
       }
     } catch (err) {
       strapi.log.error(err);
-      failures.push({ error: err, data: fileEntry });
+      const failure = createFailure(err, { slug: 'plugin::upload.file', fileId, data: fileEntry });
+      failures.push(failure);
+      if (atomic) {
+        throw new ImportRollbackError(err, { slug: 'plugin::upload.file', key: fileId, failure });
+      }
     }
+    progress.tick();
   }
 
   return {
@@ -144,37 +619,47 @@ const importContentTypeSlug = async (
     idField,
     importStage,
     fileIdToDbId,
+    versions,
     componentsDataStore,
+    invalidEntries,
+    preview,
+    batch,
+    atomic,
+    progress,
+    conflictStrategy,
   },
 ) => {
-  let fileEntries = toPairs(slugEntries);
-
-  // Sort localized data with default locale first.
-  const sortDataByLocale = async () => {
-    const schema = getModel(slug);
-
-    if (schema.pluginOptions?.i18n?.localized) {
-      const defaultLocale = await strapi.plugin('i18n').service('locales').getDefaultLocale();
-      fileEntries = fileEntries.sort((dataA, dataB) => {
-        if (dataA[1].locale === defaultLocale && dataB[1].locale === defaultLocale) {
-          return 0;
-        } else if (dataA[1].locale === defaultLocale) {
-          return -1;
-        }
-        return 1;
-      });
-    }
-  };
-  await sortDataByLocale();
+  const fileEntries = toPairs(slugEntries);
 
   const failures = [];
+  const importOptions = { fileIdToDbId, componentsDataStore, preview, batch, conflictStrategy };
   for (let [fileId, fileEntry] of fileEntries) {
+    // Invalid entries were reported when they were validated.
+    if (invalidEntries.has(`${slug}:${fileId}`)) {
+      progress.tick();
+      continue;
+    }
     try {
-      await updateOrCreate(user, slug, fileId, fileEntry, idField, { importStage, fileIdToDbId, componentsDataStore });
+      if (importStage === 'publish') {
+        if (DocumentVersions.isPublishedVersion(slug, fileEntry)) {
+          await publishEntry(user, slug, fileId, fileEntry, idField, { ...importOptions, versions });
+        }
+      } else if (importStage === 'draftVersions') {
+        if (!DocumentVersions.isPublishedVersion(slug, fileEntry) && versions.isRepublished(slug, fileEntry)) {
+          await updateOrCreateAllStages(user, slug, fileId, fileEntry, idField, importOptions);
+        }
+      } else if (!versions.isSecondary(slug, fileEntry)) {
+        await updateOrCreate(user, slug, fileId, fileEntry, idField, { ...importOptions, importStage });
+      }
     } catch (err) {
       strapi.log.error(err);
-      failures.push({ error: err, data: fileEntry });
+      const failure = createFailure(err, { slug, fileId, data: fileEntry });
+      failures.push(failure);
+      if (atomic) {
+        throw new ImportRollbackError(err, { slug, key: fileId, failure });
+      }
     }
+    progress.tick();
   }
 
   return {
@@ -182,42 +667,151 @@ const importContentTypeSlug = async (
   };
 };
 
+/**
+ * Write an entry again, for the publication of its document. The `afterImportEntry` hooks ran when
+ * the entry was first written.
+ */
+const updateOrCreateAllStages = async (user, slug, fileId, fileEntry, idField, options) => {
+  for (const importStage of ['simpleAttributes', 'relationAttributes']) {
+    await updateOrCreate(user, slug, fileId, fileEntry, idField, { ...options, importStage, skipAfterHooks: true });
+  }
+};
+
+/**
+ * Publish the document of a published version. If the file also has the draft version of the
+ * document, the published version is written to the draft before it is published, and the draft
+ * version is written back by the `draftVersions` stage.
+ * Documents whose draft was skipped or failed because of a conflict are left unpublished.
+ */
+const publishEntry = async (user, slug, fileId, fileEntry, idField, { versions, fileIdToDbId, conflictStrategy, ...options }) => {
+  const draftFileId = versions.getDraftFileId(slug, fileEntry);
+  const primaryFileId = draftFileId ?? fileId;
+  const isWritten =
+    !!fileIdToDbId.getMapping(slug, primaryFileId) &&
+    (fileIdToDbId.isCreated(slug, primaryFileId) || ![ConflictStrategies.SKIP, ConflictStrategies.FAIL].includes(conflictStrategy));
+  if (!isWritten) {
+    return;
+  }
+
+  if (draftFileId) {
+    // Written as the draft entry, so that it updates it.
+    await updateOrCreateAllStages(user, slug, draftFileId, fileEntry, idField, { ...options, fileIdToDbId, conflictStrategy });
+    versions.setRepublished(slug, fileEntry);
+  }
+
+  const documentId = fileIdToDbId.getDocumentId(slug, primaryFileId);
+  await strapi.documents(slug).publish({ documentId, ...(fileEntry.locale ? { locale: fileEntry.locale } : {}) });
+};
+
+/**
+ * Write the attributes of an entry of an import stage. The `beforeImportEntry` hooks already ran
+ * on the entry, and the `afterImportEntry` hooks run once its relations are written.
+ */
 const updateOrCreate = async (
   user,
   slug,
   fileId,
   fileEntryArg,
   idFieldArg,
-  { importStage, fileIdToDbId, componentsDataStore },
+  { importStage, fileIdToDbId, componentsDataStore, preview, batch, conflictStrategy, skipAfterHooks = false },
 ) => {
   const schema = getModel(slug);
-  const idField = idFieldArg || schema?.pluginOptions?.['import-export-entries']?.idField || 'id';
+  const idField = idFieldArg || getModelIdField(slug);
 
   let fileEntry = cloneDeep(fileEntryArg);
 
   if (importStage == 'simpleAttributes') {
     fileEntry = removeComponents(schema, fileEntry);
     fileEntry = linkMediaAttributes(schema, fileEntry, { fileIdToDbId });
+    // Entries are written as drafts, the `publish` stage publishes them.
     const attributeNames = getModelAttributes(slug, { filterOutType: ['relation'] })
       .map(({ name }) => name)
-      .concat('id', 'localizations', 'locale');
+      .filter((name) => name !== 'publishedAt')
+      .concat('id', 'documentId', 'localizations', 'locale');
     fileEntry = pick(fileEntry, attributeNames);
   } else if (importStage === 'relationAttributes') {
     fileEntry = setComponents(schema, fileEntry, { fileIdToDbId, componentsDataStore });
+    fileEntry = linkRelationAttributes(schema, fileEntry, { fileIdToDbId });
     const attributeNames = getModelAttributes(slug, { filterType: ['component', 'dynamiczone', 'relation'] })
       .map(({ name }) => name)
-      .concat('id', 'localizations', 'locale');
+      .concat('id', 'documentId', 'localizations', 'locale');
     fileEntry = pick(fileEntry, attributeNames);
   }
 
+  if (preview) {
+    return previewEntry(slug, fileId, fileEntry, { idField, importStage, fileIdToDbId, preview, conflictStrategy });
+  }
+
   let dbEntry = null;
   if (schema?.modelType === 'contentType' && schema?.kind === 'singleType') {
-    dbEntry = await updateOrCreateSingleTypeEntry(user, slug, fileId, fileEntry, { importStage, fileIdToDbId });
+    dbEntry = await updateOrCreateSingleTypeEntry(user, slug, fileId, fileEntry, { importStage, fileIdToDbId, batch, conflictStrategy });
   } else {
-    dbEntry = await updateOrCreateCollectionTypeEntry(user, slug, fileId, fileEntry, { idField, importStage, fileIdToDbId });
+    dbEntry = await updateOrCreateCollectionTypeEntry(user, slug, fileId, fileEntry, { idField, importStage, fileIdToDbId, batch, conflictStrategy });
+  }
+  if (dbEntry) {
+    fileIdToDbId.setMapping(slug, fileId, dbEntry);
+    if (importStage === 'relationAttributes' && !skipAfterHooks) {
+      // Hooks see the whole entry, whose attributes are split between the import stages.
+      await runHooks(HookNames.AFTER_IMPORT_ENTRY, slug, dbEntry, { user, data: fileEntryArg });
+    }
+  }
+};
+
+/**
+ * Get the data to write to an existing entry according to the conflict strategy.
+ * Entries created by this import are always updated, and entries skipped or failed while
+ * importing their simple attributes are left untouched when setting relations.
+ * @returns {Object|null} Data to write, or `null` if the entry must be left untouched.
+ */
+const resolveEntryConflict = (slug, fileId, fileEntry, dbEntry, { importStage, fileIdToDbId, conflictStrategy }) => {
+  if (!dbEntry || fileIdToDbId.isCreated(slug, fileId)) {
+    return fileEntry;
+  }
+  if (importStage === 'relationAttributes' && [ConflictStrategies.SKIP, ConflictStrategies.FAIL].includes(conflictStrategy)) {
+    return null;
+  }
+
+  const entryData = resolveConflict(conflictStrategy, { data: omit(fileEntry, ['id']), dbEntry, label: `${fileId} of ${slug}` });
+  return entryData && { ...entryData, ...pick(fileEntry, ['id']) };
+};
+
+/**
+ * Get the existing entry to resolve a conflict against. It is only populated for the `merge`
+ * strategy, which needs to know whether its relational attributes are empty.
+ */
+const getConflictEntry = async (slug, dbEntry, conflictStrategy) => {
+  if (conflictStrategy !== ConflictStrategies.MERGE) {
+    return dbEntry;
+  }
+  return strapi.db.query(slug).findOne({ where: { id: dbEntry.id }, populate: getConflictPopulate(slug, conflictStrategy) });
+};
+
+/**
+ * Record in the preview what importing an entry would do, without writing anything.
+ */
+const previewEntry = async (slug, fileId, fileEntry, { idField, importStage, fileIdToDbId, preview, conflictStrategy }) => {
+  const schema = getModel(slug);
+
+  let dbEntry = null;
+  const whereBuilder = new ObjectBuilder();
+  if (fileIdToDbId.getMapping(slug, fileId) || schema.kind !== 'singleType') {
+    whereBuilder.extend(getEntryWhere(slug, fileId, fileEntry, { idField, fileIdToDbId }) || {});
+  }
+  if (schema.pluginOptions?.i18n?.localized && fileEntry.locale) {
+    whereBuilder.extend({ locale: fileEntry.locale });
+  }
+  const where = whereBuilder.get();
+
+  if (schema.kind === 'singleType' || !isEmpty(omit(where, ['locale']))) {
+    dbEntry = await strapi.db.query(slug).findOne({ where, populate: getConflictPopulate(slug, conflictStrategy) });
   }
+
+  const entryData = resolveEntryConflict(slug, fileId, fileEntry, dbEntry, { importStage, fileIdToDbId, conflictStrategy });
+  const fields = entryData ? getChangedFields(slug, entryData, dbEntry) : [];
+  preview.record(slug, fileId, { action: getPreviewAction(dbEntry, fields), dbId: dbEntry?.id, fields });
+
   if (dbEntry) {
-    fileIdToDbId.setMapping(slug, fileId, dbEntry.id);
+    fileIdToDbId.setMapping(slug, fileId, dbEntry);
   }
 };
 
@@ -331,9 +925,9 @@ function getComponentData(
       }
     } else if (isRelationAttribute(attribute)) {
       if (attribute.relation.endsWith('Many')) {
-        store[attributeName] = attributeValue.map((id) => fileIdToDbId.getMapping(attribute.target, id));
+        store[attributeName] = attributeValue.map((reference) => getRelationReference(attribute.target, reference, { fileIdToDbId }));
       } else {
-        store[attributeName] = fileIdToDbId.getMapping(attribute.target, attributeValue);
+        store[attributeName] = getRelationReference(attribute.target, attributeValue, { fileIdToDbId });
       }
     } else if (isMediaAttribute(attribute)) {
       if (attribute.multiple) {
@@ -347,116 +941,210 @@ function getComponentData(
   return store;
 }
 
+function linkRelationAttributes(schema, fileEntry, { fileIdToDbId }) {
+  for (const [attributeName, attribute] of Object.entries(schema.attributes)) {
+    const attributeValue = fileEntry[attributeName];
+    // Localizations are linked by the i18n plugin.
+    if (attributeValue == null || attributeName === 'localizations' || !isRelationAttribute(attribute)) {
+      continue;
+    }
+
+    fileEntry[attributeName] = Array.isArray(attributeValue)
+      ? attributeValue.map((reference) => getRelationReference(attribute.target, reference, { fileIdToDbId }))
+      : getRelationReference(attribute.target, attributeValue, { fileIdToDbId });
+  }
+
+  return fileEntry;
+}
+
+/**
+ * Get the id of the entry a relation references in the file. Relations are exported as
+ * `{ id, documentId }`, or as ids by older versions.
+ */
+function getRelationFileId(reference) {
+  return isObjectSafe(reference) ? reference.id : reference;
+}
+
+/**
+ * Get the value linking a relation to its target: the documentId of the entry the target was
+ * imported to, or the documentId it was exported with if it isn't in the file.
+ */
+function getRelationReference(target, reference, { fileIdToDbId }) {
+  const fileId = getRelationFileId(reference);
+  const documentId = fileIdToDbId.getDocumentId(target, fileId) || reference?.documentId;
+  if (documentId) {
+    // Passed as an object, since the document service reads numeric strings as ids.
+    return { documentId };
+  }
+  // Files exported before documentIds reference their entries by id only.
+  return fileIdToDbId.getMapping(target, fileId) ?? fileId;
+}
+
+/**
+ * Get the `where` clause matching the database entry of a file entry: the entry it was already
+ * imported to, else the entry with the same documentId or id field.
+ * An `id` id field is ignored for entries with a documentId, since ids differ between instances.
+ * @returns {Object|null} `null` if no database entry can match.
+ */
+function getEntryWhere(slug, fileId, fileEntry, { idField, fileIdToDbId }) {
+  if (fileIdToDbId.getMapping(slug, fileId)) {
+    return { id: fileIdToDbId.getMapping(slug, fileId) };
+  }
+
+  const idFieldWhere = getIdFieldWhere(idField, fileEntry);
+  if (!fileEntry.documentId) {
+    return idFieldWhere;
+  }
+  if (!idFieldWhere || getIdFields(idField).includes('id')) {
+    return { documentId: fileEntry.documentId };
+  }
+  return { $or: [{ documentId: fileEntry.documentId }, idFieldWhere] };
+}
+
+/**
+ * Create an entry with the document service and record it in the import batch.
+ * An entry exported with a documentId keeps it, so that content linked by documentId
+ * in another instance still matches it.
+ */
+const createEntry = async (slug, data, { batch }) => {
+  const { documentId, locale } = data;
+  // Ids are only kept for files exported before documentIds, to link their relations.
+  const entry = await strapi.documents(slug).create({
+    ...(locale ? { locale } : {}),
+    data: omit(data, documentId ? ['id', 'documentId', 'locale'] : ['documentId', 'locale']),
+  });
+  if (documentId && entry.documentId !== documentId) {
+    // Every version (draft, published) of the new document takes its documentId.
+    await strapi.db.query(slug).updateMany({ where: { documentId: entry.documentId }, data: { documentId } });
+    entry.documentId = documentId;
+  }
+  await batch?.recordCreate(slug, entry);
+  return entry;
+};
+
+/**
+ * Update an entry with the document service, after recording its previous values in the import batch.
+ * @param {string} slug
+ * @param {Object} dbEntry - Database entry to update.
+ * @param {Object} data
+ * @param {Object} options
+ * @param {ImportBatch} [options.batch]
+ */
+const updateEntry = async (slug, dbEntry, data, { batch }) => {
+  data = omit(data, ['id', 'documentId', 'locale']);
+  if (batch) {
+    // The document service writes the draft version, which is the one to restore.
+    const writtenEntry = dbEntry.documentId ? await findDraftEntry(slug, dbEntry.documentId, dbEntry.locale) : null;
+    await batch.recordUpdate(slug, writtenEntry?.id ?? dbEntry.id, data);
+  }
+  return strapi.documents(slug).update({ documentId: dbEntry.documentId, ...(dbEntry.locale ? { locale: dbEntry.locale } : {}), data });
+};
+
+/**
+ * Add a locale to an existing document with the document service and record it in the import batch.
+ * @param {string} slug
+ * @param {string} documentId
+ * @param {Object} data - Data of the locale, with its `locale`.
+ * @param {Object} options
+ * @param {ImportBatch} [options.batch]
+ */
+const createLocaleEntry = async (slug, documentId, data, { batch }) => {
+  const entry = await strapi.documents(slug).update({ documentId, locale: data.locale, data: omit(data, ['id', 'documentId', 'locale']) });
+  await batch?.recordCreate(slug, entry);
+  return entry;
+};
+
+/**
+ * Find a locale of a document. The draft version is found for draft and publish content types,
+ * since it is the one the document service writes. Entries without locale are found by documentId only.
+ */
+const findDraftEntry = async (slug, documentId, locale) => {
+  const hasDraftAndPublish = getModel(slug).options?.draftAndPublish === true;
+  return strapi.db.query(slug).findOne({ where: { documentId, ...(locale ? { locale } : {}), ...(hasDraftAndPublish ? { publishedAt: null } : {}) } });
+};
+
+/**
+ * Find the documentId of the document a localized file entry is a locale of: the document of
+ * the entry it matches, else the document one of its other locales was imported to. Files
+ * exported before documentIds only link locales through their `localizations`.
+ * @returns {Promise<string|null>} `null` if the document doesn't exist yet.
+ */
+const findLocalizedDocumentId = async (slug, fileEntry, where, { fileIdToDbId }) => {
+  const dbEntry = where ? await strapi.db.query(slug).findOne({ where }) : null;
+  if (dbEntry) {
+    return dbEntry.documentId;
+  }
+
+  for (const reference of castArray(fileEntry.localizations || [])) {
+    const documentId = fileIdToDbId.getDocumentId(slug, getRelationFileId(reference));
+    if (documentId) {
+      return documentId;
+    }
+  }
+  return null;
+};
+
+/**
+ * Update the locale of a document, or add it to the document, or create the document if it
+ * doesn't exist.
+ */
+const updateOrCreateLocaleEntry = async (slug, fileId, fileEntry, documentId, { importStage, fileIdToDbId, batch, conflictStrategy }) => {
+  const dbEntry = documentId ? await findDraftEntry(slug, documentId, fileEntry.locale) : null;
+  if (dbEntry) {
+    const entryData = resolveEntryConflict(slug, fileId, fileEntry, await getConflictEntry(slug, dbEntry, conflictStrategy), { importStage, fileIdToDbId, conflictStrategy });
+    if (!entryData) {
+      return dbEntry;
+    }
+    return updateEntry(slug, dbEntry, entryData, { batch });
+  }
+
+  fileIdToDbId.setCreated(slug, fileId);
+  return documentId ? createLocaleEntry(slug, documentId, fileEntry, { batch }) : createEntry(slug, fileEntry, { batch });
+};
+
 const updateOrCreateCollectionTypeEntry = async (
   user,
   slug,
   fileId,
   fileEntry,
-  { idField, importStage, fileIdToDbId },
+  { idField, importStage, fileIdToDbId, batch, conflictStrategy },
 ) => {
   const schema = getModel(slug);
+  const conflictOptions = { importStage, fileIdToDbId, conflictStrategy };
 
-  const whereBuilder = new ObjectBuilder();
-  if (fileIdToDbId.getMapping(slug, fileId)) {
-    whereBuilder.extend({ id: fileIdToDbId.getMapping(slug, fileId) });
-  } else if (fileEntry[idField]) {
-    whereBuilder.extend({ [idField]: fileEntry[idField] });
-  }
-  const where = whereBuilder.get();
+  const where = getEntryWhere(slug, fileId, fileEntry, { idField, fileIdToDbId });
 
   if (!schema.pluginOptions?.i18n?.localized) {
-    let dbEntry = await strapi.db.query(slug).findOne({ where });
+    let dbEntry = where ? await strapi.db.query(slug).findOne({ where }) : null;
 
     if (!dbEntry) {
       // deprecated:
       // https://docs.strapi.io/dev-docs/migration/v4-to-v5/additional-resources/from-entity-service-to-document-service#create
       // return strapi.entityService.create(slug, { data: fileEntry });
-      return strapi.documents(slug).create({
-        data: fileEntry,
-      });
+      fileIdToDbId.setCreated(slug, fileId);
+      return createEntry(slug, fileEntry, { batch });
     } else {
+      const entryData = resolveEntryConflict(slug, fileId, fileEntry, await getConflictEntry(slug, dbEntry, conflictStrategy), conflictOptions);
+      if (!entryData) {
+        return dbEntry;
+      }
       // deprecated:
       // return strapi.entityService.update(slug, dbEntry.id, { data: omit(fileEntry, ['id']) });
-      return strapi.documents(slug).update({
-        documentId: dbEntry.id,
-        data: omit(fileEntry, ['id'])
-      });
+      return updateEntry(slug, dbEntry, entryData, { batch });
     }
   } else {
     if (!fileEntry.locale) {
       throw new Error(`No locale set to import entry for slug ${slug} (data ${JSON.stringify(fileEntry)})`);
     }
 
-    const defaultLocale = await strapi.plugin('i18n').service('locales').getDefaultLocale();
-    const isDatumInDefaultLocale = fileEntry.locale === defaultLocale;
-
-    let dbEntryDefaultLocaleId = null;
-    let dbEntry = await strapi.db.query(slug).findOne({ where, populate: ['localizations'] });
-    if (isDatumInDefaultLocale) {
-      dbEntryDefaultLocaleId = dbEntry?.id || null;
-    } else {
-      if (dbEntry) {
-        // If `dbEntry` has been found, `dbEntry` holds the data for the default locale and
-        // the data for other locales in its `localizations` attribute.
-        const localizedEntries = [dbEntry, ...(dbEntry?.localizations || [])];
-        dbEntryDefaultLocaleId = localizedEntries.find((e) => e.locale === defaultLocale)?.id || null;
-        dbEntry = localizedEntries.find((e) => e.locale === fileEntry.locale) || null;
-      } else {
-        // Otherwise try to find dbEntry for default locale through localized siblings.
-        let idx = 0;
-        const fileLocalizationsIds = fileEntry?.localizations || [];
-        while (idx < fileLocalizationsIds.length && !dbEntryDefaultLocaleId && !dbEntry) {
-          const dbId = fileIdToDbId.getMapping(slug, fileLocalizationsIds[idx]);
-          const localizedEntry = await strapi.db.query(slug).findOne({ where: { id: dbId }, populate: ['localizations'] });
-          const localizedEntries = localizedEntry != null ? [localizedEntry, ...(localizedEntry?.localizations || [])] : [];
-          if (!dbEntryDefaultLocaleId) {
-            dbEntryDefaultLocaleId = localizedEntries.find((e) => e.locale === defaultLocale)?.id || null;
-          }
-          if (!dbEntry) {
-            dbEntry = localizedEntries.find((e) => e.locale === fileEntry.locale) || null;
-          }
-          idx += 1;
-        }
-      }
-    }
-
+    // Every locale of a document shares its documentId.
+    const documentId = await findLocalizedDocumentId(slug, fileEntry, where, { fileIdToDbId });
     fileEntry = omit(fileEntry, ['localizations']);
-    if (isEmpty(omit(fileEntry, ['id']))) {
+    if (isEmpty(omit(fileEntry, ['id', 'documentId', 'locale']))) {
       return null;
     }
 
-    if (isDatumInDefaultLocale) {
-      if (!dbEntryDefaultLocaleId) {
-        // deprecated:  
-        // return strapi.entityService.create(slug, { data: fileEntry });
-        return strapi.documents(slug).create({
-          data: fileEntry,
-        });
-      } else {
-        // deprecated:
-        // return strapi.entityService.update(slug, dbEntryDefaultLocaleId, { data: omit({ ...fileEntry }, ['id']) });
-        return strapi.documents(slug).update({
-          documentId: dbEntryDefaultLocaleId,
-          data: omit({ ...fileEntry }, ['id']),
-        });
-      }
-    } else {
-      if (!dbEntryDefaultLocaleId) {
-        throw new Error(`Could not find default locale entry to import localization for slug ${slug} (data ${JSON.stringify(fileEntry)})`);
-      }
-
-      if (!dbEntry) {
-        const insertLocalizedEntry = strapi.plugin('i18n').service('core-api').createCreateLocalizationHandler(getModel(slug));
-        return insertLocalizedEntry({ id: dbEntryDefaultLocaleId, data: omit({ ...fileEntry }, ['id']) });
-      } else {
-        // deprecated:
-        // return strapi.entityService.update(slug, dbEntry.id, { data: omit({ ...fileEntry }, ['id']) });
-        return strapi.documents(slug).update({
-          documentId: dbEntry.id,
-          data: omit({ ...fileEntry }, ['id']),
-        });
-      }
-    }
+    return updateOrCreateLocaleEntry(slug, fileId, fileEntry, documentId, { importStage, fileIdToDbId, batch, conflictStrategy });
   }
 };
 
@@ -465,9 +1153,10 @@ const updateOrCreateSingleTypeEntry = async (
   slug,
   fileId,
   fileEntry,
-  { importStage, fileIdToDbId },
+  { importStage, fileIdToDbId, batch, conflictStrategy },
 ) => {
   const schema = getModel(slug);
+  const conflictOptions = { importStage, fileIdToDbId, conflictStrategy };
 
   if (!schema.pluginOptions?.i18n?.localized) {
     let dbEntry = await strapi.db
@@ -478,62 +1167,36 @@ const updateOrCreateSingleTypeEntry = async (
     if (!dbEntry) {
       // deprecated:
       // return strapi.entityService.create(slug, { data: fileEntry });
-      return strapi.documents(slug).create({
-        data: fileEntry,
-      });
+      fileIdToDbId.setCreated(slug, fileId);
+      return createEntry(slug, fileEntry, { batch });
     } else {
+      const entryData = resolveEntryConflict(slug, fileId, fileEntry, await getConflictEntry(slug, dbEntry, conflictStrategy), conflictOptions);
+      if (!entryData) {
+        return dbEntry;
+      }
       // deprecated:
       // return strapi.entityService.update(slug, dbEntry.id, { data: omit(fileEntry, ['id']) });
-      return strapi.documents(slug).update({
-        documentId: dbEntry.id,
-        data: omit(fileEntry, ['id']),
-      });
+      return updateEntry(slug, dbEntry, entryData, { batch });
     }
   } else {
-    const defaultLocale = await strapi.plugin('i18n').service('locales').getDefaultLocale();
-    const isDatumInDefaultLocale = !fileEntry.locale || fileEntry.locale === defaultLocale;
-
     fileEntry = omit(fileEntry, ['localizations']);
-    if (isEmpty(omit(fileEntry, ['id']))) {
+    if (isEmpty(omit(fileEntry, ['id', 'documentId', 'locale']))) {
       return null;
     }
-
-    let entryDefaultLocale = await strapi.db.query(slug).findOne({ where: { locale: defaultLocale } });
-    if (!entryDefaultLocale) {
-      // deprecated:
-      // entryDefaultLocale = await strapi.entityService.create(slug, { data: { ...fileEntry, locale: defaultLocale } });
-      entryDefaultLocale = await strapi.documents(slug).create({
-        data: { ...fileEntry, locale: defaultLocale },
-      });
+    if (!fileEntry.locale) {
+      fileEntry.locale = await strapi.plugin('i18n').service('locales').getDefaultLocale();
     }
 
-    if (isDatumInDefaultLocale) {
-      if (!entryDefaultLocale) {
-        // deprecated:
-        // return strapi.entityService.create(slug, { data: fileEntry });
-        return strapi.documents(slug).create({
-          data: fileEntry,
-        });
-      } else {
-        // deprecated:
-        // return strapi.entityService.update(slug, entryDefaultLocale.id, { data: fileEntry });
-        return strapi.documents(slug).update({
-          documentId: entryDefaultLocale.id,
-          data: fileEntry,
-        });
-      }
-    } else {
-      const entryLocale = await strapi.db.query(slug).findOne({ where: { locale: fileEntry.locale } });
-      let datumLocale = { ...entryLocale, ...fileEntry };
-
-      await strapi.db.query(slug).delete({ where: { locale: fileEntry.locale } });
-
-      const insertLocalizedEntry = strapi.plugin('i18n').service('core-api').createCreateLocalizationHandler(getModel(slug));
-      return insertLocalizedEntry({ id: entryDefaultLocale.id, data: datumLocale });
-    }
+    // A single type has one document, holding every locale.
+    const document = await strapi.db.query(slug).findOne({});
+    return updateOrCreateLocaleEntry(slug, fileId, fileEntry, document?.documentId ?? null, { importStage, fileIdToDbId, batch, conflictStrategy });
   }
 };
 
 export {
+  getSlugIdField,
   importDataV2,
+  importDataV2Stream,
+  runBeforeImportHooks,
+  validateContentTypeSlug,
 };
\ No newline at end of file
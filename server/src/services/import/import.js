@@ -1,31 +1,80 @@
+import cloneDeep from 'lodash/cloneDeep';
+import omit from 'lodash/omit';
 import { isArraySafe, toArray } from '../../../libs/arrays.js';
-import { ObjectBuilder, isObjectSafe } from '../../../libs/objects.js';
+import { isObjectSafe } from '../../../libs/objects.js';
 import { CustomSlugs } from '../../config/constants.js';
-import { getModelAttributes, getModel } from '../../utils/models.js';
-import { findOrImportFile } from './utils/file.js';
-import { parseInputData } from './parsers.js';
+import { getModelAttributes, getModel, getModelIdField } from '../../utils/models.js';
+import { runInBatch } from '../batches/batches.js';
+import { HookNames, runBeforeImportEntryHooks, runHooks } from '../hooks/hooks.js';
+import { findOrImportFile, findOrImportFileWithAction } from './utils/file.js';
+import { MediaReport } from './utils/media-report.js';
+import { FailureCodes, ImportEntryError, createFailure } from './utils/failure.js';
+import { ConflictStrategies, getConflictPopulate, resolveConflict } from './utils/conflict.js';
+import { formatIdField, getIdFieldWhere, getIdFields } from './utils/id-field.js';
+import { ImportPreview, getChangedFields, getPreviewAction } from './utils/preview.js';
+import { MirrorActions, MirrorKeys, mirrorEntries } from './utils/mirror.js';
+import { MissingRelationStrategies, getRelationLookupFields } from './utils/relation.js';
+import { ImportRollbackError, runAtomically } from './utils/transaction.js';
+import { validateEntries } from './utils/validation.js';
+import { createProgress } from './utils/progress.js';
+import { parseInputRows, readInputRows } from './parsers.js';
 
 /**
  * @typedef {Object} ImportDataRes
- * @property {Array<ImportDataFailures>} failures
- */
-/**
- * Represents failed imports.
- * @typedef {Object} ImportDataFailures
- * @property {Error} error - Error raised.
- * @property {Object} data - Data for which import failed.
+ * @property {Array<ImportFailure>} failures
+ * @property {Object} [preview] - What the import would do, when run as a dry run.
+ * @property {Object} [rollback] - Entry which caused an atomic import to be rolled back.
+ * @property {number|null} [batchId] - Id of the batch recording the written entries, to revert the import.
+ * @property {Object} [media] - Media files reused from the media library or uploaded, when the data has media files.
  */
 /**
  * Import data.
  * @param {Array<Object>} dataRaw - Data to import.
  * @param {Object} options
  * @param {string} options.slug - Slug of the model to import.
- * @param {("csv" | "json")} options.format - Format of the imported data.
+ * @param {string} options.format - Name of the input format of the imported data, see `registerInputFormat`.
  * @param {Object} options.user - User importing the data.
- * @param {Object} options.idField - Field used as unique identifier.
+ * @param {string|Array<string>} [options.idField] - Field used as unique identifier, or fields forming a composite key. Defaults to the one configured in the model.
+ * @param {boolean} [options.dryRun] - Report what would be imported without writing anything.
+ * @param {boolean} [options.atomic] - Import all entries in a single transaction, rolled back if any entry fails.
+ * @param {Function} [options.onProgress] - Called with `{ processed, total }` each time an entry is processed.
+ * @param {number} [options.rowOffset] - Index of the first entry in the file, when importing a file in batches.
+ * @param {Array<Object>} [options.sourceRows] - Rows of pre-parsed (`jso`) data as they are in the file, reported in the failures.
+ * @param {Array<Error|null>} [options.rowErrors] - Errors of the rows of pre-parsed (`jso`) data which couldn't be parsed, reported as their failures.
+ * @param {ImportBatch} [options.batch] - Batch recording the written entries, when importing a file in batches. A new batch is recorded otherwise.
+ * @param {Object} [options.seenValues] - Values of unique attributes already seen, shared between the batches of a file so that duplicates across batches are reported.
+ * @param {Object} [options.columnMapping] - Mapping of the columns of CSV data to the model attributes.
+ * @param {("update"|"skip"|"fail"|"merge")} [options.conflictStrategy] - What to do with entries that already exist.
+ * @param {("fail"|"skip"|"create")} [options.missingRelationStrategy] - What to do when a relation references an entry that doesn't exist.
+ * @param {boolean} [options.mirror] - Remove the entries of the model which are missing from the data.
+ * @param {("delete"|"unpublish")} [options.mirrorAction] - How mirror imports remove entries.
+ * @param {MirrorKeys} [options.mirrorKeys] - Collects the keys of the entries, when importing a file in batches. The entries are then removed once every batch is imported.
  * @returns {Promise<ImportDataRes>}
  */
-const importData = async (dataRaw, { slug, format, user, idField, importAsDrafts = true }) => {
+const importData = async (
+  dataRaw,
+  {
+    slug,
+    format,
+    user,
+    idField = getModelIdField(slug),
+    importAsDrafts = true,
+    dryRun = false,
+    atomic = false,
+    onProgress,
+    rowOffset = 0,
+    sourceRows,
+    rowErrors,
+    batch,
+    seenValues,
+    columnMapping,
+    conflictStrategy = ConflictStrategies.UPDATE,
+    missingRelationStrategy = MissingRelationStrategies.CREATE,
+    mirror = false,
+    mirrorAction = MirrorActions.DELETE,
+    mirrorKeys = mirror ? new MirrorKeys(idField) : null,
+  },
+) => {
   // Check if the model has draftAndPublish enabled
   const model = getModel(slug);
   const hasDraftAndPublish = model?.options?.draftAndPublish === true;
@@ -36,57 +85,106 @@ const importData = async (dataRaw, { slug, format, user, idField, importAsDrafts
   
   // If format is 'jso', the data is already parsed
   if (format === 'jso') {
-    data = dataRaw;
+    data = toArray(dataRaw);
   } else {
     // Only apply importAsDrafts if the model supports draft & publish
     const shouldApplyDraftMode = hasDraftAndPublish ? importAsDrafts : false;
-    data = await parseInputData(format, dataRaw, { slug, importAsDrafts: shouldApplyDraftMode });
+    // Keep the rows as they are in the file, so that failed rows are reported in their original format.
+    sourceRows = await readInputRows(format, dataRaw, { slug, importAsDrafts: shouldApplyDraftMode, columnMapping });
+    ({ data, rowErrors } = parseInputRows(format, sourceRows, { slug, importAsDrafts: shouldApplyDraftMode, columnMapping }));
   }
-  
-  data = toArray(data);
 
   // Log import action without data content to prevent console flooding
   strapi.log.info(`Importing ${format} data for ${slug} - ${data.length} items to process`);
-  let res;
-  if (slug === CustomSlugs.MEDIA) {
-    res = await importMedia(data, { user });
-  } else {
-    res = await importOtherSlug(data, { slug, user, idField, hasDraftAndPublish, importAsDrafts });
+  const preview = dryRun ? new ImportPreview() : null;
+  const mediaReport = new MediaReport();
+  const progress = createProgress(data.length, onProgress);
+  const runImport = async (batch) => {
+    if (slug === CustomSlugs.MEDIA) {
+      return importMedia(data, { user, preview, mediaReport, atomic, progress, rowOffset, sourceRows, rowErrors });
+    }
+    const res = await importOtherSlug(data, { slug, user, idField, hasDraftAndPublish, importAsDrafts, preview, batch, atomic, progress, rowOffset, sourceRows, rowErrors, seenValues, conflictStrategy, missingRelationStrategy, mirrorKeys });
+    if (mirror) {
+      await mirrorEntries(slug, mirrorKeys, { action: mirrorAction, preview, batch });
+    }
+    return res;
+  };
+  const runImportAtomically = (batch) => (atomic && !preview ? runAtomically(() => runImport(batch)) : runImport(batch));
+
+  const res = preview || batch ? await runImportAtomically(batch) : await runInBatch({ slug, user, atomic }, runImportAtomically);
+
+  if (preview) {
+    res.preview = preview.toJSON();
+  }
+  if (mediaReport.files.size) {
+    res.media = mediaReport.toJSON();
   }
 
   return res;
 };
 
-const importMedia = async (fileData, { user }) => {
-  const processed = [];
-  for (let fileDatum of fileData) {
-    let res;
+const importMedia = async (fileData, { user, preview, mediaReport, atomic, progress, rowOffset, sourceRows, rowErrors }) => {
+  const failures = [];
+  for (let i = 0; i < fileData.length; i++) {
+    const fileDatum = fileData[i];
     try {
-      await findOrImportFile(fileDatum, user, { allowedFileTypes: ['any'] });
-      res = { success: true };
+      if (rowErrors?.[i]) {
+        throw rowErrors[i];
+      }
+      const { file, action, name } = await findOrImportFileWithAction(fileDatum, user, { allowedFileTypes: ['any'], dryRun: !!preview });
+      if (action) {
+        mediaReport.record(CustomSlugs.MEDIA, rowOffset + i, { action, dbId: file?.id, name });
+      }
+      if (preview) {
+        preview.record(CustomSlugs.MEDIA, rowOffset + i, { action: getPreviewAction(file, []), dbId: file?.id });
+      }
     } catch (err) {
       strapi.log.error(err);
-      res = { success: false, error: err.message, args: [fileDatum] };
+      const failure = createFailure(err, { slug: CustomSlugs.MEDIA, row: rowOffset + i + 1, data: sourceRows?.[i] ?? fileDatum });
+      failures.push(failure);
+      if (atomic) {
+        throw new ImportRollbackError(err, { slug: CustomSlugs.MEDIA, key: rowOffset + i, failure });
+      }
     }
-    processed.push(res);
+    progress.tick();
   }
 
-  const failures = processed.filter((p) => !p.success).map((f) => ({ error: f.error, data: f.args[0] }));
-
   return {
     failures,
   };
 };
 
-const importOtherSlug = async (data, { slug, user, idField, hasDraftAndPublish, importAsDrafts }) => {
-  const processed = [];
-  strapi.log.info(`Processing ${data.length} items for ${slug} using idField: ${idField}, draftAndPublish: ${hasDraftAndPublish}, importAsDrafts: ${importAsDrafts}`);
-  
+const importOtherSlug = async (data, { slug, user, idField, hasDraftAndPublish, importAsDrafts, preview, batch, atomic, progress, rowOffset, sourceRows, rowErrors, seenValues, conflictStrategy, missingRelationStrategy, mirrorKeys }) => {
+  const failures = [];
+  strapi.log.info(`Processing ${data.length} items for ${slug} using idField: ${idField}, draftAndPublish: ${hasDraftAndPublish}, importAsDrafts: ${importAsDrafts}, conflictStrategy: ${conflictStrategy}`);
+
+  // Failures report the entries as they are in the file, which hooks and imports modify.
+  const sourceData = sourceRows ?? data.map((datum) => cloneDeep(datum));
+
+  // Hooks run before the entries are validated, so that what they return is validated.
+  const hooks = await runBeforeImportEntryHooks(slug, data, { user });
+  data = hooks.entries;
+
+  // Entries are validated before any of them is written. Rows which couldn't be parsed fail as they are.
+  const validationErrors = (await validateEntries(slug, data, { idField, conflictStrategy, seenValues })).map((err, idx) => rowErrors?.[idx] || hooks.errors[idx] || err);
+  const firstInvalidIdx = validationErrors.findIndex(Boolean);
+  if (atomic && firstInvalidIdx !== -1) {
+    const err = validationErrors[firstInvalidIdx];
+    const failure = createFailure(err, { slug, row: rowOffset + firstInvalidIdx + 1, data: sourceData[firstInvalidIdx] });
+    throw new ImportRollbackError(err, { slug, key: rowOffset + firstInvalidIdx, failure });
+  }
+
   for (let i = 0; i < data.length; i++) {
     const datum = data[i];
-    let res;
+    const sourceRow = sourceData[i];
+    // Entries which fail to be imported are still in the file, mirror imports must keep them.
+    mirrorKeys?.addFileEntry(datum);
     try {
-      strapi.log.info(`Processing item ${i + 1}/${data.length}: ${datum[idField] || datum.name || datum.id || 'unknown'}`);
+      if (validationErrors[i]) {
+        throw validationErrors[i];
+      }
+
+      strapi.log.info(`Processing item ${i + 1}/${data.length}: ${formatIdField(idField, datum)}`);
       
       // If the entity doesn't support draft & publish, remove publishedAt field
       if (!hasDraftAndPublish && datum.publishedAt !== undefined) {
@@ -94,19 +192,21 @@ const importOtherSlug = async (data, { slug, user, idField, hasDraftAndPublish,
         strapi.log.info(`Removed publishedAt field for non-draft entity`);
       }
       
-      await updateOrCreate(user, slug, datum, idField);
-      res = { success: true };
+      const entry = await updateOrCreate(user, slug, datum, idField, { preview, previewKey: rowOffset + i, batch, conflictStrategy, missingRelationStrategy, skipBeforeHooks: true });
+      mirrorKeys?.addDbEntry(entry);
       strapi.log.info(`Successfully processed item ${i + 1}/${data.length}`);
     } catch (err) {
       strapi.log.error(`Error processing item ${i + 1}/${data.length}:`, err);
-      res = { success: false, error: err.message, args: [datum] };
+      const failure = createFailure(err, { slug, row: rowOffset + i + 1, data: sourceRow });
+      failures.push(failure);
+      if (atomic) {
+        throw new ImportRollbackError(err, { slug, key: rowOffset + i, failure });
+      }
     }
-    processed.push(res);
+    progress.tick();
   }
-
-  const failures = processed.filter((p) => !p.success).map((f) => ({ error: f.error, data: f.args[0] }));
   
-  strapi.log.info(`Import complete: ${processed.length - failures.length} succeeded, ${failures.length} failed`);
+  strapi.log.info(`Import complete: ${data.length - failures.length} succeeded, ${failures.length} failed`);
 
   return {
     failures,
@@ -118,69 +218,135 @@ const importOtherSlug = async (data, { slug, user, idField, hasDraftAndPublish,
  * @param {Object} user - User importing the data.
  * @param {string} slug - Slug of the model.
  * @param {Object} data - Data to update/create entries from.
- * @param {string} idField - Field used as unique identifier.
+ * @param {string|Array<string>} idField - Field used as unique identifier, or fields forming a composite key.
+ * @param {Object} [options]
+ * @param {ImportPreview} [options.preview] - When set, the entry is only recorded in the preview and nothing is written.
+ * @param {number} [options.previewKey] - Key of the entry in the preview.
+ * @param {ImportBatch} [options.batch] - Batch recording the written entries.
+ * @param {("update"|"skip"|"fail"|"merge")} [options.conflictStrategy] - What to do if the entry already exists.
+ * @param {("fail"|"skip"|"create")} [options.missingRelationStrategy] - What to do if a relation references an entry that doesn't exist.
+ * @param {boolean} [options.skipBeforeHooks] - Whether the `beforeImportEntry` hooks already ran on the data.
  * @returns Updated/created entry.
  */
-const updateOrCreate = async (user, slug, data, idField = 'id') => {
-  const relationAttributes = getModelAttributes(slug, { filterType: ['component', 'dynamiczone', 'media', 'relation'] });
-  for (let attribute of relationAttributes) {
-    data[attribute.name] = await updateOrCreateRelation(user, attribute, data[attribute.name]);
+const updateOrCreate = async (user, slug, data, idField = 'id', { preview, previewKey, batch, conflictStrategy, missingRelationStrategy, skipBeforeHooks = false } = {}) => {
+  if (!skipBeforeHooks) {
+    data = await runHooks(HookNames.BEFORE_IMPORT_ENTRY, slug, data, { user });
   }
 
   let entry;
   const model = getModel(slug);
   if (model.kind === 'singleType') {
-    entry = await updateOrCreateSingleType(user, slug, data, idField);
+    entry = await updateOrCreateSingleType(user, slug, data, idField, { preview, previewKey, batch, conflictStrategy, missingRelationStrategy });
   } else {
-    entry = await updateOrCreateCollectionType(user, slug, data, idField);
+    entry = await updateOrCreateCollectionType(user, slug, data, idField, { preview, previewKey, batch, conflictStrategy, missingRelationStrategy });
+  }
+
+  if (entry && !preview) {
+    await runHooks(HookNames.AFTER_IMPORT_ENTRY, slug, entry, { user, data });
   }
   return entry;
 };
 
-const updateOrCreateCollectionType = async (user, slug, data, idField) => {
-  const whereBuilder = new ObjectBuilder();
-  if (data[idField]) {
-    whereBuilder.extend({ [idField]: data[idField] });
+/**
+ * Create the relations of an entry and replace them with their ids.
+ * Relations are created along with their parent entry, so they are only resolved once the
+ * entry is known to be written.
+ */
+const resolveRelations = async (user, slug, data, { batch, conflictStrategy, missingRelationStrategy }) => {
+  const relationAttributes = getModelAttributes(slug, { filterType: ['component', 'dynamiczone', 'media', 'relation'] });
+  for (let attribute of relationAttributes) {
+    // Merged data only holds the attributes to fill in, the other ones must not be reset.
+    if (conflictStrategy === ConflictStrategies.MERGE && typeof data[attribute.name] === 'undefined') {
+      continue;
+    }
+    try {
+      data[attribute.name] = await updateOrCreateRelation(user, attribute, data[attribute.name], { batch, missingRelationStrategy });
+    } catch (err) {
+      err.attribute = err.attribute || attribute.name;
+      throw err;
+    }
   }
-  const where = whereBuilder.get();
+  return data;
+};
+
+const recordPreview = (preview, slug, previewKey, data, dbEntry) => {
+  const fields = getChangedFields(slug, data, dbEntry);
+  preview.record(slug, previewKey, { action: getPreviewAction(dbEntry, fields), dbId: dbEntry?.id, fields });
+  return dbEntry;
+};
+
+const updateOrCreateCollectionType = async (user, slug, data, idField, { preview, previewKey, batch, conflictStrategy, missingRelationStrategy }) => {
+  const idFields = getIdFields(idField);
+  const where = getIdFieldWhere(idFields, data);
   
-  strapi.log.info(`updateOrCreateCollectionType - idField: ${idField}, where: ${JSON.stringify(where)}, data[idField]: ${data[idField]}`);
+  strapi.log.info(`updateOrCreateCollectionType - idField: ${idFields.join(', ')}, where: ${JSON.stringify(where)}`);
 
   // Prevent strapi from throwing a unique constraint error on id field.
-  if (idField !== 'id') {
+  if (!idFields.includes('id')) {
     delete data.id;
   }
+  // Empty documentIds (e.g. blank CSV cells) get generated on creation.
+  if (!data.documentId) {
+    delete data.documentId;
+  }
+
+  if (!where) {
+    strapi.log.info(`No ${idFields.join(', ')} field found, creating new entry`);
+  } else {
+    strapi.log.info(`Attempting to update where ${formatIdField(idFields, where)}`);
+  }
+
+  // First try to find the existing entry
+  const existingEntry = where ? await strapi.db.query(slug).findOne({ where, populate: getConflictPopulate(slug, conflictStrategy) }) : null;
+  const entryData = resolveConflict(conflictStrategy, { data, dbEntry: existingEntry, label: `with ${formatIdField(idFields, data)}` });
+
+  if (preview) {
+    return recordPreview(preview, slug, previewKey, entryData || {}, existingEntry);
+  }
+
+  if (!entryData) {
+    strapi.log.info(`Found existing entry with id ${existingEntry.id}, leaving it untouched (conflict strategy: ${conflictStrategy})`);
+    return existingEntry;
+  }
+
+  await resolveRelations(user, slug, entryData, { batch, conflictStrategy, missingRelationStrategy });
 
   let entry;
-  if (!where[idField]) {
-    strapi.log.info(`No ${idField} field found, creating new entry`);
-    entry = await strapi.db.query(slug).create({ data });
+  if (existingEntry) {
+    strapi.log.info(`Found existing entry with id ${existingEntry.id}, updating...`);
+    await batch?.recordUpdate(slug, existingEntry.id, entryData);
+    // The documentId is only kept when creating entries, the other versions of a document share it.
+    entry = await strapi.db.query(slug).update({ where: { id: existingEntry.id }, data: omit(entryData, ['documentId']) });
   } else {
-    strapi.log.info(`Attempting to update where ${idField} = ${where[idField]}`);
-    
-    // First try to find the existing entry
-    const existingEntry = await strapi.db.query(slug).findOne({ where });
-    
-    if (existingEntry) {
-      strapi.log.info(`Found existing entry with id ${existingEntry.id}, updating...`);
-      entry = await strapi.db.query(slug).update({ where: { id: existingEntry.id }, data });
-    } else {
-      strapi.log.info(`No existing entry found, creating new...`);
-      entry = await strapi.db.query(slug).create({ data });
-    }
+    strapi.log.info(`No existing entry found, creating new...`);
+    entry = await strapi.db.query(slug).create({ data: entryData });
+    await batch?.recordCreate(slug, entry);
   }
 
   return entry;
 };
 
-const updateOrCreateSingleType = async (user, slug, data, idField) => {
+const updateOrCreateSingleType = async (user, slug, data, idField, { preview, previewKey, batch, conflictStrategy, missingRelationStrategy }) => {
   delete data.id;
 
-  let [entry] = await strapi.db.query(slug).findMany();
+  let [entry] = await strapi.db.query(slug).findMany({ populate: getConflictPopulate(slug, conflictStrategy) });
+  const entryData = resolveConflict(conflictStrategy, { data, dbEntry: entry, label: `of single type ${slug}` });
+  if (preview) {
+    return recordPreview(preview, slug, previewKey, entryData || {}, entry);
+  }
+
+  if (!entryData) {
+    return entry;
+  }
+
+  await resolveRelations(user, slug, entryData, { batch, conflictStrategy, missingRelationStrategy });
+
   if (!entry) {
-    entry = await strapi.db.query(slug).create({ data });
+    entry = await strapi.db.query(slug).create({ data: entryData });
+    await batch?.recordCreate(slug, entry);
   } else {
-    entry = await strapi.db.query(slug).update({ where: { id: entry.id }, data });
+    await batch?.recordUpdate(slug, entry.id, entryData);
+    entry = await strapi.db.query(slug).update({ where: { id: entry.id }, data: omit(entryData, ['documentId']) });
   }
 
   return entry;
@@ -191,8 +357,11 @@ const updateOrCreateSingleType = async (user, slug, data, idField) => {
  * @param {Object} user
  * @param {Attribute} rel
  * @param {number | Object | Array<Object>} relData
+ * @param {Object} options
+ * @param {ImportBatch} [options.batch]
+ * @param {("fail"|"skip"|"create")} [options.missingRelationStrategy]
  */
-const updateOrCreateRelation = async (user, rel, relData) => {
+const updateOrCreateRelation = async (user, rel, relData, { batch, missingRelationStrategy }) => {
   if (relData == null) {
     return null;
   }
@@ -202,7 +371,7 @@ const updateOrCreateRelation = async (user, rel, relData) => {
   } else if (rel.type === 'dynamiczone') {
     const components = [];
     for (const componentDatum of relData || []) {
-      let component = await updateOrCreate(user, componentDatum.__component, componentDatum);
+      let component = await updateOrCreate(user, componentDatum.__component, componentDatum, 'id', { batch, missingRelationStrategy });
       component = { ...component, __component: componentDatum.__component };
       components.push(component);
     }
@@ -215,7 +384,7 @@ const updateOrCreateRelation = async (user, rel, relData) => {
       if (typeof relDatum === 'number') {
         entryIds.push(relDatum);
       } else if (isObjectSafe(relDatum)) {
-        const entry = await updateOrCreate(user, rel.component, relDatum);
+        const entry = await updateOrCreate(user, rel.component, relDatum, 'id', { batch, missingRelationStrategy });
         if (entry?.id) {
           entryIds.push(entry.id);
         }
@@ -241,7 +410,7 @@ const updateOrCreateRelation = async (user, rel, relData) => {
       if (typeof relDatum === 'number') {
         entryIds.push(relDatum);
       } else if (isObjectSafe(relDatum)) {
-        const entry = await updateOrCreate(user, rel.target, relDatum);
+        const entry = await findOrCreateRelationTarget(user, rel.target, relDatum, { batch, missingRelationStrategy });
         if (entry?.id) {
           entryIds.push(entry.id);
         }
@@ -253,6 +422,42 @@ const updateOrCreateRelation = async (user, rel, relData) => {
   throw new Error(`Could not update or create relation of type ${rel.type}.`);
 };
 
+/**
+ * Find the entry referenced by a relation, by its id or by a natural key such as `{ slug: 'news' }`.
+ * A reference holding more attributes than its key also updates the entry, or creates it when no
+ * key is given.
+ * @param {Object} user
+ * @param {string} slug - Slug of the relation target.
+ * @param {Object} reference
+ * @param {Object} options
+ * @param {ImportBatch} [options.batch]
+ * @param {("fail"|"skip"|"create")} [options.missingRelationStrategy]
+ * @returns Referenced entry, or `null` if it doesn't exist and is skipped.
+ */
+const findOrCreateRelationTarget = async (user, slug, reference, { batch, missingRelationStrategy = MissingRelationStrategies.CREATE }) => {
+  const lookupFields = getRelationLookupFields(slug, reference);
+  if (!lookupFields) {
+    return updateOrCreate(user, slug, reference, 'id', { batch, missingRelationStrategy });
+  }
+
+  const entry = await strapi.db.query(slug).findOne({ where: getIdFieldWhere(lookupFields, reference) });
+  const isLookupOnly = Object.keys(reference).every((key) => lookupFields.includes(key));
+  if (entry && isLookupOnly) {
+    return entry;
+  }
+
+  if (!entry) {
+    if (missingRelationStrategy === MissingRelationStrategies.FAIL) {
+      throw new ImportEntryError(`Related ${slug} entry with ${formatIdField(lookupFields, reference)} does not exist.`, { code: FailureCodes.MISSING_RELATION });
+    } else if (missingRelationStrategy === MissingRelationStrategies.SKIP) {
+      strapi.log.warn(`Related ${slug} entry with ${formatIdField(lookupFields, reference)} does not exist, skipping it`);
+      return null;
+    }
+  }
+
+  return updateOrCreate(user, slug, { ...reference }, lookupFields, { batch, missingRelationStrategy });
+};
+
 export {
   importData,
 };
\ No newline at end of file
@@ -1,11 +1,18 @@
 import { importData } from './import.js';
 import { importDataV2 } from './import-v2.js';
-import { parseInputData } from './parsers.js';
+import { importDataFromFile } from './import-file.js';
+import { getInputFormats, parseInputData, registerInputFormat } from './parsers.js';
+import { validateData, validateDataV2 } from './validate.js';
 
 const importService = {
   importData,
   importDataV2,
+  importDataFromFile,
+  getInputFormats,
   parseInputData,
+  registerInputFormat,
+  validateData,
+  validateDataV2,
 };
 
 export default importService;
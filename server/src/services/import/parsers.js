@@ -1,35 +1,262 @@
 import csvtojson from 'csvtojson';
-import { isArraySafe } from '../../../libs/arrays.js';
+import camelCase from 'lodash/camelCase';
+import cloneDeep from 'lodash/cloneDeep';
+import { isArraySafe, toArray } from '../../../libs/arrays.js';
 import { isObjectSafe } from '../../../libs/objects.js';
-import { getModelAttributes, getModel } from '../../utils/models.js';
-// import { EnumValues } from '../../../types.js';
-// import { SchemaUID } from '../../types.js';
+import { readArchive } from '../../utils/archive.js';
+import { getModelAttributes, getModel, getModelDbRowMapping } from '../../utils/models.js';
+import { getSlugWorksheet, readWorkbook, readWorksheetRows } from '../../utils/xlsx.js';
+import { parseYaml } from '../../utils/yaml.js';
+import { ImportEntryError } from './utils/failure.js';
+import { applyColumnMapping, checkColumnMapping } from './utils/mapping.js';
 
-const inputFormatToParser = {
-  csv: parseCsv,
-  jso: parseJso,
-  json: parseJson,
-  postgres: parsePostgresJson,
-};
+/**
+ * @typedef {Object} InputFormat
+ * @property {string} name - Name of the format, sent as the `format` of import requests.
+ * @property {Function} parse - `(dataRaw, { slug, importAsDrafts, columnMapping }) => data` Parses the imported data, to an array of entries or to a v2 file.
+ * @property {Array<string>} [extensions] - Extensions of the files of the format, without the dot. Formats without extensions can't be picked in the admin.
+ * @property {Array<string>} [mimeTypes] - Mime types of the files of the format.
+ * @property {string} [label] - Name of the format shown in the admin.
+ * @property {boolean} [binary] - Data of the format is read as a buffer, and sent encoded in base64 in JSON requests.
+ * @property {Function} [readRows] - `(dataRaw, { slug }) => rows` Reads the rows of the data as they are in the file, so that failed rows are reported in the format of the file.
+ * @property {Function} [createRowParser] - `({ slug, importAsDrafts, columnMapping }) => (row, index) => entry` Creates the function converting the rows read by `readRows`.
+ * @property {("csv"|"json"|"ndjson")} [streamAs] - How large files of the format are read row by row. Files of formats without it are loaded in memory.
+ */
+
+/** Formats data can be imported from, by name. */
+const inputFormats = new Map();
+
+/**
+ * Register a format data can be imported from. A format registered with the name of another one replaces it.
+ * @param {InputFormat} inputFormat
+ * @returns {Function} Unregisters the format.
+ * @example
+ * strapi.plugin('strapi-import-export').service('import').registerInputFormat({
+ *   name: 'legacy-xml',
+ *   label: 'XML (legacy CMS)',
+ *   extensions: ['xml'],
+ *   mimeTypes: ['application/xml', 'text/xml'],
+ *   parse: (dataRaw, { slug }) => parseLegacyXml(dataRaw, slug),
+ * });
+ */
+function registerInputFormat({ name, label = name, extensions = [], mimeTypes = [], binary = false, parse, readRows, createRowParser, streamAs }) {
+  if (typeof name !== 'string' || !name) {
+    throw new Error('Input formats must have a name.');
+  }
+  if (typeof parse !== 'function') {
+    throw new Error(`Input format ${name} must have a parse function.`);
+  }
+  if (!readRows !== !createRowParser) {
+    throw new Error(`Input format ${name} must have both readRows and createRowParser, or neither.`);
+  }
+  if (streamAs && !createRowParser) {
+    throw new Error(`Input format ${name} must have a row parser to be streamed.`);
+  }
+
+  const inputFormat = {
+    name,
+    label,
+    extensions: extensions.map((extension) => extension.replace(/^\./, '').toLowerCase()),
+    mimeTypes,
+    binary,
+    parse,
+    readRows,
+    createRowParser,
+    streamAs,
+  };
+  inputFormats.set(name, inputFormat);
 
-const InputFormats = Object.keys(inputFormatToParser);
+  return () => {
+    if (inputFormats.get(name) === inputFormat) {
+      inputFormats.delete(name);
+    }
+  };
+}
+
+/**
+ * @param {string} name
+ * @returns {InputFormat|undefined}
+ */
+function getInputFormat(name) {
+  return inputFormats.get(name);
+}
+
+/**
+ * @returns {Array<InputFormat>} Registered input formats, in the order they were registered.
+ */
+function getInputFormats() {
+  return [...inputFormats.values()];
+}
 
 /**
  * Parse input data.
+ * `columnMapping` renames and transforms the columns of CSV data, see `applyColumnMapping`.
+ */
+async function parseInputData(format, dataRaw, { slug, importAsDrafts = true, columnMapping }) {
+  const inputFormat = getSupportedInputFormat(format);
+
+  const data = await inputFormat.parse(decodeInputData(inputFormat, dataRaw), { slug, importAsDrafts, columnMapping });
+  return data;
+}
+
+/**
+ * Get the function converting the rows of a given format one at a time, used when a file is
+ * too large to be parsed at once. Rows of formats without a row parser are already converted.
+ * @param {string} format - Name of a registered input format.
+ * @param {Object} options
+ * @param {string} options.slug - Slug of the imported model.
+ * @param {boolean} [options.importAsDrafts]
+ * @param {Object} [options.columnMapping] - Mapping of the columns of CSV rows.
+ * @returns {Function} Called with `(row, index)` and returns the converted row.
+ */
+function getRowParser(format, { slug, importAsDrafts = true, columnMapping }) {
+  const inputFormat = getSupportedInputFormat(format);
+  if (!inputFormat.createRowParser) {
+    return (row) => row;
+  }
+
+  return inputFormat.createRowParser({ slug, importAsDrafts, columnMapping });
+}
+
+/**
+ * Convert rows read by `readInputRows`. Rows which can't be converted are kept as empty entries,
+ * along with their error, so that they are reported as failures of the import.
+ * @param {string} format - Name of a registered input format.
+ * @param {Array<Object>} rows
+ * @param {Object} options - Options of `getRowParser`.
+ * @param {number} [options.rowOffset] - Index of the first row in the file.
+ * @returns {{ data: Array<Object>, rowErrors: Array<ImportEntryError|null> }}
+ */
+function parseInputRows(format, rows, { slug, importAsDrafts = true, columnMapping, rowOffset = 0 }) {
+  return parseRows(rows, getRowParser(format, { slug, importAsDrafts, columnMapping }), rowOffset);
+}
+
+function parseRows(rows, parseRow, rowOffset = 0) {
+  const data = [];
+  const rowErrors = [];
+  rows.forEach((row, idx) => {
+    try {
+      data.push(parseRow(cloneDeep(row), rowOffset + idx));
+      rowErrors.push(null);
+    } catch (err) {
+      if (!(err instanceof ImportEntryError)) {
+        throw err;
+      }
+      data.push({});
+      rowErrors.push(err);
+    }
+  });
+  return { data, rowErrors };
+}
+
+/**
+ * Read the rows of data as they are in the file. Data of formats without a row parser is parsed
+ * at once, its rows being the parsed entries.
+ * @param {string} format - Name of a registered input format.
+ * @param {string} dataRaw
+ * @param {Object} options - Options of `parseInputData`.
+ * @returns {Promise<Array<Object>>}
  */
-async function parseInputData(format, dataRaw, { slug, importAsDrafts = true }) {
-  const parser = inputFormatToParser[format];
-  if (!parser) {
+async function readInputRows(format, dataRaw, { slug, importAsDrafts = true, columnMapping }) {
+  const inputFormat = getSupportedInputFormat(format);
+  if (!inputFormat.readRows) {
+    return toArray(await inputFormat.parse(decodeInputData(inputFormat, dataRaw), { slug, importAsDrafts, columnMapping }));
+  }
+
+  return inputFormat.readRows(decodeInputData(inputFormat, dataRaw), { slug });
+}
+
+function decodeInputData(inputFormat, dataRaw) {
+  return inputFormat.binary && typeof dataRaw === 'string' ? Buffer.from(dataRaw, 'base64') : dataRaw;
+}
+
+function getSupportedInputFormat(format) {
+  const inputFormat = getInputFormat(format);
+  if (!inputFormat) {
     throw new Error(`Data input format ${format} is not supported.`);
   }
+  return inputFormat;
+}
 
-  const data = await parser(dataRaw, { slug, importAsDrafts });
-  return data;
+function readCsvRows(dataRaw) {
+  return csvtojson().fromString(dataRaw);
 }
 
-async function parseCsv(dataRaw, { slug, importAsDrafts = true }) {
-  let data = await csvtojson().fromString(dataRaw);
-  
+function readJsonRows(dataRaw) {
+  return toArray(JSON.parse(dataRaw));
+}
+
+function readYamlRows(dataRaw) {
+  return toArray(parseYaml(dataRaw));
+}
+
+/**
+ * Read the values of JSON Lines data, one per non-empty line.
+ */
+function readNdjsonRows(dataRaw) {
+  return dataRaw.split(/\r?\n/).flatMap((line, idx) => (line.trim() ? [parseNdjsonLine(line, idx + 1)] : []));
+}
+
+function parseNdjsonLine(line, lineNumber) {
+  try {
+    return JSON.parse(line);
+  } catch (err) {
+    throw new Error(`Line ${lineNumber} is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Lines of v2 NDJSON data hold an entry of a v2 file along with its slug and file id,
+ * `{ "version": 2, "slug": "api::article.article", "id": "1", "data": { ... } }`.
+ * @param {*} value - Value of a line.
+ * @returns {boolean}
+ */
+function isNdjsonV2Line(value) {
+  return value?.version === 2 && typeof value.slug === 'string' && isObjectSafe(value.data);
+}
+
+/**
+ * Read the rows of the sheet of a slug, see `getSlugWorksheet`.
+ */
+async function readXlsxRows(dataRaw, { slug }) {
+  const worksheet = getSlugWorksheet(await readWorkbook(dataRaw), slug);
+  return worksheet ? readWorksheetRows(worksheet) : [];
+}
+
+async function parseCsv(dataRaw, { slug, importAsDrafts = true, columnMapping }) {
+  const data = await csvtojson().fromString(dataRaw);
+
+  return parseRows(data, createCsvRowParser({ slug, importAsDrafts, columnMapping })).data;
+}
+
+/**
+ * Parse a CSV relation cell referencing an entry by one of its attributes, written `slug=news`
+ * or `category.slug=news` for a `category` column.
+ * @param {string} name - Name of the relation attribute.
+ * @param {*} value - Cell value.
+ * @returns {Object|null} Reference such as `{ slug: 'news' }`, or `null` if the value isn't one.
+ */
+function parseRelationReference(name, value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.trim().match(/^([A-Za-z_][\w-]*(?:\.[A-Za-z_][\w-]*)?)=(.*)$/s);
+  if (!match) {
+    return null;
+  }
+
+  const [, key, referenceValue] = match;
+  const attribute = key.startsWith(`${name}.`) ? key.slice(name.length + 1) : key;
+  if (attribute.includes('.')) {
+    return null;
+  }
+  return { [attribute]: referenceValue.trim() };
+}
+
+function createCsvRowParser({ slug, importAsDrafts = true, columnMapping }) {
+  checkColumnMapping(columnMapping);
+
   // Check if the model has draftAndPublish enabled
   const model = getModel(slug);
   const hasDraftAndPublish = model?.options?.draftAndPublish === true;
@@ -39,10 +266,20 @@ async function parseCsv(dataRaw, { slug, importAsDrafts = true }) {
   const booleanFields = getModelAttributes(slug, { filterType: ['boolean'] }).map((a) => a.name);
   const numberFields = getModelAttributes(slug, { filterType: ['integer', 'biginteger', 'float', 'decimal'] }).map((a) => a.name);
   
-  data = data.map((datum) => {
-    // Parse relation fields (JSON)
+  return (row) => {
+    const datum = applyColumnMapping(row, columnMapping);
+
+    // Parse relation fields (JSON, or `attribute=value` references)
     for (let name of relationNames) {
-      if (datum[name] && datum[name] !== '' && datum[name] !== 'null' && datum[name] !== 'undefined') {
+      if (Array.isArray(datum[name])) {
+        // Split by a column transform
+        datum[name] = datum[name].map((value) => parseRelationReference(name, value) || value);
+      } else if (datum[name] != null && typeof datum[name] !== 'string') {
+        // Already parsed by a column transform, or nested by a `relation.attribute` header
+        continue;
+      } else if (parseRelationReference(name, datum[name])) {
+        datum[name] = parseRelationReference(name, datum[name]);
+      } else if (datum[name] && datum[name] !== '' && datum[name] !== 'null' && datum[name] !== 'undefined') {
         try {
           datum[name] = JSON.parse(datum[name]);
         } catch (err) {
@@ -92,9 +329,8 @@ async function parseCsv(dataRaw, { slug, importAsDrafts = true }) {
         const numValue = Number(datum[name]);
         if (!isNaN(numValue)) {
           datum[name] = numValue;
-        } else {
-          datum[name] = null;
         }
+        // Unparseable values are kept, so that validation reports them instead of importing null.
       } else if (datum[name] === 'null' || datum[name] === '') {
         datum[name] = null;
       }
@@ -111,42 +347,99 @@ async function parseCsv(dataRaw, { slug, importAsDrafts = true }) {
     // If hasDraftAndPublish && !importAsDrafts, keep the original publishedAt value
     
     return datum;
-  });
+  };
+}
 
-  return data;
+async function parseXlsx(dataRaw, { slug, importAsDrafts = true, columnMapping }) {
+  const data = await readXlsxRows(dataRaw, { slug });
+
+  return parseRows(data, createXlsxRowParser({ slug, importAsDrafts, columnMapping })).data;
+}
+
+/**
+ * Cells are converted like CSV values, except that numbers, booleans and dates of typed cells
+ * are kept as they are. Typed cells of string attributes are converted to strings, and JSON
+ * attributes are parsed as they are exported as JSON text.
+ */
+function createXlsxRowParser({ slug, importAsDrafts = true, columnMapping }) {
+  const parseCsvRow = createCsvRowParser({ slug, importAsDrafts, columnMapping });
+  const stringFields = getModelAttributes(slug, { filterType: ['string', 'text', 'richtext', 'email', 'password', 'uid', 'enumeration'] }).map((a) => a.name);
+  const jsonFields = getModelAttributes(slug, { filterType: ['json'] }).map((a) => a.name);
+
+  return (row, index) => {
+    const datum = parseCsvRow(row, index);
+    for (const name of jsonFields) {
+      if (typeof datum[name] === 'string') {
+        try {
+          datum[name] = JSON.parse(datum[name]);
+        } catch (err) {
+          // Plain text is a valid JSON value.
+        }
+      }
+    }
+    for (const name of stringFields) {
+      if (datum[name] instanceof Date) {
+        datum[name] = datum[name].toISOString();
+      } else if (typeof datum[name] === 'number' || typeof datum[name] === 'boolean') {
+        datum[name] = `${datum[name]}`;
+      }
+    }
+    return datum;
+  };
+}
+
+async function parseYamlData(dataRaw, { slug, importAsDrafts = true }) {
+  const data = parseYaml(dataRaw);
+  if (data?.version === 2) {
+    return data;
+  }
+
+  return toArray(data).map(createJsonRowParser({ slug, importAsDrafts }));
+}
+
+async function parseNdjson(dataRaw, { slug, importAsDrafts = true }) {
+  const data = readNdjsonRows(dataRaw);
+
+  if (data.length && data.every(isNdjsonV2Line)) {
+    const fileContent = { version: 2, data: {} };
+    for (const { slug: entrySlug, id, data: entry } of data) {
+      fileContent.data[entrySlug] = { ...fileContent.data[entrySlug], [id]: entry };
+    }
+    return fileContent;
+  }
+
+  return data.map(createJsonRowParser({ slug, importAsDrafts }));
 }
 
 async function parseJson(dataRaw, { slug, importAsDrafts = true }) {
-  let data = JSON.parse(dataRaw);
-  
+  const data = JSON.parse(dataRaw);
+  const parseRow = createJsonRowParser({ slug, importAsDrafts });
+
+  if (Array.isArray(data)) {
+    return data.map(parseRow);
+  } else if (typeof data === 'object') {
+    return parseRow(data);
+  }
+  return data;
+}
+
+function createJsonRowParser({ slug, importAsDrafts = true }) {
   // Check if the model has draftAndPublish enabled
   const model = getModel(slug);
   const hasDraftAndPublish = model?.options?.draftAndPublish === true;
-  
-  // Only handle publishedAt if the entity supports draft & publish
-  if (hasDraftAndPublish && importAsDrafts) {
-    // Force all records to be drafts
-    if (Array.isArray(data)) {
-      data = data.map(item => ({
-        ...item,
-        publishedAt: null
-      }));
-    } else if (typeof data === 'object') {
-      data.publishedAt = null;
-    }
-  } else if (!hasDraftAndPublish) {
-    // Remove publishedAt field for entities without draft & publish
-    if (Array.isArray(data)) {
-      data = data.map(item => {
-        const { publishedAt, ...rest } = item;
-        return rest;
-      });
-    } else if (typeof data === 'object' && data.publishedAt !== undefined) {
-      delete data.publishedAt;
+
+  return (item) => {
+    // Only handle publishedAt if the entity supports draft & publish
+    if (hasDraftAndPublish && importAsDrafts) {
+      // Force all records to be drafts
+      return { ...item, publishedAt: null };
+    } else if (!hasDraftAndPublish) {
+      // Remove publishedAt field for entities without draft & publish
+      const { publishedAt, ...rest } = item;
+      return rest;
     }
-  }
-  
-  return data;
+    return item;
+  };
 }
 
 async function parseJso(dataRaw) {
@@ -157,89 +450,138 @@ async function parseJso(dataRaw) {
   return dataRaw;
 }
 
-async function parsePostgresJson(dataRaw, { slug, importAsDrafts = true }) {
-  try {
-    // Check if the model has draftAndPublish enabled
-    const model = getModel(slug);
-    const hasDraftAndPublish = model?.options?.draftAndPublish === true;
-    
-    strapi.log.info(`parsePostgresJson - slug: ${slug}, hasDraftAndPublish: ${hasDraftAndPublish}, importAsDrafts: ${importAsDrafts}`);
-    
-    // Parse the JSON string
-    let data = JSON.parse(dataRaw);
-    
-    strapi.log.info(`After JSON.parse - type: ${typeof data}, isArray: ${Array.isArray(data)}, length: ${Array.isArray(data) ? data.length : 'N/A'}`);
-    
-    // If it's not an array, make it an array
-    if (!isArraySafe(data)) {
-      strapi.log.info(`Data is not array-safe, converting to array`);
-      data = [data];
-    }
-    
-    strapi.log.info(`Parsing PostgreSQL JSON for ${slug}: ${data.length} records found, importAsDrafts: ${importAsDrafts}`);
-    
-    // Transform PostgreSQL JSON format to Strapi format
-    // The mediation.json file has a specific structure that needs to be mapped
-    const transformedData = data.map((item, index) => {
-      try {
-        const transformed = {
-          // Map core fields that exist in the Strapi model
-          name: item.name,
-          
-          // Configuration field - keep as is if it's a string
-          configuration: typeof item.configuration === 'string' 
-            ? item.configuration 
-            : JSON.stringify(item.configuration),
-          
-          // Map version field
-          version: item.version || 'main',
-        };
-        
-        // Only include id if we want to update existing records
-        // The import system will use the name field as the identifier based on the schema
-        // Don't include the PostgreSQL id as it may conflict with Strapi's auto-generated ids
-        // if (item.id) {
-        //   transformed.id = item.id;
-        // }
-        
-        // Handle publishedAt based on draftAndPublish setting and importAsDrafts flag
-        if (hasDraftAndPublish) {
-          // Only handle publishedAt if the entity supports draft & publish
-          if (importAsDrafts) {
-            // Force all records to be drafts
-            transformed.publishedAt = null;
-          } else {
-            // Keep the original published status
-            if (item.published_at !== undefined) {
-              if (item.published_at === null) {
-                transformed.publishedAt = null;
-              } else {
-                const date = new Date(item.published_at);
-                if (!isNaN(date.getTime())) {
-                  transformed.publishedAt = date.toISOString();
-                }
-              }
-            }
-          }
+async function parseDbRowsJson(dataRaw, { slug, importAsDrafts = true, columnMapping }) {
+  const data = readJsonRows(dataRaw);
+  strapi.log.info(`Parsing database rows for ${slug}: ${data.length} rows found, importAsDrafts: ${importAsDrafts}`);
+
+  return parseRows(data, createDbRowParser({ slug, importAsDrafts, columnMapping })).data;
+}
+
+/**
+ * Create the function converting rows dumped from a database table, such as the output of
+ * `SELECT row_to_json(t) FROM t`, to the attributes of a model.
+ * Columns are renamed by the `dbRowMapping` of the model plugin options, then by `columnMapping`.
+ * Other snake_case columns are renamed to the camelCase attribute of the same name, and columns
+ * matching no attribute are ignored, database ids included.
+ * Values of JSON, component, dynamic zone, relation and media attributes are parsed from JSON
+ * strings, and object values of string attributes are stringified.
+ */
+function createDbRowParser({ slug, importAsDrafts = true, columnMapping }) {
+  const mapping = { ...getModelDbRowMapping(slug), ...columnMapping };
+  checkColumnMapping(mapping);
+
+  const model = getModel(slug);
+  const hasDraftAndPublish = model?.options?.draftAndPublish === true;
+  const attributes = Object.fromEntries(getModelAttributes(slug).map((attribute) => [attribute.name, attribute]));
+  const ignoredColumns = new Set();
+
+  return (row) => {
+    const datum = {};
+    for (const [column, value] of Object.entries(applyColumnMapping(row, mapping))) {
+      const name = attributes[column] ? column : camelCase(column);
+      const attribute = attributes[name];
+      if (!attribute && name !== 'documentId') {
+        if (!ignoredColumns.has(column)) {
+          ignoredColumns.add(column);
+          strapi.log.info(`Column ${column} matches no attribute of ${slug}, it is ignored`);
         }
-        // If entity doesn't support draft & publish, don't include publishedAt at all
-        
-        // Log the transformation for debugging
-        strapi.log.info(`Successfully transformed PostgreSQL record ${index + 1}: ${item.name}`);
-        
-        return transformed;
-      } catch (itemError) {
-        strapi.log.error(`Error transforming PostgreSQL record ${index + 1} (${item.name}):`, itemError);
-        throw itemError;
+        continue;
       }
-    });
-    
-    strapi.log.info(`PostgreSQL JSON parsing complete: ${transformedData.length} records transformed`);
-    return transformedData;
-  } catch (error) {
-    strapi.log.error('Error parsing PostgreSQL JSON:', error);
-    throw new Error(`Failed to parse PostgreSQL JSON: ${error.message}`);
+      // Defaults of the model apply to empty columns.
+      if (value == null && attribute?.default !== undefined) {
+        continue;
+      }
+      datum[name] = attribute ? convertDbValue(attribute, value) : value;
+    }
+
+    if (hasDraftAndPublish && importAsDrafts) {
+      datum.publishedAt = null;
+    } else if (!hasDraftAndPublish) {
+      delete datum.publishedAt;
+    }
+
+    return datum;
+  };
+}
+
+const JSON_VALUE_TYPES = ['json', 'component', 'dynamiczone', 'relation', 'media'];
+const STRING_VALUE_TYPES = ['string', 'text', 'richtext', 'email', 'password', 'uid', 'enumeration'];
+
+function convertDbValue(attribute, value) {
+  if (value == null) {
+    return null;
+  }
+
+  if (JSON_VALUE_TYPES.includes(attribute.type) && typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      // JSON attributes may hold plain strings.
+      return value;
+    }
+  }
+  if (STRING_VALUE_TYPES.includes(attribute.type) && typeof value === 'object') {
+    return JSON.stringify(value);
   }
+  if (attribute.type === 'datetime') {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? value : date.toISOString();
+  }
+  return value;
 }
 
-export { InputFormats, parseInputData };
+registerInputFormat({ name: 'csv', label: 'CSV', extensions: ['csv'], mimeTypes: ['text/csv'], parse: parseCsv, readRows: readCsvRows, createRowParser: createCsvRowParser, streamAs: 'csv' });
+registerInputFormat({ name: 'json', label: 'JSON', extensions: ['json'], mimeTypes: ['application/json'], parse: parseJson, readRows: readJsonRows, createRowParser: createJsonRowParser, streamAs: 'json' });
+registerInputFormat({
+  name: 'ndjson',
+  label: 'JSON Lines (NDJSON)',
+  extensions: ['ndjson', 'jsonl'],
+  mimeTypes: ['application/x-ndjson', 'application/jsonl'],
+  parse: parseNdjson,
+  readRows: readNdjsonRows,
+  createRowParser: createJsonRowParser,
+  streamAs: 'ndjson',
+});
+registerInputFormat({
+  name: 'yaml',
+  label: 'YAML',
+  extensions: ['yaml', 'yml'],
+  mimeTypes: ['application/yaml', 'application/x-yaml', 'text/yaml'],
+  parse: parseYamlData,
+  readRows: readYamlRows,
+  createRowParser: createJsonRowParser,
+});
+registerInputFormat({
+  name: 'xlsx',
+  label: 'Excel (XLSX)',
+  extensions: ['xlsx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  binary: true,
+  parse: parseXlsx,
+  readRows: readXlsxRows,
+  createRowParser: createXlsxRowParser,
+});
+// v2 JSON files bundled with the binaries of their media, see `createArchive`.
+registerInputFormat({
+  name: 'zip',
+  label: 'Zip archive with media',
+  extensions: ['zip'],
+  mimeTypes: ['application/zip', 'application/x-zip-compressed'],
+  binary: true,
+  parse: readArchive,
+});
+// Already parsed data, sent to the content API.
+registerInputFormat({ name: 'jso', parse: parseJso });
+// Rows dumped from a database table, named `postgres` after the database it was first used with.
+registerInputFormat({
+  name: 'postgres',
+  label: 'JSON (database rows)',
+  extensions: ['json'],
+  mimeTypes: ['application/json'],
+  parse: parseDbRowsJson,
+  readRows: readJsonRows,
+  createRowParser: createDbRowParser,
+  streamAs: 'json',
+});
+
+export { registerInputFormat, getInputFormat, getInputFormats, parseInputData, getRowParser, parseInputRows, readInputRows, isNdjsonV2Line, parseNdjsonLine };
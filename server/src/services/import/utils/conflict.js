@@ -0,0 +1,74 @@
+import pickBy from 'lodash/pickBy';
+import { getModelAttributes } from '../../../utils/models.js';
+import { FailureCodes, ImportEntryError } from './failure.js';
+
+/**
+ * What to do when an imported entry matches an entry already in the database.
+ */
+const ConflictStrategies = {
+  /** Overwrite the existing entry. */
+  UPDATE: 'update',
+  /** Leave the existing entry untouched. */
+  SKIP: 'skip',
+  /** Leave the existing entry untouched and report the entry as failed. */
+  FAIL: 'fail',
+  /** Only set the attributes that are empty in the existing entry. */
+  MERGE: 'merge',
+};
+
+/**
+ * Get the data to write to an existing entry according to the conflict strategy.
+ * @param {("update"|"skip"|"fail"|"merge")} conflictStrategy
+ * @param {Object} params
+ * @param {Object} params.data - Data to import.
+ * @param {Object} [params.dbEntry] - Matching database entry, if any. It must be populated with
+ * `getConflictPopulate` for the `merge` strategy to compare relational attributes.
+ * @param {string} [params.label] - Describes the entry in the error thrown by the `fail` strategy.
+ * @returns {Object|null} Data to write, or `null` if the existing entry must be left untouched.
+ * @throws {Error} With the `fail` strategy, if the entry exists.
+ */
+function resolveConflict(
+  conflictStrategy = ConflictStrategies.UPDATE,
+  { data, dbEntry, label = '' }
+) {
+  if (!dbEntry) {
+    return data;
+  }
+
+  switch (conflictStrategy) {
+    case ConflictStrategies.SKIP:
+      return null;
+    case ConflictStrategies.FAIL:
+      throw new ImportEntryError(`Entry ${label || dbEntry.id} already exists.`, {
+        code: FailureCodes.CONFLICT,
+      });
+    case ConflictStrategies.MERGE: {
+      const mergedData = pickBy(data, (value, name) => isEmptyValue(dbEntry[name]));
+      return Object.keys(mergedData).length ? mergedData : null;
+    }
+    default:
+      return data;
+  }
+}
+
+/**
+ * Get the attributes to populate when looking for an existing entry, so that the `merge`
+ * strategy can tell whether its relational attributes are empty.
+ * @param {string} slug
+ * @param {("update"|"skip"|"fail"|"merge")} conflictStrategy
+ * @returns {Array<string>|undefined}
+ */
+function getConflictPopulate(slug, conflictStrategy) {
+  if (conflictStrategy !== ConflictStrategies.MERGE) {
+    return undefined;
+  }
+  return getModelAttributes(slug, {
+    filterType: ['component', 'dynamiczone', 'media', 'relation'],
+  }).map((attr) => attr.name);
+}
+
+function isEmptyValue(value) {
+  return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+export { ConflictStrategies, resolveConflict, getConflictPopulate };
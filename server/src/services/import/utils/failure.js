@@ -0,0 +1,103 @@
+/**
+ * Why an entry failed to import.
+ */
+const FailureCodes = {
+  /** The entry doesn't satisfy the model schema. */
+  VALIDATION: 'validation',
+  /** The entry already exists and the conflict strategy is `fail`. */
+  CONFLICT: 'conflict',
+  /** A relation references an entry that doesn't exist. */
+  MISSING_RELATION: 'missing_relation',
+  /** A unique attribute already has the value in another entry. */
+  UNIQUE_CONSTRAINT: 'unique_constraint',
+  /** The file of a media couldn't be fetched, or was refused by the media fetching config. */
+  MEDIA_FETCH: 'media_fetch',
+  UNKNOWN: 'unknown',
+};
+
+const UNIQUE_CONSTRAINT_DB_CODES = ['23505', 'ER_DUP_ENTRY', 'SQLITE_CONSTRAINT_UNIQUE'];
+
+/**
+ * Error raised by the import itself, classified with one of `FailureCodes`.
+ */
+class ImportEntryError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.code] - One of `FailureCodes`.
+   * @param {string} [options.attribute] - Attribute that caused the error.
+   */
+  constructor(message, { code = FailureCodes.UNKNOWN, attribute = null } = {}) {
+    super(message);
+
+    this.name = this.constructor.name;
+    this.code = code;
+    this.attribute = attribute;
+  }
+}
+
+/**
+ * Describes an entry that failed to import.
+ * @typedef {Object} ImportFailure
+ * @property {number|null} row - Position of the entry in the file, starting at 1. Not set for v2 files.
+ * @property {string|null} fileId - Id of the entry in a v2 file.
+ * @property {string} slug
+ * @property {string|null} attribute - Attribute that caused the failure, when known.
+ * @property {string} code - One of `FailureCodes`.
+ * @property {string} message
+ * @property {Array<FieldError>} [errors] - Every attribute which failed validation, for validation failures.
+ * @property {Object} data - Entry as read from the file, so that it can be fixed and imported again.
+ */
+/**
+ * Create the failure record of an entry.
+ * @param {Error|string} err - Error raised by the entry.
+ * @param {Object} entry
+ * @param {string} entry.slug
+ * @param {number} [entry.row]
+ * @param {string|number} [entry.fileId]
+ * @param {Object} entry.data
+ * @returns {ImportFailure}
+ */
+function createFailure(err, { slug, row = null, fileId = null, data }) {
+  return {
+    row,
+    fileId: fileId == null ? null : `${fileId}`,
+    slug,
+    attribute: getErrorAttribute(err),
+    code: getErrorCode(err),
+    message: err?.message ?? `${err}`,
+    ...(err?.errors ? { errors: err.errors } : {}),
+    data,
+  };
+}
+
+function getErrorCode(err) {
+  if (Object.values(FailureCodes).includes(err?.code)) {
+    return err.code;
+  } else if (err?.name === 'ValidationError') {
+    return FailureCodes.VALIDATION;
+  } else if (
+    UNIQUE_CONSTRAINT_DB_CODES.includes(err?.code) ||
+    /unique constraint/i.test(err?.message)
+  ) {
+    return FailureCodes.UNIQUE_CONSTRAINT;
+  }
+  return FailureCodes.UNKNOWN;
+}
+
+function getErrorAttribute(err) {
+  if (err?.attribute) {
+    return err.attribute;
+  }
+
+  const validationPath = err?.details?.errors?.[0]?.path;
+  if (validationPath?.length) {
+    return [].concat(validationPath).join('.');
+  }
+
+  // Postgres reports the offending column as `Key (column)=(value) already exists.`
+  const [, column] = `${err?.detail ?? ''}`.match(/^Key \(([^)]+)\)=/) || [];
+  return column ?? null;
+}
+
+export { FailureCodes, ImportEntryError, createFailure };
@@ -3,12 +3,47 @@ import fs from 'fs';
 import fse from 'fs-extra';
 import last from 'lodash/last';
 import trim from 'lodash/trim';
+import mimeTypes from 'mime-types';
 import os from 'os';
 import path from 'path';
-import fetch from 'node-fetch';
 import { isObjectSafe } from '../../../../libs/objects.js';
+import { readArchiveMediaFile } from '../../../utils/archive.js';
+import { getConfig } from '../../../utils/getConfig.js';
+import { computeChecksum, findFileByChecksum, getFileChecksum, saveFileChecksum } from './media-checksum.js';
+import { fetchMedia } from './media-fetch.js';
+import { MediaActions } from './media-report.js';
 
-async function findOrImportFile(fileEntry, user, { allowedFileTypes }) {
+/**
+ * Sources files can be imported from, given as their url.
+ */
+const FileSources = {
+  URL: 'url',
+  /** `data:` URI holding the content of the file. */
+  DATA_URI: 'dataUri',
+  /** Path relative to the directory set in the `mediaImportDirectory` config. */
+  PATH: 'path',
+};
+
+/**
+ * Find a file in the media library, or import it from its url.
+ * @param {string|Object} fileEntry - Url, data URI or path of the file, or file data with one of them as `url`.
+ * @param {Object} user - User importing the data.
+ * @param {Object} options
+ * @param {Array<string>} options.allowedFileTypes
+ * @param {boolean} [options.dryRun] - Only look up existing files, never import them.
+ * @param {JSZip} [options.mediaArchive] - Archive the file is imported from when bundled in it, instead of being fetched.
+ */
+async function findOrImportFile(fileEntry, user, options) {
+  const { file } = await findOrImportFileWithAction(fileEntry, user, options);
+  return file;
+}
+
+/**
+ * Same as `findOrImportFile`, also telling whether the file was reused from the media library or uploaded.
+ * @returns {Promise<{ file: Object|null, action: ("reuse"|"upload"|null), name: string|null }>} Dry runs
+ * resolve to no file and the `upload` action for files they would upload.
+ */
+async function findOrImportFileWithAction(fileEntry, user, { allowedFileTypes, dryRun = false, mediaArchive }) {
   let obj = {};
   if (typeof fileEntry === 'string') {
     obj.url = fileEntry;
@@ -28,16 +63,80 @@ async function findOrImportFile(fileEntry, user, { allowedFileTypes }) {
     }
   }
 
-  let file = await findFile(obj, user, allowedFileTypes);
+  let { file, action } = await findFile(obj, user, allowedFileTypes, { dryRun, mediaArchive });
 
   if (file && !isExtensionAllowed(file.ext.substring(1), allowedFileTypes)) {
     file = null;
+    action = null;
   }
 
-  return file;
+  return { file, action, name: file?.name || obj.name || null };
 }
 
-const findFile = async ({ hash, name, url, alternativeText, caption }, user, allowedFileTypes) => {
+/**
+ * Files whose content can be loaded are looked up by the checksum of their content. Files found
+ * by their hash or name are then only reused when their content is the same.
+ * Otherwise files are looked up by their hash or name only, as dry runs don't download files.
+ */
+const findFile = async ({ hash, name, url, alternativeText, caption, ext, mime }, user, allowedFileTypes, { dryRun = false, mediaArchive } = {}) => {
+  const checkResult = url ? isValidFileUrl(url, allowedFileTypes) : null;
+  const candidates = [{ hash, name }];
+  if (checkResult?.isValid) {
+    candidates.push({ hash: checkResult.fileData.hash, name: checkResult.fileData.fileName });
+  }
+
+  const findCandidate = async () => {
+    for (const candidate of candidates) {
+      const file = await findFileByHashOrName(candidate);
+      if (file) {
+        return file;
+      }
+    }
+    return null;
+  };
+
+  const bundledFile = checkResult?.isValid && mediaArchive ? await readArchiveMediaFile(mediaArchive, { hash, ext, mime }) : null;
+  if (!checkResult?.isValid || (dryRun && !bundledFile && getFileSource(url) === FileSources.URL)) {
+    const file = await findCandidate();
+    return { file, action: file ? MediaActions.REUSE : checkResult?.isValid ? MediaActions.UPLOAD : null };
+  }
+
+  let loadedFile;
+  try {
+    try {
+      loadedFile = bundledFile ? await writeBundledFile(bundledFile) : await loadFile(checkResult.fileData.rawUrl, { name, mime });
+    } catch (err) {
+      // Keep reusing files which were imported before, when their source is no longer reachable.
+      // Files refused by the media fetching config are reported as failures.
+      const file = err.blocked ? null : await findCandidate();
+      if (!file) {
+        throw err;
+      }
+      strapi.log.warn(`${err.message}, reusing media ${file.name} found by its hash or name`);
+      return { file, action: MediaActions.REUSE };
+    }
+
+    const checksum = computeChecksum(await fs.promises.readFile(loadedFile.path));
+
+    const file = (await findFileByChecksum(checksum)) || (await findSameFile(candidates, checksum, { dryRun }));
+    if (file) {
+      return { file, action: MediaActions.REUSE };
+    }
+    if (dryRun) {
+      return { file: null, action: MediaActions.UPLOAD };
+    }
+
+    const uploadedFile = await importFile(loadedFile, { name, alternativeText, caption }, user);
+    await saveFileChecksum(uploadedFile, checksum);
+    return { file: uploadedFile, action: MediaActions.UPLOAD };
+  } finally {
+    if (loadedFile?.path) {
+      deleteFileIfExists(loadedFile.path);
+    }
+  }
+};
+
+const findFileByHashOrName = async ({ hash, name }) => {
   let file = null;
 
   if (!file && hash) {
@@ -62,25 +161,25 @@ const findFile = async ({ hash, name, url, alternativeText, caption }, user, all
     // [file] = await strapi.entityService.findMany('plugin::upload.file', { filters: { name }, limit: 1 });
     [file] = await strapi.documents('plugin::upload.file').findMany({ filters: { name }, limit: 1 });
   }
-  if (!file && url) {
-    const checkResult = isValidFileUrl(url, allowedFileTypes);
-    if (checkResult.isValid) {
-      file = await findFile({ hash: checkResult.fileData.hash, name: checkResult.fileData.fileName }, user, allowedFileTypes);
 
-      if (!file) {
-        file = await importFile({ url: checkResult.fileData.rawUrl, name: name, alternativeText: alternativeText, caption: caption }, user);
-      }
+  return file || null;
+};
+
+/**
+ * Find a file by hash or name whose content has the given checksum.
+ */
+const findSameFile = async (candidates, checksum, { dryRun }) => {
+  for (const candidate of candidates) {
+    const file = await findFileByHashOrName(candidate);
+    if (file && (await getFileChecksum(file, { dryRun })) === checksum) {
+      return file;
     }
   }
-
-  return file;
+  return null;
 };
 
-const importFile = async ({ url, name, alternativeText, caption }, user) => {
-  let file;
+const importFile = async (file, { name, alternativeText, caption }, user) => {
   try {
-    file = await fetchFile(url);
-
     let [uploadedFile] = await strapi
       .plugin('upload')
       .service('upload')
@@ -107,30 +206,94 @@ const importFile = async ({ url, name, alternativeText, caption }, user) => {
   } catch (err) {
     strapi.log.error(err);
     throw err;
-  } finally {
-    if (file?.path) {
-      deleteFileIfExists(file?.path);
-    }
+  }
+};
+
+const loadFile = async (url, { name, mime }) => {
+  switch (getFileSource(url)) {
+    case FileSources.DATA_URI:
+      return loadDataUriFile(url, { name });
+    case FileSources.PATH:
+      return loadLocalFile(url, { mime });
+    default:
+      return fetchFile(url);
   }
 };
 
 const fetchFile = async (url) => {
+  let buffer;
+  let type;
   try {
-    const response = await fetch(url);
-    const contentType = response.headers.get('content-type')?.split(';')?.[0] || '';
-    const contentLength = parseInt(response.headers.get('content-length') || '0', 10) || 0;
-    const buffer = await response.buffer();
-    const fileData = getFileDataFromRawUrl(url);
-    const filePath = await writeFile(fileData.name, buffer);
-    return {
-      name: fileData.name,
-      type: contentType,
-      size: contentLength,
-      path: filePath,
-    };
+    ({ buffer, type } = await fetchMedia(url));
   } catch (error) {
-    throw new Error(`Tried to fetch file from url ${url} but failed with error: ${error.message}`);
+    // Keep the error, reported with its failure code.
+    error.message = `Tried to fetch file from url ${url} but failed with error: ${error.message}`;
+    throw error;
   }
+
+  const fileData = getFileDataFromRawUrl(url);
+  return {
+    name: fileData.name,
+    type,
+    size: buffer.length,
+    path: await writeFile(fileData.name, buffer),
+  };
+};
+
+const loadDataUriFile = async (url, { name }) => {
+  const { mime, isBase64, data } = parseDataUri(url);
+  const buffer = isBase64 ? Buffer.from(data, 'base64') : Buffer.from(decodeURIComponent(data));
+
+  // The name of the written file gives its extension to the imported file.
+  const baseName = path.basename(name || 'file');
+  const extension = mimeTypes.extension(mime);
+  const fileName = path.extname(baseName) || !extension ? baseName : `${baseName}.${extension}`;
+  return {
+    name: fileName,
+    type: mime,
+    size: buffer.length,
+    path: await writeFile(fileName, buffer),
+  };
+};
+
+/**
+ * The file is copied, since imported files are deleted once uploaded.
+ */
+const loadLocalFile = async (filePath, { mime }) => {
+  const importDirectory = getConfig('mediaImportDirectory');
+  if (!importDirectory) {
+    throw new Error(`Tried to import file from path ${filePath} but the mediaImportDirectory config is not set`);
+  }
+
+  const rootPath = path.resolve(strapi.dirs.app.root, importDirectory);
+  const absolutePath = path.resolve(rootPath, filePath);
+  if (!absolutePath.startsWith(rootPath + path.sep)) {
+    throw new Error(`Tried to import file from path ${filePath} which is outside of the media import directory`);
+  }
+  // Symlinks in the directory may lead outside of it.
+  const realRootPath = await fs.promises.realpath(rootPath);
+  const realPath = await fs.promises.realpath(absolutePath);
+  if (!realPath.startsWith(realRootPath + path.sep)) {
+    throw new Error(`Tried to import file from path ${filePath} which links outside of the media import directory`);
+  }
+
+  const buffer = await fs.promises.readFile(realPath);
+  const name = path.basename(absolutePath);
+  return {
+    name,
+    type: mime || mimeTypes.lookup(name) || '',
+    size: buffer.length,
+    path: await writeFile(name, buffer),
+  };
+};
+
+const writeBundledFile = async ({ name, type, size, buffer }) => {
+  return {
+    name,
+    type,
+    size,
+    path: await writeFile(name, buffer),
+  };
 };
 
 const writeFile = async (name, content) => {
@@ -203,11 +366,50 @@ const getFileTypeChecker = (type) => {
   return checker;
 };
 
+const getFileSource = (rawUrl) => {
+  if (rawUrl.startsWith('data:')) {
+    return FileSources.DATA_URI;
+  }
+  if (/^[a-z][a-z\d+.-]*:\/\//i.test(rawUrl)) {
+    return FileSources.URL;
+  }
+  return FileSources.PATH;
+};
+
+/**
+ * Parse a data URI: `data:[<mime type>][;base64],<data>`.
+ */
+const parseDataUri = (rawUrl) => {
+  const dataIdx = rawUrl.indexOf(',');
+  if (dataIdx === -1) {
+    throw new Error('Invalid data URI, it has no data');
+  }
+
+  const [mime, ...params] = rawUrl.slice('data:'.length, dataIdx).split(';');
+  return {
+    mime: mime.trim().toLowerCase() || 'text/plain',
+    isBase64: params.some((param) => param.trim().toLowerCase() === 'base64'),
+    data: rawUrl.slice(dataIdx + 1),
+  };
+};
+
+/**
+ * Get the name, hash and extension of a file from its url. Files imported from data URIs have no
+ * name nor hash, so that they are only matched with existing files by the name they are given.
+ */
 const getFileDataFromRawUrl = (rawUrl) => {
-  const parsedUrl = new URL(decodeURIComponent(rawUrl));
+  const source = getFileSource(rawUrl);
+  if (source === FileSources.DATA_URI) {
+    return {
+      hash: '',
+      name: '',
+      extension: mimeTypes.extension(parseDataUri(rawUrl).mime) || '',
+    };
+  }
 
-  const name = trim(parsedUrl.pathname, '/').replace(/\//g, '-');
-  const extension = parsedUrl.pathname.split('.').pop()?.toLowerCase() || '';
+  const pathname = source === FileSources.URL ? new URL(decodeURIComponent(rawUrl)).pathname : path.posix.basename(rawUrl.replace(/\\/g, '/'));
+  const name = trim(pathname, '/').replace(/\//g, '-');
+  const extension = pathname.split('.').pop()?.toLowerCase() || '';
   const hash = strings.nameToSlug(name.slice(0, -(extension.length + 1)) || '', { separator: '_', lowercase: false });
 
   return {
@@ -217,4 +419,4 @@ const getFileDataFromRawUrl = (rawUrl) => {
   };
 };
 
-export { findOrImportFile };
\ No newline at end of file
+export { findOrImportFile, findOrImportFileWithAction };
\ No newline at end of file
@@ -0,0 +1,41 @@
+import castArray from 'lodash/castArray';
+import pick from 'lodash/pick';
+
+/**
+ * Get the attributes of an id field, which is either a single attribute or an array of
+ * attributes forming a composite key.
+ * @param {string|Array<string>} [idField]
+ * @returns {Array<string>}
+ */
+function getIdFields(idField) {
+  const idFields = castArray(idField ?? []).filter(Boolean);
+  return idFields.length ? idFields : ['id'];
+}
+
+/**
+ * Get the `where` clause matching the entry which has the same key as `data`.
+ * @param {string|Array<string>} idField
+ * @param {Object} data
+ * @returns {Object|null} `null` if `data` doesn't set every attribute of the key.
+ */
+function getIdFieldWhere(idField, data) {
+  const idFields = getIdFields(idField);
+  if (idFields.some((name) => data[name] == null || data[name] === '')) {
+    return null;
+  }
+  return pick(data, idFields);
+}
+
+/**
+ * Describe the key of an entry, for logs and error messages.
+ * @param {string|Array<string>} idField
+ * @param {Object} data
+ * @returns {string}
+ */
+function formatIdField(idField, data) {
+  return getIdFields(idField)
+    .map((name) => `${name} ${data[name]}`)
+    .join(', ');
+}
+
+export { getIdFields, getIdFieldWhere, formatIdField };
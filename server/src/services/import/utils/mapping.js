@@ -0,0 +1,96 @@
+import isEmpty from 'lodash/isEmpty';
+import { FailureCodes, ImportEntryError } from './failure.js';
+
+/**
+ * Transforms that can be applied to the value of a column, in the order they are listed in the mapping.
+ */
+const columnTransforms = {
+  trim: (value) => (typeof value === 'string' ? value.trim() : value),
+  split: (value, { delimiter }) =>
+    typeof value === 'string'
+      ? value
+          .split(delimiter || ',')
+          .map((item) => item.trim())
+          .filter((item) => item !== '')
+      : value,
+  json: (value) => (typeof value === 'string' && value.trim() !== '' ? JSON.parse(value) : value),
+};
+
+/**
+ * @typedef {Object} ColumnMapping
+ * @property {string|null} attribute - Attribute the column is imported into. `null` to ignore the column.
+ * @property {Array<("trim"|"split"|"json")>} [transforms] - Transforms applied to the column value.
+ * @property {string} [delimiter] - Delimiter used by the `split` transform (default `,`).
+ * @property {*} [default] - Value of the attribute when the column is missing or empty.
+ */
+/**
+ * Rename the columns of a row to the attributes they are mapped to and transform their values.
+ * Columns without mapping are kept as is.
+ * @param {Object} row
+ * @param {Object<string, ColumnMapping>} [columnMapping] - Mapping of each column name.
+ * @returns {Object}
+ * @throws {ImportEntryError} If a transform fails on a value of the row.
+ */
+function applyColumnMapping(row, columnMapping) {
+  if (isEmpty(columnMapping)) {
+    return row;
+  }
+
+  const mappedRow = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (!Object.prototype.hasOwnProperty.call(columnMapping, column)) {
+      mappedRow[column] = value;
+      continue;
+    }
+
+    const { attribute, transforms = [] } = columnMapping[column] || {};
+    if (!attribute) {
+      continue;
+    }
+
+    mappedRow[attribute] = transforms.reduce((transformedValue, transform) => {
+      try {
+        return columnTransforms[transform](transformedValue, columnMapping[column]);
+      } catch (err) {
+        throw new ImportEntryError(
+          `Transform ${transform} of column ${column} failed: ${err.message}`,
+          { code: FailureCodes.VALIDATION, attribute }
+        );
+      }
+    }, value);
+  }
+
+  for (const { attribute, default: defaultValue } of Object.values(columnMapping).map(
+    (mapping) => mapping || {}
+  )) {
+    if (
+      attribute &&
+      defaultValue !== undefined &&
+      (mappedRow[attribute] == null || mappedRow[attribute] === '')
+    ) {
+      mappedRow[attribute] = defaultValue;
+    }
+  }
+
+  return mappedRow;
+}
+
+/**
+ * Check a column mapping sent with an import request.
+ * @param {Object<string, ColumnMapping>} [columnMapping]
+ * @throws {Error} If a transform is not supported.
+ */
+function checkColumnMapping(columnMapping) {
+  for (const [column, { transforms = [] } = {}] of Object.entries(columnMapping || {})) {
+    const unknownTransforms = transforms.filter((transform) => !columnTransforms[transform]);
+    if (unknownTransforms.length) {
+      throw new Error(
+        `Column ${column} uses unsupported transforms: ${unknownTransforms.join(', ')}.`
+      );
+    }
+  }
+}
+
+const ColumnTransforms = Object.keys(columnTransforms);
+
+export { ColumnTransforms, applyColumnMapping, checkColumnMapping };
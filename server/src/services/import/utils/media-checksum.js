@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import { PluginSlugs } from '../../../config/constants.js';
+import { readMediaFile } from '../../../utils/media.js';
+
+const UPLOAD_FILE_SLUG = 'plugin::upload.file';
+/** Number of files of the media library checked at once when indexing their checksums. */
+const INDEX_PAGE_SIZE = 100;
+
+/** Files being indexed, one at a time. */
+let indexing = Promise.resolve();
+
+/**
+ * Get the SHA-256 checksum of the content of a file, as a hexadecimal string.
+ * @param {Buffer} content
+ * @returns {string}
+ */
+function computeChecksum(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Find a file of the media library by the checksum of its content.
+ * Files are checked against their hash too, since ids of deleted files may be reused.
+ * @param {string} checksum
+ * @returns {Promise<Object|null>}
+ */
+async function findFileByChecksum(checksum) {
+  const records = await strapi.db
+    .query(PluginSlugs.MEDIA_CHECKSUM)
+    .findMany({ where: { checksum } });
+  if (!records.length) {
+    return null;
+  }
+
+  const files = await strapi.documents('plugin::upload.file').findMany({
+    filters: { id: { $in: records.map((record) => record.fileId) } },
+  });
+  return (
+    files.find((file) =>
+      records.some((record) => record.fileId === file.id && record.fileHash === file.hash)
+    ) || null
+  );
+}
+
+/**
+ * Get the checksum of a file of the media library. Files which were not imported are read to
+ * compute it, once.
+ * @param {Object} file - Entry of `plugin::upload.file`.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Don't store computed checksums.
+ * @returns {Promise<string|null>} Null when the content of the file can't be read.
+ */
+async function getFileChecksum(file, { dryRun = false } = {}) {
+  const record = await strapi.db
+    .query(PluginSlugs.MEDIA_CHECKSUM)
+    .findOne({ where: { fileId: file.id, fileHash: file.hash } });
+  if (record) {
+    return record.checksum;
+  }
+
+  let checksum;
+  try {
+    checksum = computeChecksum(await readMediaFile(file));
+  } catch (err) {
+    strapi.log.warn(`Content of media ${file.url} can't be read to compare it: ${err.message}`);
+    return null;
+  }
+  if (!dryRun) {
+    await saveFileChecksum(file, checksum);
+  }
+  return checksum;
+}
+
+/**
+ * @param {Object} file - Entry of `plugin::upload.file`.
+ * @param {string} checksum
+ */
+async function saveFileChecksum(file, checksum) {
+  // The file may have been indexed since its checksum was computed.
+  const record = await strapi.db
+    .query(PluginSlugs.MEDIA_CHECKSUM)
+    .findOne({ where: { fileId: file.id, fileHash: file.hash } });
+  if (record) {
+    return;
+  }
+  await strapi.db
+    .query(PluginSlugs.MEDIA_CHECKSUM)
+    .create({ data: { fileId: file.id, fileHash: file.hash, checksum } });
+}
+
+/**
+ * Index the checksums of the files of the media library, so that imports reuse them whether or
+ * not they were imported: the files already in it, then the files as they are uploaded or
+ * replaced. Files are read in the background, one at a time.
+ */
+function startChecksumIndexing() {
+  strapi.db.lifecycles.subscribe({
+    models: [UPLOAD_FILE_SLUG],
+    afterCreate: ({ result }) => queueFileIndexing(result),
+    afterUpdate: ({ result }) => queueFileIndexing(result),
+  });
+
+  indexing = indexing
+    .then(indexMediaLibrary)
+    .catch((err) =>
+      strapi.log.error(`Indexing the checksums of the media library failed: ${err.message}`)
+    );
+}
+
+async function indexMediaLibrary() {
+  for (let offset = 0; ; offset += INDEX_PAGE_SIZE) {
+    const files = await strapi.db
+      .query(UPLOAD_FILE_SLUG)
+      .findMany({ orderBy: { id: 'asc' }, offset, limit: INDEX_PAGE_SIZE });
+    const records = await strapi.db
+      .query(PluginSlugs.MEDIA_CHECKSUM)
+      .findMany({ where: { fileId: { $in: files.map((file) => file.id) } } });
+    for (const file of files) {
+      if (!records.some((record) => record.fileId === file.id && record.fileHash === file.hash)) {
+        await getFileChecksum(file);
+      }
+    }
+    if (files.length < INDEX_PAGE_SIZE) {
+      return;
+    }
+  }
+}
+
+function queueFileIndexing(file) {
+  if (!file?.id || !file.hash || !file.url) {
+    return;
+  }
+  indexing = indexing
+    .then(() => getFileChecksum(file))
+    .catch((err) =>
+      strapi.log.error(`Indexing the checksum of media ${file.url} failed: ${err.message}`)
+    );
+}
+
+export {
+  computeChecksum,
+  findFileByChecksum,
+  getFileChecksum,
+  saveFileChecksum,
+  startChecksumIndexing,
+};
@@ -0,0 +1,272 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import mimeTypes from 'mime-types';
+import net from 'net';
+import fetch from 'node-fetch';
+import path from 'path';
+import { getConfig } from '../../../utils/getConfig.js';
+import { sniffMimeType } from '../../../utils/mime.js';
+import { FailureCodes, ImportEntryError } from './failure.js';
+
+const MAX_REDIRECTS = 5;
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const PRIVATE_ADDRESS_ERROR_CODE = 'ERR_MEDIA_PRIVATE_ADDRESS';
+
+/**
+ * Private, loopback, link-local and otherwise non-public address ranges.
+ */
+const privateAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  // NAT64 prefixes, which embed IPv4 addresses.
+  ['64:ff9b::', 96],
+  ['64:ff9b:1::', 48],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Error fetching the file of a media.
+ */
+class MediaFetchError extends ImportEntryError {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {boolean} [options.blocked] - The file was refused by the media fetching config.
+   * @param {boolean} [options.retryable] - Fetching the file again may succeed.
+   */
+  constructor(message, { blocked = false, retryable = false } = {}) {
+    super(message, { code: FailureCodes.MEDIA_FETCH });
+
+    this.blocked = blocked;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Fetch the file of a media, within the limits of the media fetching config. Attempts failing
+ * with a network error, a timeout or a server error are retried.
+ * @param {string} url
+ * @returns {Promise<{ buffer: Buffer, type: string }>} Content of the file, and its mime type
+ * sniffed from the content, or else given by the server.
+ */
+async function fetchMedia(url) {
+  const retries = getConfig('mediaFetchRetries');
+  const retryDelay = getConfig('mediaFetchRetryDelay');
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const { buffer, type } = await fetchMediaOnce(url);
+      return { buffer, type: checkMediaType(url, buffer, type) };
+    } catch (err) {
+      if (!err.retryable || attempt >= retries) {
+        throw err;
+      }
+      strapi.log.warn(`Fetching ${url} failed (${err.message}), retrying`);
+      await new Promise((resolve) => setTimeout(resolve, retryDelay * 2 ** attempt));
+    }
+  }
+}
+
+/**
+ * Redirects are followed one at a time, so that the hosts they lead to are checked too.
+ */
+async function fetchMediaOnce(url) {
+  const timeout = getConfig('mediaFetchTimeout');
+  const maxSize = getConfig('mediaMaxSize');
+
+  let currentUrl = url;
+  for (let redirects = 0; ; redirects += 1) {
+    const parsedUrl = await checkMediaUrl(currentUrl);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      const response = await fetch(parsedUrl.href, {
+        redirect: 'manual',
+        signal: controller.signal,
+        size: maxSize,
+        agent: getAgent,
+      });
+
+      if ([301, 302, 303, 307, 308].includes(response.status)) {
+        const location = response.headers.get('location');
+        if (!location) {
+          throw new MediaFetchError(
+            `server redirected with status ${response.status} but no location`
+          );
+        }
+        if (redirects >= MAX_REDIRECTS) {
+          throw new MediaFetchError(`more than ${MAX_REDIRECTS} redirects`);
+        }
+        currentUrl = new URL(location, parsedUrl).href;
+        continue;
+      }
+      if (!response.ok) {
+        throw new MediaFetchError(`server responded with status ${response.status}`, {
+          retryable: RETRYABLE_STATUSES.includes(response.status),
+        });
+      }
+
+      const contentLength = parseInt(response.headers.get('content-length') || '0', 10) || 0;
+      if (contentLength > maxSize) {
+        throw new MediaFetchError(
+          `file size of ${contentLength} bytes exceeds the maximum of ${maxSize} bytes`,
+          { blocked: true }
+        );
+      }
+
+      return {
+        buffer: await response.buffer(),
+        type: response.headers.get('content-type')?.split(';')?.[0]?.trim() || '',
+      };
+    } catch (err) {
+      throw toMediaFetchError(err, { timeout, maxSize });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+function toMediaFetchError(err, { timeout, maxSize }) {
+  if (err instanceof MediaFetchError) {
+    return err;
+  } else if (err.name === 'AbortError') {
+    return new MediaFetchError(`no response within ${timeout} ms`, { retryable: true });
+  } else if (err.type === 'max-size') {
+    return new MediaFetchError(`file size exceeds the maximum of ${maxSize} bytes`, {
+      blocked: true,
+    });
+  } else if (err.code === PRIVATE_ADDRESS_ERROR_CODE) {
+    return new MediaFetchError(err.message.replace(/^.*reason: /, ''), { blocked: true });
+  }
+  return new MediaFetchError(err.message, { retryable: true });
+}
+
+/**
+ * Check that a url may be fetched according to the media fetching config.
+ * @param {string} url
+ * @returns {Promise<URL>}
+ */
+async function checkMediaUrl(url) {
+  const parsedUrl = new URL(url);
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    throw new MediaFetchError(`protocol ${parsedUrl.protocol} is not allowed`, { blocked: true });
+  }
+
+  // Brackets of IPv6 addresses are kept in hostnames.
+  const hostname = parsedUrl.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  const allowedHosts = getConfig('mediaAllowedHosts');
+  if (
+    allowedHosts.length &&
+    !allowedHosts.some((allowedHost) => matchesHost(hostname, allowedHost.toLowerCase()))
+  ) {
+    throw new MediaFetchError(`host ${hostname} is not in the allowed hosts`, { blocked: true });
+  }
+
+  if (getConfig('mediaBlockPrivateAddresses')) {
+    // Hosts are checked again when connecting to them, as they may resolve to another address.
+    const addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true }).catch(() => []);
+    const privateAddress = addresses.find(({ address }) => isPrivateAddress(address));
+    if (privateAddress) {
+      throw new MediaFetchError(
+        `host ${hostname} resolves to the private address ${privateAddress.address}`,
+        { blocked: true }
+      );
+    }
+  }
+
+  return parsedUrl;
+}
+
+function matchesHost(hostname, allowedHost) {
+  return allowedHost.startsWith('*.')
+    ? hostname.endsWith(allowedHost.slice(1))
+    : hostname === allowedHost;
+}
+
+function isPrivateAddress(address) {
+  const mappedIpv4 = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+  if (mappedIpv4) {
+    return privateAddresses.check(mappedIpv4, 'ipv4');
+  }
+  return privateAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve hosts like `dns.lookup`, failing for private addresses.
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      return callback(err);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const privateAddress = addresses.find((resolved) => isPrivateAddress(resolved.address));
+    if (privateAddress) {
+      const privateAddressErr = new Error(
+        `host ${hostname} resolves to the private address ${privateAddress.address}`
+      );
+      privateAddressErr.code = PRIVATE_ADDRESS_ERROR_CODE;
+      return callback(privateAddressErr);
+    }
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: lookupPublicAddress });
+const httpsAgent = new https.Agent({ lookup: lookupPublicAddress });
+
+function getAgent(parsedUrl) {
+  if (!getConfig('mediaBlockPrivateAddresses')) {
+    return undefined;
+  }
+  return parsedUrl.protocol === 'http:' ? httpAgent : httpsAgent;
+}
+
+/**
+ * Check that the content of a file matches the type of file its url names, so that error pages
+ * aren't imported as media.
+ * @returns {string} Mime type of the file.
+ */
+function checkMediaType(url, buffer, type) {
+  const sniffedType = sniffMimeType(buffer);
+  const expectedType = mimeTypes.lookup(path.posix.extname(new URL(url).pathname));
+  if (sniffedType && expectedType && !isSameKindOfType(sniffedType, expectedType)) {
+    throw new MediaFetchError(
+      `content is ${sniffedType}, not ${expectedType} as named by the url`,
+      { blocked: true }
+    );
+  }
+  return sniffedType || type;
+}
+
+/**
+ * Types are compared by their top-level type. Audio and video containers share their signatures.
+ */
+function isSameKindOfType(type, otherType) {
+  const kinds = [type, otherType]
+    .map((mime) => mime.split('/')[0])
+    .map((kind) => (kind === 'audio' ? 'video' : kind));
+  return kinds[0] === kinds[1];
+}
+
+export { MediaFetchError, fetchMedia };
@@ -0,0 +1,48 @@
+/**
+ * What imports do with the media files they are given.
+ */
+const MediaActions = {
+  /** The file is already in the media library. */
+  REUSE: 'reuse',
+  /** The file is uploaded to the media library, or would be by a dry run. */
+  UPLOAD: 'upload',
+};
+
+/**
+ * Collects which media files an import reused instead of uploading them.
+ */
+class MediaReport {
+  constructor() {
+    this.files = new Map();
+  }
+
+  /**
+   * Record the outcome of a media file.
+   * @param {string} slug
+   * @param {string|number} key - Id of the file in the imported file (or its row index).
+   * @param {Object} outcome
+   * @param {("reuse"|"upload")} outcome.action
+   * @param {number} [outcome.dbId] - Id of the file in the media library.
+   * @param {string} [outcome.name] - Name of the file.
+   */
+  record(slug, key, { action, dbId = null, name = null }) {
+    this.files.set(`${slug}:${key}`, { slug, key: `${key}`, action, dbId, name });
+  }
+
+  toJSON() {
+    const files = Array.from(this.files.values());
+    const summary = Object.fromEntries(
+      Object.values(MediaActions).map((action) => [
+        action,
+        files.filter((f) => f.action === action).length,
+      ])
+    );
+
+    return {
+      summary,
+      files,
+    };
+  }
+}
+
+export { MediaActions, MediaReport };
@@ -0,0 +1,157 @@
+import { getModel } from '../../../utils/models.js';
+import { getIdFields, getIdFieldWhere } from './id-field.js';
+import { PreviewActions } from './preview.js';
+
+/**
+ * What a mirror import does with the entries missing from the imported file.
+ */
+const MirrorActions = {
+  /** Delete the entries. */
+  DELETE: 'delete',
+  /** Unpublish the entries, keeping their draft. Entries of content types without draft and publish are deleted. */
+  UNPUBLISH: 'unpublish',
+};
+
+/** Number of database entries compared to the file at once. */
+const MIRROR_PAGE_SIZE = 500;
+
+/**
+ * Keys of the entries of a slug in the imported file, along with the database entries the
+ * import wrote or matched. Mirror imports remove the database entries matching none of them.
+ */
+class MirrorKeys {
+  /**
+   * @param {string|Array<string>} [idField] - Field used as unique identifier, or fields forming a composite key.
+   */
+  constructor(idField) {
+    this.idFields = getIdFields(idField);
+    this.keys = new Set();
+    this.documentIds = new Set();
+    this.dbIds = new Set();
+  }
+
+  getKey(entry) {
+    const where = getIdFieldWhere(this.idFields, entry);
+    return where && JSON.stringify(this.idFields.map((name) => `${where[name]}`));
+  }
+
+  /**
+   * Add an entry of the file. Entries with a documentId are identified by it rather than by an
+   * `id` id field, since ids differ between instances.
+   * @param {Object} fileEntry
+   */
+  addFileEntry(fileEntry) {
+    if (fileEntry.documentId) {
+      this.documentIds.add(fileEntry.documentId);
+      if (this.idFields.includes('id')) {
+        return;
+      }
+    }
+
+    const key = this.getKey(fileEntry);
+    if (key) {
+      this.keys.add(key);
+    }
+  }
+
+  /**
+   * Add a database entry written or matched by the import.
+   * @param {Object} [dbEntry]
+   */
+  addDbEntry(dbEntry) {
+    if (dbEntry?.id) {
+      this.dbIds.add(dbEntry.id);
+    }
+    if (dbEntry?.documentId) {
+      this.documentIds.add(dbEntry.documentId);
+    }
+  }
+
+  has(dbEntry) {
+    return (
+      this.dbIds.has(dbEntry.id) ||
+      (!!dbEntry.documentId && this.documentIds.has(dbEntry.documentId)) ||
+      this.keys.has(this.getKey(dbEntry))
+    );
+  }
+}
+
+/**
+ * Remove the entries of a collection type which are missing from the imported file.
+ * Entries are removed one locale of a document at a time, with all its versions when deleted.
+ * Single types are left untouched.
+ * @param {string} slug
+ * @param {MirrorKeys} mirrorKeys - Entries of the slug in the file.
+ * @param {Object} options
+ * @param {("delete"|"unpublish")} [options.action]
+ * @param {ImportPreview} [options.preview] - When set, the entries are only recorded in the preview and nothing is removed.
+ * @param {ImportBatch} [options.batch] - Batch recording the removed entries.
+ * @returns {Promise<number>} Number of entries removed.
+ */
+async function mirrorEntries(slug, mirrorKeys, { action = MirrorActions.DELETE, preview, batch }) {
+  const model = getModel(slug);
+  if (model?.kind !== 'collectionType') {
+    return 0;
+  }
+
+  const unpublish = action === MirrorActions.UNPUBLISH && model.options?.draftAndPublish === true;
+  const dbEntries = await findMissingEntries(slug, mirrorKeys, {
+    where: unpublish ? { publishedAt: { $notNull: true } } : {},
+  });
+
+  // The versions of a locale of a document are removed together.
+  const documents = new Map();
+  for (const dbEntry of dbEntries) {
+    const key = dbEntry.documentId
+      ? `${dbEntry.documentId}:${dbEntry.locale ?? ''}`
+      : `${dbEntry.id}`;
+    documents.set(key, [...(documents.get(key) || []), dbEntry]);
+  }
+
+  for (const versions of documents.values()) {
+    const [dbEntry] = versions;
+    if (preview) {
+      preview.record(slug, `${PreviewActions.DELETE}:${dbEntry.id}`, {
+        action: PreviewActions.DELETE,
+        dbId: dbEntry.id,
+      });
+      continue;
+    }
+
+    for (const version of versions) {
+      await batch?.recordDelete(slug, version.id);
+    }
+    if (!dbEntry.documentId) {
+      await strapi.db.query(slug).delete({ where: { id: dbEntry.id } });
+      continue;
+    }
+
+    const params = {
+      documentId: dbEntry.documentId,
+      ...(dbEntry.locale ? { locale: dbEntry.locale } : {}),
+    };
+    if (unpublish) {
+      await strapi.documents(slug).unpublish(params);
+    } else {
+      await strapi.documents(slug).delete(params);
+    }
+  }
+
+  return documents.size;
+}
+
+async function findMissingEntries(slug, mirrorKeys, { where }) {
+  const missingEntries = [];
+  for (let offset = 0; ; offset += MIRROR_PAGE_SIZE) {
+    const dbEntries = await strapi.db
+      .query(slug)
+      .findMany({ where, orderBy: { id: 'asc' }, offset, limit: MIRROR_PAGE_SIZE });
+    missingEntries.push(...dbEntries.filter((dbEntry) => !mirrorKeys.has(dbEntry)));
+    if (dbEntries.length < MIRROR_PAGE_SIZE) {
+      break;
+    }
+  }
+  return missingEntries;
+}
+
+export { MirrorActions, MirrorKeys, mirrorEntries };
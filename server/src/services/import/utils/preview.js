@@ -0,0 +1,123 @@
+import isEqual from 'lodash/isEqual';
+import { getModelAttributes } from '../../../utils/models.js';
+
+const PreviewActions = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  SKIP: 'skip',
+  /** Entries removed by mirror imports, keyed by their database id. */
+  DELETE: 'delete',
+};
+
+const RELATIONAL_TYPES = ['component', 'dynamiczone', 'media', 'relation'];
+
+/**
+ * Collects what a dry-run import would do to each entry.
+ */
+class ImportPreview {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Record the outcome of an entry.
+   * Records of the same slug and key are merged, so that the successive import stages of a
+   * v2 file end up in a single record.
+   * @param {string} slug
+   * @param {string|number} key - Id of the entry in the file (or its row index).
+   * @param {Object} outcome
+   * @param {("create"|"update"|"skip"|"delete")} outcome.action
+   * @param {number} [outcome.dbId] - Id of the matching database entry.
+   * @param {Array<string>} [outcome.fields] - Attributes that would change.
+   */
+  record(slug, key, { action, dbId = null, fields = [] }) {
+    const mapKey = `${slug}:${key}`;
+    const previous = this.entries.get(mapKey);
+
+    if (!previous) {
+      this.entries.set(mapKey, { slug, key: `${key}`, action, dbId, fields: [...fields] });
+      return;
+    }
+
+    previous.fields = [...new Set([...previous.fields, ...fields])];
+    if (previous.action === PreviewActions.SKIP && previous.fields.length) {
+      previous.action = PreviewActions.UPDATE;
+    }
+  }
+
+  toJSON() {
+    const entries = Array.from(this.entries.values());
+    const summary = Object.fromEntries(
+      Object.values(PreviewActions).map((action) => [
+        action,
+        entries.filter((e) => e.action === action).length,
+      ])
+    );
+
+    return {
+      summary,
+      entries,
+    };
+  }
+}
+
+/**
+ * Get the attributes of `data` whose value differs from the one of `dbEntry`.
+ * Relational attributes can't be compared without populating them, so they are reported
+ * whenever `data` sets them.
+ * @param {string} slug
+ * @param {Object} data - Data to import.
+ * @param {Object} [dbEntry] - Matching database entry, if any.
+ * @returns {Array<string>}
+ */
+function getChangedFields(slug, data, dbEntry) {
+  return getModelAttributes(slug)
+    .filter((attr) => typeof data[attr.name] !== 'undefined')
+    .filter((attr) => {
+      if (!dbEntry) {
+        return true;
+      } else if (RELATIONAL_TYPES.includes(attr.type)) {
+        return data[attr.name] != null;
+      }
+      return !isSameValue(data[attr.name], dbEntry[attr.name]);
+    })
+    .map((attr) => attr.name);
+}
+
+/**
+ * Get the action an import would perform.
+ * @param {Object} [dbEntry] - Matching database entry, if any.
+ * @param {Array<string>} fields - Attributes that would change.
+ * @returns {("create"|"update"|"skip")}
+ */
+function getPreviewAction(dbEntry, fields) {
+  if (!dbEntry) {
+    return PreviewActions.CREATE;
+  }
+  return fields.length ? PreviewActions.UPDATE : PreviewActions.SKIP;
+}
+
+function isSameValue(valueA, valueB) {
+  const a = normalizeValue(valueA);
+  const b = normalizeValue(valueB);
+
+  if (typeof a !== 'object' && typeof b !== 'object') {
+    return `${a}` === `${b}`;
+  }
+  return isEqual(a, b);
+}
+
+function normalizeValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  } else if (
+    typeof value === 'string' &&
+    !isNaN(Date.parse(value)) &&
+    /^\d{4}-\d{2}-\d{2}T/.test(value)
+  ) {
+    return new Date(value).toISOString();
+  }
+  return value ?? null;
+}
+
+export { ImportPreview, PreviewActions, getChangedFields, getPreviewAction };
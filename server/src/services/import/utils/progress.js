@@ -0,0 +1,18 @@
+/**
+ * Count processed entries and report them to `onProgress`.
+ * @param {number} total - Count of entries to process.
+ * @param {Function} [onProgress] - Called with `{ processed, total }` each time an entry is processed.
+ */
+function createProgress(total, onProgress) {
+  let processed = 0;
+  onProgress?.({ processed, total });
+
+  return {
+    tick() {
+      processed += 1;
+      onProgress?.({ processed, total });
+    },
+  };
+}
+
+export { createProgress };
@@ -0,0 +1,41 @@
+import { getModelAttributes, getModelIdField } from '../../../utils/models.js';
+import { getIdFieldWhere, getIdFields } from './id-field.js';
+
+/**
+ * What to do when a relation references an entry that doesn't exist.
+ */
+const MissingRelationStrategies = {
+  /** Report the imported entry as failed. */
+  FAIL: 'fail',
+  /** Leave the relation unset. */
+  SKIP: 'skip',
+  /** Create the referenced entry from the reference. */
+  CREATE: 'create',
+};
+
+/**
+ * Get the attributes used to find the entry referenced by a relation, such as `{ slug: 'news' }`.
+ * The reference is looked up by the id field configured for the target model if it sets it,
+ * or else by its only attribute.
+ * @param {string} slug - Slug of the relation target.
+ * @param {Object} reference
+ * @returns {Array<string>|null} `null` if the reference can't be looked up.
+ */
+function getRelationLookupFields(slug, reference) {
+  const idFields = getIdFields(getModelIdField(slug));
+  if (getIdFieldWhere(idFields, reference)) {
+    return idFields;
+  }
+
+  const keys = Object.keys(reference);
+  const attributeNames = getModelAttributes(slug)
+    .map((attr) => attr.name)
+    .concat('id');
+  if (keys.length === 1 && attributeNames.includes(keys[0]) && getIdFieldWhere(keys, reference)) {
+    return keys;
+  }
+
+  return null;
+}
+
+export { MissingRelationStrategies, getRelationLookupFields };
@@ -0,0 +1,154 @@
+import fs from 'fs';
+import readline from 'readline';
+import { pipeline } from 'stream';
+import csvtojson from 'csvtojson';
+import { parser } from 'stream-json';
+import Assembler from 'stream-json/Assembler';
+
+/**
+ * Read the rows of a CSV file in batches, without loading the whole file in memory.
+ * The file is not read further until the returned promise of `onBatch` resolves.
+ * @param {string} filePath
+ * @param {number} batchSize - Maximum number of rows per batch.
+ * @param {Function} onBatch - Called with `(rows, offset)`, `offset` being the index of the first row of the batch.
+ * @returns {Promise<void>}
+ */
+async function streamCsvBatches(filePath, batchSize, onBatch) {
+  let batch = [];
+  let offset = 0;
+
+  const flush = async () => {
+    if (!batch.length) {
+      return;
+    }
+    const rows = batch;
+    batch = [];
+    await onBatch(rows, offset);
+    offset += rows.length;
+  };
+
+  await csvtojson({ needEmitAll: false })
+    .fromFile(filePath)
+    .subscribe((row) => {
+      batch.push(row);
+      return batch.length >= batchSize ? flush() : undefined;
+    });
+  await flush();
+}
+
+/**
+ * Read the values of a JSON file selected by their path, without loading the whole file in memory.
+ * Only the selected values are held in memory, one at a time.
+ * @param {string} filePath
+ * @param {Function} isSelected - Called with the path of each value (array of object keys and
+ * array indexes). The values contained in a selected value are not inspected.
+ * @param {Function} onValue - Called with `(value, path)` for each selected value. The file is not
+ * read further until its returned promise resolves. Resolving to `false` stops the reading.
+ * @returns {Promise<void>}
+ */
+async function streamJsonValues(filePath, isSelected, onValue) {
+  const tokens = pipeline(fs.createReadStream(filePath), parser({ streamValues: false }), () => {});
+  // Objects and arrays containing the current token.
+  const containers = [];
+  let assembler = null;
+  let assembledPath = null;
+
+  const getPath = () =>
+    containers.map((container) => (container.isArray ? container.index : container.key));
+  const endValue = () => {
+    const container = containers[containers.length - 1];
+    if (container?.isArray) {
+      container.index += 1;
+    }
+  };
+  const emitValue = async (value, path) => {
+    endValue();
+    return (await onValue(value, path)) !== false;
+  };
+
+  for await (const token of tokens) {
+    if (assembler) {
+      assembler.consume(token);
+      if (assembler.done) {
+        const value = assembler.current;
+        assembler = null;
+        if (!(await emitValue(value, assembledPath))) {
+          break;
+        }
+      }
+      continue;
+    }
+
+    if (token.name === 'keyValue') {
+      containers[containers.length - 1].key = token.value;
+      continue;
+    } else if (token.name === 'endObject' || token.name === 'endArray') {
+      containers.pop();
+      endValue();
+      continue;
+    }
+
+    const path = getPath();
+    if (isSelected(path)) {
+      assembler = new Assembler();
+      assembledPath = path;
+      assembler.consume(token);
+      if (assembler.done) {
+        const value = assembler.current;
+        assembler = null;
+        if (!(await emitValue(value, path))) {
+          break;
+        }
+      }
+    } else if (token.name === 'startObject' || token.name === 'startArray') {
+      containers.push({ isArray: token.name === 'startArray', key: null, index: 0 });
+    } else {
+      endValue();
+    }
+  }
+}
+
+/**
+ * Read the lines of a text file one at a time.
+ * @param {string} filePath
+ * @param {Function} onLine - Called with `(line, lineNumber)` for each line. The file is not read
+ * further until its returned promise resolves. Resolving to `false` stops the reading.
+ * @returns {Promise<void>}
+ */
+async function streamLines(filePath, onLine) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+    crlfDelay: Infinity,
+  });
+  let lineNumber = 0;
+  try {
+    for await (const line of lines) {
+      lineNumber += 1;
+      if ((await onLine(line, lineNumber)) === false) {
+        break;
+      }
+    }
+  } finally {
+    lines.close();
+  }
+}
+
+/**
+ * Get the first non-whitespace character of a file.
+ * @param {string} filePath
+ * @returns {Promise<string|null>}
+ */
+async function readFirstChar(filePath) {
+  for await (const chunk of fs.createReadStream(filePath, {
+    encoding: 'utf8',
+    highWaterMark: 1024,
+  })) {
+    const match = chunk.match(/\S/);
+    if (match) {
+      return match[0];
+    }
+  }
+  return null;
+}
+
+export { streamCsvBatches, streamJsonValues, streamLines, readFirstChar };
@@ -0,0 +1,50 @@
+/**
+ * Error thrown to abort an atomic import, so that its transaction is rolled back.
+ */
+class ImportRollbackError extends Error {
+  /**
+   * @param {Error|string} cause - Error raised by the failing entry.
+   * @param {Object} entry
+   * @param {string} entry.slug - Slug of the failing entry.
+   * @param {string|number} entry.key - Id of the failing entry in the file (or its row index).
+   * @param {ImportFailure} entry.failure - Failure record of the failing entry.
+   */
+  constructor(cause, { slug, key, failure }) {
+    const causeMessage = cause?.message ?? cause;
+    super(`Import rolled back because entry ${key} of ${slug} failed: ${causeMessage}`);
+
+    this.name = this.constructor.name;
+    this.causeMessage = causeMessage;
+    this.slug = slug;
+    this.key = key;
+    this.failure = failure;
+  }
+}
+
+/**
+ * Run an import inside a single database transaction.
+ * Database rows are rolled back, but binaries already sent to the upload provider are kept.
+ * @param {Function} importFn - Import to run. It must throw an `ImportRollbackError` as soon as an entry fails.
+ * @returns {Promise<ImportDataRes>}
+ */
+async function runAtomically(importFn) {
+  try {
+    return await strapi.db.transaction(() => importFn());
+  } catch (err) {
+    if (!(err instanceof ImportRollbackError)) {
+      throw err;
+    }
+
+    strapi.log.warn(err.message);
+    return {
+      failures: [err.failure],
+      rollback: {
+        slug: err.slug,
+        entry: `${err.key}`,
+        error: err.causeMessage,
+      },
+    };
+  }
+}
+
+export { ImportRollbackError, runAtomically };
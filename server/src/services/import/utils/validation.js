@@ -0,0 +1,208 @@
+import { getModelAttributes } from '../../../utils/models.js';
+import { ConflictStrategies } from './conflict.js';
+import { FailureCodes, ImportEntryError } from './failure.js';
+import { getIdFieldWhere } from './id-field.js';
+
+/**
+ * Rules of the model attributes that imported entries are checked against.
+ */
+const ValidationRules = {
+  REQUIRED: 'required',
+  TYPE: 'type',
+  ENUM: 'enum',
+  MIN: 'min',
+  MAX: 'max',
+  MIN_LENGTH: 'minLength',
+  MAX_LENGTH: 'maxLength',
+  REGEX: 'regex',
+  EMAIL: 'email',
+  UNIQUE: 'unique',
+};
+
+const NUMBER_TYPES = ['integer', 'biginteger', 'float', 'decimal'];
+const STRING_TYPES = ['string', 'text', 'richtext', 'email', 'password', 'uid'];
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Error of an entry which doesn't satisfy the rules of its model.
+ */
+class EntryValidationError extends ImportEntryError {
+  /**
+   * @param {Array<FieldError>} errors
+   */
+  constructor(errors) {
+    super(errors.map((error) => `${error.attribute}: ${error.message}`).join('; '), {
+      code: FailureCodes.VALIDATION,
+      attribute: errors[0]?.attribute,
+    });
+
+    this.errors = errors;
+  }
+}
+
+/**
+ * @typedef {Object} FieldError
+ * @property {string} attribute
+ * @property {string} rule - One of `ValidationRules`.
+ * @property {string} message
+ */
+/**
+ * Check entries against the attributes of their model before they are written.
+ * An entry is checked as an update when it matches an existing entry by its id field, so that
+ * required attributes it doesn't set are left as they are.
+ * @param {string} slug
+ * @param {Array<Object>} entries - Parsed entries.
+ * @param {Object} [options]
+ * @param {string|Array<string>} [options.idField] - Field used as unique identifier, or fields forming a composite key.
+ * @param {Function} [options.getWhere] - `(entry, index) => where` Gets the `where` clause matching the existing entry of an entry, `null` if none can match. Defaults to matching `idField`.
+ * @param {("update"|"skip"|"fail"|"merge")} [options.conflictStrategy]
+ * @param {Object} [options.seenValues] - Values of unique attributes already seen, shared between calls checking the entries of a file in batches.
+ * @returns {Promise<Array<EntryValidationError|null>>} Error of each entry, `null` if it is valid.
+ */
+async function validateEntries(
+  slug,
+  entries,
+  {
+    idField = 'id',
+    getWhere = (entry) => getIdFieldWhere(idField, entry),
+    conflictStrategy = ConflictStrategies.UPDATE,
+    seenValues = {},
+  } = {}
+) {
+  const attributes = getModelAttributes(slug);
+  const uniqueAttributes = attributes.filter((attribute) => attribute.unique);
+  // Values of unique attributes already seen in the entries, to report duplicates in the file itself.
+  uniqueAttributes.forEach((attribute) => {
+    seenValues[attribute.name] = seenValues[attribute.name] || new Map();
+  });
+
+  const results = [];
+  for (const [idx, entry] of entries.entries()) {
+    const where = getWhere(entry, idx);
+    const dbEntry = where ? await strapi.db.query(slug).findOne({ where }) : null;
+
+    const errors = [];
+    for (const attribute of attributes) {
+      errors.push(
+        ...validateAttribute(attribute, entry[attribute.name], {
+          exists: !!dbEntry,
+          conflictStrategy,
+        })
+      );
+    }
+    for (const attribute of uniqueAttributes) {
+      const error = await validateUnique(slug, attribute, entry[attribute.name], {
+        entry,
+        dbEntry,
+        seenValues: seenValues[attribute.name],
+      });
+      if (error) {
+        errors.push(error);
+      }
+    }
+
+    results.push(errors.length ? new EntryValidationError(errors) : null);
+  }
+  return results;
+}
+
+function validateAttribute(attribute, value, { exists, conflictStrategy }) {
+  const error = (rule, message) => [{ attribute: attribute.name, rule, message }];
+
+  if (isEmptyValue(value)) {
+    // Updates leave unset attributes untouched, and merges ignore empty values.
+    const isLeftUntouched =
+      exists && (value === undefined || conflictStrategy === ConflictStrategies.MERGE);
+    return attribute.required && !isLeftUntouched
+      ? error(ValidationRules.REQUIRED, 'is required')
+      : [];
+  }
+
+  if (NUMBER_TYPES.includes(attribute.type)) {
+    const number = Number(value);
+    if (typeof value === 'boolean' || Number.isNaN(number)) {
+      return error(ValidationRules.TYPE, `must be a number, got ${JSON.stringify(value)}`);
+    }
+    if (attribute.type === 'integer' && !Number.isInteger(number)) {
+      return error(ValidationRules.TYPE, `must be an integer, got ${JSON.stringify(value)}`);
+    }
+    if (attribute.min != null && number < attribute.min) {
+      return error(ValidationRules.MIN, `must be greater than or equal to ${attribute.min}`);
+    }
+    if (attribute.max != null && number > attribute.max) {
+      return error(ValidationRules.MAX, `must be less than or equal to ${attribute.max}`);
+    }
+  } else if (STRING_TYPES.includes(attribute.type)) {
+    const string = `${value}`;
+    if (attribute.minLength != null && string.length < attribute.minLength) {
+      return error(
+        ValidationRules.MIN_LENGTH,
+        `must be at least ${attribute.minLength} characters long`
+      );
+    }
+    if (attribute.maxLength != null && string.length > attribute.maxLength) {
+      return error(
+        ValidationRules.MAX_LENGTH,
+        `must be at most ${attribute.maxLength} characters long`
+      );
+    }
+    if (attribute.regex && !new RegExp(attribute.regex).test(string)) {
+      return error(ValidationRules.REGEX, `must match ${attribute.regex}`);
+    }
+    if (attribute.type === 'email' && !EMAIL_REGEX.test(string)) {
+      return error(ValidationRules.EMAIL, 'must be a valid email address');
+    }
+  } else if (attribute.type === 'enumeration') {
+    if (!attribute.enum.includes(value)) {
+      return error(
+        ValidationRules.ENUM,
+        `must be one of ${attribute.enum.join(', ')}, got ${JSON.stringify(value)}`
+      );
+    }
+  } else if (attribute.type === 'component' && attribute.repeatable && Array.isArray(value)) {
+    if (attribute.min != null && value.length < attribute.min) {
+      return error(ValidationRules.MIN, `must have at least ${attribute.min} components`);
+    }
+    if (attribute.max != null && value.length > attribute.max) {
+      return error(ValidationRules.MAX, `must have at most ${attribute.max} components`);
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Check that no other entry, in the database or earlier in the file, has the same value.
+ * The versions of a document in the file, which share their documentId, may share their values.
+ */
+async function validateUnique(slug, attribute, value, { entry, dbEntry, seenValues }) {
+  if (isEmptyValue(value) || typeof value === 'object') {
+    return null;
+  }
+
+  const error = {
+    attribute: attribute.name,
+    rule: ValidationRules.UNIQUE,
+    message: `must be unique, ${JSON.stringify(value)} is already used`,
+  };
+  if (seenValues.has(value)) {
+    const seenDocumentId = seenValues.get(value);
+    return seenDocumentId && seenDocumentId === entry.documentId ? null : error;
+  }
+  seenValues.set(value, entry.documentId ?? null);
+
+  const duplicate = await strapi.db.query(slug).findOne({ where: { [attribute.name]: value } });
+  // The draft and published versions of a document share their values.
+  const isSameEntry =
+    duplicate &&
+    dbEntry &&
+    (duplicate.id === dbEntry.id ||
+      (duplicate.documentId && duplicate.documentId === dbEntry.documentId));
+  return duplicate && !isSameEntry ? error : null;
+}
+
+function isEmptyValue(value) {
+  return value == null || value === '';
+}
+
+export { EntryValidationError, ValidationRules, validateEntries };
@@ -0,0 +1,108 @@
+import cloneDeep from 'lodash/cloneDeep';
+import { toArray } from '../../../libs/arrays.js';
+import { CustomSlugs, CustomSlugToSlug } from '../../config/constants.js';
+import { getModel, getModelIdField } from '../../utils/models.js';
+import { runBeforeImportEntryHooks } from '../hooks/hooks.js';
+import { createFailure } from './utils/failure.js';
+import { validateEntries } from './utils/validation.js';
+import { getSlugIdField, runBeforeImportHooks, validateContentTypeSlug } from './import-v2.js';
+import { parseInputRows, readInputRows } from './parsers.js';
+
+/**
+ * Check data against the attributes of its model without importing it.
+ * @param {Array<Object>|string} dataRaw - Data to check.
+ * @param {Object} options
+ * @param {string} options.slug - Slug of the model to check the data against.
+ * @param {string} options.format - Name of the input format of the data, see `registerInputFormat`.
+ * @param {string|Array<string>} [options.idField] - Field used as unique identifier, or fields forming a composite key.
+ * @param {boolean} [options.importAsDrafts]
+ * @param {Object} [options.columnMapping] - Mapping of the columns of CSV data to the model attributes.
+ * @param {("update"|"skip"|"fail"|"merge")} [options.conflictStrategy]
+ * @param {Object} [options.user] - User importing the data, passed to the `beforeImportEntry` hooks.
+ * @returns {Promise<{ failures: Array<ImportFailure> }>} Failures of the entries that would be rejected by the import.
+ */
+const validateData = async (
+  dataRaw,
+  {
+    slug,
+    format,
+    idField = getModelIdField(slug),
+    importAsDrafts = true,
+    columnMapping,
+    conflictStrategy,
+    user,
+  }
+) => {
+  if (slug === CustomSlugs.MEDIA) {
+    return { failures: [] };
+  }
+
+  let data;
+  let sourceRows;
+  let rowErrors;
+  if (format === 'jso') {
+    data = toArray(dataRaw);
+  } else {
+    const hasDraftAndPublish = getModel(slug)?.options?.draftAndPublish === true;
+    const parseOptions = {
+      slug,
+      importAsDrafts: hasDraftAndPublish ? importAsDrafts : false,
+      columnMapping,
+    };
+    sourceRows = await readInputRows(format, dataRaw, parseOptions);
+    ({ data, rowErrors } = parseInputRows(format, sourceRows, parseOptions));
+  }
+
+  // Entries are checked like when they are imported, once the hooks have run.
+  const sourceData = sourceRows ?? data.map((datum) => cloneDeep(datum));
+  const hooks = await runBeforeImportEntryHooks(slug, data, { user });
+
+  // Rows which couldn't be parsed fail as they are.
+  const errors = (await validateEntries(slug, hooks.entries, { idField, conflictStrategy })).map(
+    (err, idx) => rowErrors?.[idx] || hooks.errors[idx] || err
+  );
+  const failures = errors.flatMap((err, idx) =>
+    err ? [createFailure(err, { slug, row: idx + 1, data: sourceData[idx] })] : []
+  );
+
+  return { failures };
+};
+
+/**
+ * Check the content types entries of a v2 file against the attributes of their model without importing them.
+ * @param {Object} fileContent - Parsed v2 file.
+ * @param {Object} options
+ * @param {string} options.slug - Slug of the model to import.
+ * @param {string|Array<string>} [options.idField] - Field used as unique identifier of the entries of `options.slug`.
+ * @param {("update"|"skip"|"fail"|"merge")} [options.conflictStrategy]
+ * @param {Object} [options.user] - User importing the data, passed to the `beforeImportEntry` hooks.
+ * @returns {Promise<{ failures: Array<ImportFailure> }>}
+ */
+const validateDataV2 = async (fileContent, { slug: slugArg, idField, conflictStrategy, user }) => {
+  const failures = [];
+
+  for (const [slug, slugEntries] of Object.entries(fileContent.data)) {
+    if (
+      getModel(slug)?.modelType !== 'contentType' ||
+      slug === CustomSlugToSlug[CustomSlugs.MEDIA]
+    ) {
+      continue;
+    }
+
+    // Entries are checked like when they are imported.
+    const invalidEntries = new Set();
+    const hooks = await runBeforeImportHooks(slugEntries, { slug, user, invalidEntries });
+    failures.push(...hooks.failures);
+    const res = await validateContentTypeSlug(hooks.entries, {
+      slug,
+      idField: getSlugIdField(slug, { slug: slugArg, idField }),
+      invalidEntries,
+      conflictStrategy,
+    });
+    failures.push(...res.failures);
+  }
+
+  return { failures };
+};
+
+export { validateData, validateDataV2 };
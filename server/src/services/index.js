@@ -1,7 +1,13 @@
+import batchesService from './batches';
 import exportService from './export';
+import hooksService from './hooks';
 import importService from './import';
+import jobsService from './jobs';
 
 export default {
+  batches: batchesService,
   export: exportService,
+  hooks: hooksService,
   import: importService,
+  jobs: jobsService,
 };
@@ -0,0 +1,10 @@
+import { JobStatus, createJob, getJob, getJobResult } from './jobs.js';
+
+const jobsService = {
+  JobStatus,
+  createJob,
+  getJob,
+  getJobResult,
+};
+
+export default jobsService;
@@ -0,0 +1,155 @@
+import { randomUUID } from 'crypto';
+import { getConfig } from '../../utils/getConfig.js';
+
+const JobStatus = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+/** Finished jobs are forgotten after this delay (ms). */
+const JOB_TTL = 60 * 60 * 1000;
+
+/**
+ * Jobs are kept in memory: they don't survive a server restart and are only visible
+ * to the Strapi instance that runs them.
+ */
+const jobs = new Map();
+/** Queue of the jobs of each user, by user id. */
+const queues = new Map();
+/** Number of running jobs, and jobs waiting for one of them to finish. */
+let runningCount = 0;
+const waiting = [];
+
+/**
+ * Queue a job. Jobs run in the background. The jobs of a user run one at a time, in the order
+ * they were queued. Jobs of different users run alongside each other, up to the
+ * `maxConcurrentJobs` config.
+ * @param {Object} options
+ * @param {("import"|"export")} options.type
+ * @param {Object} options.user - User starting the job.
+ * @param {Function} options.run - Runs the job. Called with an `onProgress` callback, resolves with the job result.
+ * @returns {Object} The queued job.
+ */
+function createJob({ type, user, run }) {
+  purgeExpiredJobs();
+
+  const job = {
+    id: randomUUID(),
+    type,
+    userId: user?.id ?? null,
+    status: JobStatus.QUEUED,
+    processed: 0,
+    total: null,
+    error: null,
+    result: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+  };
+  jobs.set(job.id, job);
+
+  enqueue(job.userId, () => runJob(job, run));
+
+  return toJobStatus(job);
+}
+
+function enqueue(key, task) {
+  const queue = (queues.get(key) || Promise.resolve()).then(() => runWhenIdle(task));
+  queues.set(key, queue);
+  queue.then(() => {
+    if (queues.get(key) === queue) {
+      queues.delete(key);
+    }
+  });
+}
+
+async function runWhenIdle(task) {
+  if (runningCount >= getConfig('maxConcurrentJobs')) {
+    // The job finishing hands its slot over, see below.
+    await new Promise((resolve) => waiting.push(resolve));
+  } else {
+    runningCount += 1;
+  }
+  try {
+    return await task();
+  } finally {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      runningCount -= 1;
+    }
+  }
+}
+
+async function runJob(job, run) {
+  job.status = JobStatus.RUNNING;
+  job.startedAt = new Date().toISOString();
+
+  const onProgress = ({ processed, total }) => {
+    job.processed = processed;
+    job.total = total;
+  };
+
+  try {
+    job.result = await run({ onProgress });
+    job.status = JobStatus.DONE;
+  } catch (err) {
+    strapi.log.error(err);
+    job.error = err.message;
+    job.status = JobStatus.FAILED;
+  } finally {
+    job.finishedAt = new Date().toISOString();
+  }
+}
+
+/**
+ * Get the status of a job, without its result.
+ * @param {string} id
+ * @param {Object} user - User requesting the job. Users can only access their own jobs.
+ * @returns {Object|null}
+ */
+function getJob(id, user) {
+  const job = findUserJob(id, user);
+  return job ? toJobStatus(job) : null;
+}
+
+/**
+ * Get the result of a finished job.
+ * @param {string} id
+ * @param {Object} user - User requesting the job. Users can only access their own jobs.
+ * @returns {Object|null}
+ */
+function getJobResult(id, user) {
+  const job = findUserJob(id, user);
+  if (!job || job.status !== JobStatus.DONE) {
+    return null;
+  }
+  return job.result;
+}
+
+function findUserJob(id, user) {
+  const job = jobs.get(id);
+  if (!job || job.userId !== (user?.id ?? null)) {
+    return null;
+  }
+  return job;
+}
+
+function toJobStatus(job) {
+  const { result, userId, ...status } = job;
+  return status;
+}
+
+function purgeExpiredJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && now - new Date(job.finishedAt).getTime() > JOB_TTL) {
+      jobs.delete(id);
+    }
+  }
+}
+
+export { JobStatus, createJob, getJob, getJobResult };
@@ -0,0 +1,154 @@
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import JSZip from 'jszip';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { getConfig } from './getConfig.js';
+import { getLocalMediaPath, readMediaFile } from './media.js';
+
+/**
+ * Archives bundle a v2 JSON file with the binaries of the media it references, so that it can be
+ * imported without downloading them.
+ */
+const ARCHIVE_DATA_PATH = 'data.json';
+const ARCHIVE_MEDIA_DIR = 'media';
+
+/**
+ * Get the path of the binary of a media in archives.
+ * @param {Object} file - Entry of `plugin::upload.file`.
+ * @returns {string|null}
+ */
+function getArchiveMediaPath({ hash, ext }) {
+  return hash ? `${ARCHIVE_MEDIA_DIR}/${hash}${ext || ''}` : null;
+}
+
+/**
+ * Create an archive, encoded in base64. Media whose binary can't be read are left out of it,
+ * and imported from their url.
+ * The archive is streamed to a temporary file, reading the binaries of local uploads one at a
+ * time as they are written to it.
+ * @param {string} data - Content of the v2 JSON file.
+ * @param {Array<Object>} files - Entries of `plugin::upload.file` to bundle, with their url as stored in the database.
+ * @returns {Promise<string>}
+ */
+async function createArchive(data, files) {
+  const zip = new JSZip();
+  zip.file(ARCHIVE_DATA_PATH, data, { compression: 'DEFLATE' });
+
+  for (const file of files) {
+    const mediaPath = getArchiveMediaPath(file);
+    if (!mediaPath || zip.file(mediaPath)) {
+      continue;
+    }
+    try {
+      // Media files are mostly compressed already.
+      zip.file(mediaPath, await openMediaFile(file), { compression: 'STORE' });
+    } catch (err) {
+      strapi.log.warn(`Media ${file.url} is not bundled in the archive: ${err.message}`);
+    }
+  }
+
+  const archivePath = path.join(os.tmpdir(), `strapi-import-export-${randomUUID()}.zip`);
+  try {
+    await pipeline(
+      zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true }),
+      fs.createWriteStream(archivePath)
+    );
+    return await fs.promises.readFile(archivePath, 'base64');
+  } finally {
+    await fs.promises.rm(archivePath, { force: true });
+  }
+}
+
+/**
+ * Get the binary of a media to bundle, as a stream for local uploads, which is read once the
+ * archive is written.
+ * @param {Object} file - Entry of `plugin::upload.file`.
+ * @returns {Promise<Buffer|fs.ReadStream>}
+ */
+async function openMediaFile(file) {
+  const filePath = getLocalMediaPath(file);
+  if (!filePath) {
+    return readMediaFile(file);
+  }
+  // Missing files are left out of the archive, rather than failing it once it is written.
+  await fs.promises.access(filePath, fs.constants.R_OK);
+  return fs.createReadStream(filePath);
+}
+
+/**
+ * Read an archive.
+ * @param {Buffer} buffer - Content of the archive.
+ * @returns {Promise<Object>} Parsed v2 file, along with the archive in `mediaArchive`.
+ */
+async function readArchive(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+
+  const dataFile = zip.file(ARCHIVE_DATA_PATH);
+  if (!dataFile) {
+    throw new Error(`The archive has no ${ARCHIVE_DATA_PATH} file`);
+  }
+  const fileContent = JSON.parse((await readArchiveFile(dataFile)).toString('utf8'));
+  if (fileContent?.version !== 2) {
+    throw new Error(`${ARCHIVE_DATA_PATH} of the archive is not a v2 file`);
+  }
+
+  return { ...fileContent, mediaArchive: zip };
+}
+
+/**
+ * Get the binary bundled in an archive for a media.
+ * @param {JSZip} zip
+ * @param {Object} file - Entry of `plugin::upload.file`.
+ * @returns {Promise<{ name: string, type: string, size: number, buffer: Buffer }|null>}
+ */
+async function readArchiveMediaFile(zip, file) {
+  const mediaPath = getArchiveMediaPath(file);
+  const mediaFile = mediaPath && zip.file(mediaPath);
+  if (!mediaFile) {
+    return null;
+  }
+
+  const buffer = await readArchiveFile(mediaFile);
+  return {
+    name: path.posix.basename(mediaPath),
+    type: file.mime || '',
+    size: buffer.length,
+    buffer,
+  };
+}
+
+/**
+ * Uncompress a file of an archive, within the size limit of fetched media, so that archives
+ * whose files inflate to a huge size are rejected.
+ * @param {JSZip.JSZipObject} zipFile
+ * @returns {Promise<Buffer>}
+ * @throws {Error} If the file is larger than `mediaMaxSize`.
+ */
+function readArchiveFile(zipFile) {
+  const maxSize = getConfig('mediaMaxSize');
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = zipFile.internalStream('nodebuffer');
+    stream
+      .on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxSize) {
+          stream.pause();
+          reject(
+            new Error(`${zipFile.name} of the archive exceeds the maximum size of ${maxSize} bytes`)
+          );
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .resume();
+  });
+}
+
+export { createArchive, readArchive, readArchiveMediaFile };
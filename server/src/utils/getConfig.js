@@ -1,7 +1,7 @@
 import pluginId from './pluginId.js';
 
 /**
- * @typedef {("serverPublicHostname")} ConfigParam
+ * @typedef {("serverPublicHostname"|"importBatchSize"|"maxConcurrentJobs"|"mediaImportDirectory"|"mediaAllowedHosts"|"mediaBlockPrivateAddresses"|"mediaFetchTimeout"|"mediaMaxSize"|"mediaFetchRetries"|"mediaFetchRetryDelay")} ConfigParam
  */
 
 /**
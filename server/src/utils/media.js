@@ -0,0 +1,67 @@
+import fs from 'fs';
+import fetch from 'node-fetch';
+import path from 'path';
+import { getConfig } from './getConfig.js';
+
+/**
+ * Get the path of the binary of a local upload, in the public folder.
+ * @param {Object} file - Entry of `plugin::upload.file`.
+ * @returns {string|null} Path of the binary, or `null` if the media isn't a local upload.
+ */
+function getLocalMediaPath(file) {
+  if (!file.url.startsWith('/')) {
+    return null;
+  }
+
+  const publicDir = path.resolve(strapi.dirs.static.public);
+  const filePath = path.resolve(publicDir, `.${decodeURIComponent(file.url)}`);
+  if (!filePath.startsWith(publicDir + path.sep)) {
+    throw new Error(`File path ${file.url} is outside of the public folder`);
+  }
+  return filePath;
+}
+
+/**
+ * Read the binary of a media, from the public folder for local uploads, or else through the
+ * upload provider within the timeout and size limits of the media fetching config.
+ * @param {Object} file - Entry of `plugin::upload.file`.
+ * @returns {Promise<Buffer>}
+ */
+async function readMediaFile(file) {
+  const filePath = getLocalMediaPath(file);
+  if (filePath) {
+    return fs.promises.readFile(filePath);
+  }
+
+  const provider = strapi.plugin('upload').provider;
+  const { url } = (await provider?.isPrivate?.()) ? await provider.getSignedUrl(file) : file;
+  const timeout = getConfig('mediaFetchTimeout');
+  const maxSize = getConfig('mediaMaxSize');
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const response = await fetch(url, { signal: controller.signal, size: maxSize });
+    if (!response.ok) {
+      throw new Error(`Fetching ${file.url} failed with status ${response.status}`);
+    }
+    const contentLength = parseInt(response.headers.get('content-length') || '0', 10) || 0;
+    if (contentLength > maxSize) {
+      throw new Error(
+        `File size of ${contentLength} bytes exceeds the maximum of ${maxSize} bytes`
+      );
+    }
+    return await response.buffer();
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw new Error(`Fetching ${file.url} got no response within ${timeout} ms`);
+    } else if (err.type === 'max-size') {
+      throw new Error(`File size exceeds the maximum of ${maxSize} bytes`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export { getLocalMediaPath, readMediaFile };
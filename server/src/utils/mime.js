@@ -0,0 +1,70 @@
+/**
+ * Signatures of the formats media are commonly imported in: bytes expected at an offset of the
+ * content, `null` matching any byte.
+ */
+const SIGNATURES = [
+  { mime: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mime: 'image/jpeg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  { mime: 'image/gif', offset: 0, bytes: 'GIF8' },
+  { mime: 'image/webp', offset: 0, bytes: ['RIFF', null, null, null, null, 'WEBP'] },
+  { mime: 'image/bmp', offset: 0, bytes: 'BM' },
+  { mime: 'image/tiff', offset: 0, bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { mime: 'image/tiff', offset: 0, bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { mime: 'audio/wav', offset: 0, bytes: ['RIFF', null, null, null, null, 'WAVE'] },
+  { mime: 'video/x-msvideo', offset: 0, bytes: ['RIFF', null, null, null, null, 'AVI '] },
+  { mime: 'audio/mpeg', offset: 0, bytes: 'ID3' },
+  { mime: 'audio/ogg', offset: 0, bytes: 'OggS' },
+  { mime: 'video/mp4', offset: 4, bytes: 'ftyp' },
+  { mime: 'video/webm', offset: 0, bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { mime: 'application/pdf', offset: 0, bytes: '%PDF-' },
+  { mime: 'application/zip', offset: 0, bytes: [0x50, 0x4b, 0x03, 0x04] },
+];
+
+/** Number of bytes of text content looked at to recognize markup. */
+const TEXT_SNIFF_LENGTH = 1024;
+
+/**
+ * Guess the mime type of a file from its content.
+ * @param {Buffer} buffer
+ * @returns {string|null} Null when the content isn't recognized.
+ */
+function sniffMimeType(buffer) {
+  const signature = SIGNATURES.find(({ offset, bytes }) =>
+    matchesBytes(buffer, offset, toBytes(bytes))
+  );
+  if (signature) {
+    return signature.mime;
+  }
+
+  const text = buffer
+    .subarray(0, TEXT_SNIFF_LENGTH)
+    .toString('utf8')
+    .replace(/^\uFEFF/, '')
+    .trimStart()
+    .toLowerCase();
+  if (text.startsWith('<!doctype html') || text.startsWith('<html')) {
+    return 'text/html';
+  }
+  if (
+    text.startsWith('<svg') ||
+    ((text.startsWith('<?xml') || text.startsWith('<!doctype svg')) && text.includes('<svg'))
+  ) {
+    return 'image/svg+xml';
+  }
+  return null;
+}
+
+function toBytes(bytes) {
+  return (typeof bytes === 'string' ? [bytes] : bytes).flatMap((byte) =>
+    typeof byte === 'string' ? [...Buffer.from(byte, 'latin1')] : [byte]
+  );
+}
+
+function matchesBytes(buffer, offset, bytes) {
+  return (
+    buffer.length >= offset + bytes.length &&
+    bytes.every((byte, idx) => byte === null || buffer[offset + idx] === byte)
+  );
+}
+
+export { sniffMimeType };
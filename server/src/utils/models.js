@@ -1,4 +1,5 @@
 import { toArray } from '../../libs/arrays.js';
+import pluginId from './pluginId.js';
 
 export function getAllSlugs({ includePluginsContentTypes = false } = {}) {
   return Array.from(strapi.db.metadata)
@@ -47,6 +48,32 @@ export function getModelAttributes(
   return attributes;
 }
 
+/**
+ * Get the id field configured for a model in `pluginOptions['strapi-import-export'].idField`.
+ * It is either a single attribute or an array of attributes forming a composite key.
+ * @returns {string|Array<string>}
+ */
+export function getModelIdField(slug) {
+  const pluginOptions = getModel(slug)?.pluginOptions;
+  // `import-export-entries` is the options key of the original plugin.
+  return pluginOptions?.[pluginId]?.idField || pluginOptions?.['import-export-entries']?.idField || 'id';
+}
+
+/**
+ * Get the mapping of the columns of database rows imported into a model, configured in
+ * `pluginOptions['strapi-import-export'].dbRowMapping`. A column is mapped to the name of an
+ * attribute, to `null` to ignore it, or to a column mapping with transforms.
+ * @example
+ * { "legacy_title": "title", "internal_notes": null, "tag_list": { "attribute": "tags", "transforms": ["split"] }, "version": { "attribute": "version", "default": "main" } }
+ * @returns {Object<string, ColumnMapping>}
+ */
+export function getModelDbRowMapping(slug) {
+  const dbRowMapping = getModel(slug)?.pluginOptions?.[pluginId]?.dbRowMapping || {};
+  return Object.fromEntries(
+    Object.entries(dbRowMapping).map(([column, mapping]) => [column, mapping === null || typeof mapping === 'string' ? { attribute: mapping } : mapping]),
+  );
+}
+
 export function isComponentAttribute(attribute) {
   return attribute.type === 'component';
 }
@@ -2,7 +2,7 @@ import pluginId from './pluginId.js';
 
 /**
  * ServiceName.
- * @typedef {("export"|"import")} ServiceName
+ * @typedef {("export"|"import"|"jobs")} ServiceName
  */
 
 /**
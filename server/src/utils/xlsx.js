@@ -0,0 +1,114 @@
+import ExcelJS from 'exceljs';
+
+/**
+ * Hidden sheet of exported workbooks, listing the slug of the entries of each sheet.
+ */
+const SLUGS_SHEET_NAME = '_slugs';
+
+const MAX_SHEET_NAME_LENGTH = 31;
+
+/**
+ * Get a valid sheet name, unique among the names already used in a workbook.
+ * @param {string} name
+ * @param {Set<string>} usedNames - Names already used, the returned name is added to them.
+ * @returns {string}
+ */
+function getSheetName(name, usedNames) {
+  const baseName = name.replace(/[\\/?*[\]:]/g, '-').slice(0, MAX_SHEET_NAME_LENGTH) || 'Sheet';
+
+  let sheetName = baseName;
+  for (let idx = 2; usedNames.has(sheetName.toLowerCase()); idx += 1) {
+    sheetName = `${baseName.slice(0, MAX_SHEET_NAME_LENGTH - `${idx}`.length - 1)}-${idx}`;
+  }
+  usedNames.add(sheetName.toLowerCase());
+  return sheetName;
+}
+
+/**
+ * @param {Buffer} buffer - Content of a XLSX file.
+ * @returns {Promise<ExcelJS.Workbook>}
+ */
+async function readWorkbook(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  return workbook;
+}
+
+/**
+ * Get the sheet holding the entries of a slug: the sheet listed for it in the slugs sheet of
+ * exported workbooks, or else the first visible sheet.
+ * @param {ExcelJS.Workbook} workbook
+ * @param {string} slug
+ * @returns {ExcelJS.Worksheet|undefined}
+ */
+function getSlugWorksheet(workbook, slug) {
+  const slugsWorksheet = workbook.getWorksheet(SLUGS_SHEET_NAME);
+  const sheetName =
+    slugsWorksheet && readWorksheetRows(slugsWorksheet).find((row) => row.slug === slug)?.sheet;
+
+  return (
+    (sheetName && workbook.getWorksheet(sheetName)) ||
+    workbook.worksheets.find((worksheet) => worksheet.state === 'visible')
+  );
+}
+
+/**
+ * Read the rows of a sheet, keyed by the titles of its first row. Empty cells are left out.
+ * @param {ExcelJS.Worksheet} worksheet
+ * @returns {Array<Object>}
+ */
+function readWorksheetRows(worksheet) {
+  const titles = [];
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    titles[colNumber] = `${getCellValue(cell) ?? ''}`.trim();
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) {
+      return;
+    }
+    const datum = {};
+    row.eachCell((cell, colNumber) => {
+      const value = getCellValue(cell);
+      if (titles[colNumber] && value != null) {
+        datum[titles[colNumber]] = value;
+      }
+    });
+    rows.push(datum);
+  });
+  return rows;
+}
+
+/**
+ * Get the value of a cell as a string, number, boolean or date.
+ * @param {ExcelJS.Cell} cell
+ */
+function getCellValue(cell) {
+  const { value } = cell;
+  if (value == null || typeof value !== 'object' || value instanceof Date) {
+    return value ?? null;
+  }
+  if ('result' in value) {
+    // Formula
+    return value.result ?? null;
+  }
+  if ('richText' in value) {
+    return value.richText.map((part) => part.text).join('');
+  }
+  if ('text' in value) {
+    // Hyperlink
+    return value.text;
+  }
+  // Error
+  return null;
+}
+
+export {
+  ExcelJS,
+  SLUGS_SHEET_NAME,
+  getSheetName,
+  getSlugWorksheet,
+  readWorkbook,
+  readWorksheetRows,
+};
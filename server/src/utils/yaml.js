@@ -0,0 +1,21 @@
+import YAML from 'yaml';
+
+/**
+ * Convert data to YAML meant to be reviewed in diffs: keys are sorted, and multi-line strings
+ * are written as literal block scalars that are never folded.
+ * @param {*} data
+ * @returns {string}
+ */
+function stringifyYaml(data) {
+  return YAML.stringify(data, { sortMapEntries: true, blockQuote: 'literal', lineWidth: 0 });
+}
+
+/**
+ * @param {string} content
+ * @returns {*}
+ */
+function parseYaml(content) {
+  return YAML.parse(content);
+}
+
+export { parseYaml, stringifyYaml };